@@ -0,0 +1,31 @@
+// Bootstrap: promote an existing user to ADMIN.
+// Self-signup is always STUDENT, so the first admin has to be created here.
+// Usage: npm run promote-admin -- user@college.edu
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../src/models/User");
+
+const run = async () => {
+  const email = process.argv[2];
+  if (!email) {
+    console.error("Usage: npm run promote-admin -- <email>");
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const user = await User.findOneAndUpdate({ email }, { $set: { role: "ADMIN" } }, { new: true });
+  if (!user) {
+    console.error(`No user with email ${email}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`${user.email} is now ADMIN`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -5,6 +5,8 @@ const cors = require("cors");
 const cookieParser = require("cookie-parser");
 const { Server } = require("socket.io");
 const connectDB = require("./src/config/db");
+const { startDeletionPurge } = require("./src/utils/accountDeletion");
+const { startAnnouncementPublisher } = require("./src/utils/announcements");
 
 const app = express();
 const server = http.createServer(app);
@@ -18,9 +20,16 @@ const socketModule = require("./src/socket/index");
 socketModule(io);
 // After socket init, io._quizHandler is set; make it accessible via app
 setImmediate(() => app.set("quizHandler", io._quizHandler));
+// Controllers use io to drop sockets of revoked sessions
+app.set("io", io);
 
 connectDB();
 
+// Purge accounts whose deletion grace period has passed
+startDeletionPurge(io);
+// Publish scheduled group announcements
+startAnnouncementPublisher(io);
+
 app.use(cors({ origin: true, credentials: true }));
 app.use(express.json());
 app.use(cookieParser());
@@ -43,6 +52,13 @@ const forumRoutes = require("./src/routes/forumRoutes");
 const eventRoutes = require("./src/routes/eventRoutes");
 const clubRoutes = require("./src/routes/clubRoutes");
 const dashboardRoutes = require("./src/routes/dashboardRoutes");
+const inviteRoutes = require("./src/routes/inviteRoutes");
+const adminRoutes = require("./src/routes/adminRoutes");
+const apiKeyRoutes = require("./src/routes/apiKeyRoutes");
+const meRoutes = require("./src/routes/meRoutes");
+const attendanceRoutes = require("./src/routes/attendanceRoutes");
+const timetableRoutes = require("./src/routes/timetableRoutes");
+const assignmentRoutes = require("./src/routes/assignmentRoutes");
 
 app.use("/api/auth", authRoutes);
 app.use("/api/test", testRoutes);
@@ -58,6 +74,13 @@ app.use("/api/forums", forumRoutes);
 app.use("/api/events", eventRoutes);
 app.use("/api/clubs", clubRoutes);
 app.use("/api/dashboard", dashboardRoutes);
+app.use("/api/invites", inviteRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/api-keys", apiKeyRoutes);
+app.use("/api/me", meRoutes);
+app.use("/api/attendance", attendanceRoutes);
+app.use("/api/timetable", timetableRoutes);
+app.use("/api/assignments", assignmentRoutes);
 
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
@@ -0,0 +1,526 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const StudentProfile = require("../models/StudentProfile");
+const FacultyProfile = require("../models/FacultyProfile");
+const Session = require("../models/Session");
+const { revokeSessions } = require("../utils/session");
+const { getLedClubIds, removeUserAccount } = require("../utils/accountCleanup");
+const { unlockLogin } = require("../utils/loginThrottle");
+const { setSetting } = require("../utils/settings");
+const { POLICY_KEY, getRequiredRoles } = require("../utils/twoFactor");
+const { recordAudit } = require("../utils/audit");
+const { toCsv, escapeCsv } = require("../utils/csv");
+const { escapeRegex } = require("../utils/regex");
+const { streamWriter } = require("../utils/stream");
+const AuditLog = require("../models/AuditLog");
+const {
+  PERMISSIONS,
+  LOCKED,
+  getDefaultPermissions,
+  getRolePermissions,
+  validateRolePermissions,
+  setRolePermissions,
+} = require("../utils/permissions");
+
+const VALID_ROLES = ["ADMIN", "FACULTY", "STUDENT"];
+const USER_FIELDS = "email name role profilePicture isVerified twoFactorEnabled isSuspended suspendedUntil suspensionReason deletedAt deletionScheduledFor createdAt";
+
+// ─── USER MANAGEMENT ─────────────────────────────────────────────────────────
+
+// GET /api/admin/users — paginated user search
+// Query params: search (name/email), role, status (active | suspended | deleted), page, limit
+exports.listUsers = async (req, res) => {
+  try {
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+
+    if (req.query.role) {
+      const role = req.query.role.toUpperCase();
+      if (VALID_ROLES.includes(role)) filter.role = role;
+    }
+
+    switch (req.query.status) {
+      case "suspended":
+        filter.isSuspended = true;
+        filter.deletedAt = null;
+        break;
+      case "deleted":
+        filter.deletedAt = { $ne: null };
+        break;
+      case "active":
+        filter.isSuspended = { $ne: true };
+        filter.deletedAt = null;
+        break;
+      default:
+        filter.deletedAt = null;
+    }
+
+    if (req.query.search) {
+      const re = { $regex: escapeRegex(req.query.search), $options: "i" };
+      filter.$or = [{ name: re }, { email: re }];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select(USER_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(filter),
+    ]);
+
+    res.json({
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      totalUsers: total,
+      users,
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// GET /api/admin/users/:userId — user detail with profile and active session count
+exports.getUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select(USER_FIELDS).lean();
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const [profile, facultyProfile, activeSessions] = await Promise.all([
+      StudentProfile.findOne({ userId: user._id }).lean(),
+      FacultyProfile.findOne({ userId: user._id }).lean(),
+      Session.countDocuments({ userId: user._id, revokedAt: null, expiresAt: { $gt: new Date() } }),
+    ]);
+
+    res.json({ user, profile: profile || null, facultyProfile: facultyProfile || null, activeSessions });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid userId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// PATCH /api/admin/users/:userId/role — change a user's role
+exports.changeRole = async (req, res) => {
+  try {
+    const role = (req.body.role || "").toUpperCase();
+    if (!VALID_ROLES.includes(role))
+      return res.status(400).json({ message: `role must be one of: ${VALID_ROLES.join(", ")}` });
+
+    if (req.params.userId === req.user.userId)
+      return res.status(400).json({ message: "You cannot change your own role" });
+
+    const user = await User.findOne({ _id: req.params.userId, deletedAt: null });
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (user.role === role)
+      return res.status(400).json({ message: `User is already ${role}` });
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    recordAudit(req, {
+      action: "user.role.change",
+      targetType: "User",
+      targetId: user._id,
+      before: { role: previousRole },
+      after: { role },
+    });
+
+    // Role is baked into access tokens — force a fresh login
+    await revokeSessions(req.app.get("io"), { userId: user._id });
+
+    res.json({ message: `Role updated to ${role}`, user: { _id: user._id, email: user.email, role: user.role } });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid userId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// PATCH /api/admin/users/:userId/suspend — suspend (optionally until a date)
+exports.suspendUser = async (req, res) => {
+  try {
+    if (req.params.userId === req.user.userId)
+      return res.status(400).json({ message: "You cannot suspend yourself" });
+
+    const { reason, until } = req.body;
+
+    let suspendedUntil = null;
+    if (until) {
+      suspendedUntil = new Date(until);
+      if (isNaN(suspendedUntil.getTime()) || suspendedUntil <= new Date())
+        return res.status(400).json({ message: "until must be a future date" });
+    }
+
+    const user = await User.findOne({ _id: req.params.userId, deletedAt: null });
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    user.isSuspended = true;
+    user.suspendedUntil = suspendedUntil;
+    user.suspensionReason = reason?.trim() || null;
+    await user.save();
+
+    recordAudit(req, {
+      action: "user.suspend",
+      targetType: "User",
+      targetId: user._id,
+      after: { suspendedUntil, suspensionReason: user.suspensionReason },
+    });
+
+    // Revoked sessions are rejected by protect and the socket handshake;
+    // login/refresh are refused while the suspension lasts
+    const revoked = await revokeSessions(req.app.get("io"), { userId: user._id });
+
+    res.json({ message: "User suspended", suspendedUntil, sessionsRevoked: revoked });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid userId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// PATCH /api/admin/users/:userId/unsuspend — lift a suspension
+exports.unsuspendUser = async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.userId, deletedAt: null });
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (!user.isSuspended)
+      return res.status(400).json({ message: "User is not suspended" });
+
+    const before = { suspendedUntil: user.suspendedUntil, suspensionReason: user.suspensionReason };
+
+    user.isSuspended = false;
+    user.suspendedUntil = null;
+    user.suspensionReason = null;
+    await user.save();
+
+    recordAudit(req, { action: "user.unsuspend", targetType: "User", targetId: user._id, before });
+
+    res.json({ message: "User unsuspended" });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid userId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// POST /api/admin/users/:userId/logout — revoke every session of a user
+exports.forceLogout = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select("_id").lean();
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const revoked = await revokeSessions(req.app.get("io"), { userId: user._id });
+    res.json({ message: "User logged out everywhere", sessionsRevoked: revoked });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid userId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// POST /api/admin/users/:userId/unlock — clear a login lockout (body: { ip? } also clears that IP)
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select("email").lean();
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const cleared = await unlockLogin(user.email, req.body?.ip);
+    res.json({ message: cleared ? "Login lock cleared" : "No active lock", cleared });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid userId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// DELETE /api/admin/users/:userId/two-factor — reset 2FA for a user who lost their device
+exports.resetTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.userId,
+      {
+        $set: {
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorPendingSecret: null,
+          twoFactorRecoveryCodes: [],
+        },
+      },
+      { new: true }
+    );
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    recordAudit(req, { action: "user.two_factor.reset", targetType: "User", targetId: user._id });
+
+    res.json({ message: "Two-factor authentication reset" });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid userId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// DELETE /api/admin/users/:userId?mode=soft|hard — delete a user (default soft)
+exports.deleteUser = async (req, res) => {
+  try {
+    const hard = req.query.mode === "hard";
+
+    if (req.params.userId === req.user.userId)
+      return res.status(400).json({ message: "You cannot delete yourself" });
+
+    const user = await User.findById(req.params.userId);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (!hard && user.deletedAt)
+      return res.status(400).json({ message: "User already deleted" });
+
+    const ledClubs = await getLedClubIds(user._id);
+    if (ledClubs.length)
+      return res.status(409).json({
+        message: "User leads active clubs. Transfer leadership first.",
+        clubIds: ledClubs,
+      });
+
+    await removeUserAccount(req.app.get("io"), user._id, { hard });
+
+    recordAudit(req, {
+      action: hard ? "user.delete.hard" : "user.delete",
+      targetType: "User",
+      targetId: user._id,
+      before: { email: user.email, name: user.name, role: user.role },
+    });
+
+    res.json({ message: hard ? "User permanently deleted" : "User deleted" });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid userId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── SECURITY POLICY ─────────────────────────────────────────────────────────
+
+// GET /api/admin/security/two-factor — roles that must use 2FA
+exports.getTwoFactorPolicy = async (req, res) => {
+  try {
+    res.json({ requiredRoles: await getRequiredRoles() });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// PUT /api/admin/security/two-factor — body: { requiredRoles: ["ADMIN", "FACULTY"] }
+// Users in these roles without 2FA can only reach /api/auth until they enroll
+exports.updateTwoFactorPolicy = async (req, res) => {
+  try {
+    const { requiredRoles } = req.body;
+    if (!Array.isArray(requiredRoles))
+      return res.status(400).json({ message: "requiredRoles must be an array" });
+
+    const roles = [...new Set(requiredRoles.map((r) => String(r).toUpperCase()))];
+    const invalid = roles.filter((r) => !VALID_ROLES.includes(r));
+    if (invalid.length)
+      return res.status(400).json({ message: `Invalid roles: ${invalid.join(", ")}` });
+
+    const previous = await getRequiredRoles();
+    await setSetting(POLICY_KEY, roles, req.user.userId);
+
+    recordAudit(req, {
+      action: "security.two_factor_policy.update",
+      targetType: "Setting",
+      before: { requiredRoles: previous },
+      after: { requiredRoles: roles },
+    });
+    res.json({ message: "Two-factor policy updated", requiredRoles: roles });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── PERMISSIONS ─────────────────────────────────────────────────────────────
+
+// GET /api/admin/permissions — registry, default and effective role mapping
+exports.getPermissions = async (req, res) => {
+  try {
+    const roles = await getRolePermissions();
+    const permissions = Object.entries(PERMISSIONS).map(([key, p]) => ({
+      key,
+      description: p.description,
+      defaultRoles: p.roles,
+      roles: VALID_ROLES.filter((r) => roles[r].includes(key)),
+    }));
+
+    const defaults = {};
+    VALID_ROLES.forEach((r) => { defaults[r] = getDefaultPermissions(r); });
+
+    res.json({ permissions, roles, defaults, locked: LOCKED });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// PUT /api/admin/permissions/:role — body: { permissions: ["chat:moderate", ...] }
+// Replaces the role's whole permission list
+exports.updateRolePermissions = async (req, res) => {
+  try {
+    const role = req.params.role.toUpperCase();
+    if (!VALID_ROLES.includes(role))
+      return res.status(400).json({ message: `role must be one of: ${VALID_ROLES.join(", ")}` });
+
+    const { permissions } = req.body;
+    const error = validateRolePermissions(role, permissions);
+    if (error) return res.status(400).json({ message: error });
+
+    const previous = (await getRolePermissions())[role];
+    const roles = await setRolePermissions(role, permissions, req.user.userId);
+
+    recordAudit(req, {
+      action: "permissions.update",
+      targetType: "Setting",
+      before: { role, permissions: previous },
+      after: { role, permissions: roles[role] },
+    });
+    res.json({ message: `Permissions updated for ${role}`, role, permissions: roles[role] });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// DELETE /api/admin/permissions/:role — restore the role's default permissions
+exports.resetRolePermissions = async (req, res) => {
+  try {
+    const role = req.params.role.toUpperCase();
+    if (!VALID_ROLES.includes(role))
+      return res.status(400).json({ message: `role must be one of: ${VALID_ROLES.join(", ")}` });
+
+    const previous = (await getRolePermissions())[role];
+    const roles = await setRolePermissions(role, null, req.user.userId);
+
+    recordAudit(req, {
+      action: "permissions.reset",
+      targetType: "Setting",
+      before: { role, permissions: previous },
+      after: { role, permissions: roles[role] },
+    });
+    res.json({ message: `Permissions reset to defaults for ${role}`, role, permissions: roles[role] });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── AUDIT LOG ───────────────────────────────────────────────────────────────
+
+/**
+ * Mongo filter from audit query params, or { error } for a 400.
+ * action matches exactly, or as a prefix when it ends with "." (e.g. "club.").
+ */
+const buildAuditFilter = (query) => {
+  const filter = {};
+  const { actorId, targetId, from, to } = query;
+  // Repeated params arrive as arrays — only single values are supported
+  const [action, targetType, ip] = [query.action, query.targetType, query.ip].map((v) =>
+    v === undefined ? undefined : String(v)
+  );
+
+  const isId = (v) => mongoose.Types.ObjectId.isValid(v);
+  if (actorId) {
+    if (!isId(actorId)) return { error: "Invalid actorId" };
+    filter["actor.userId"] = actorId;
+  }
+  if (targetId) {
+    if (!isId(targetId)) return { error: "Invalid targetId" };
+    filter["target.id"] = targetId;
+  }
+  if (action)
+    filter.action = action.endsWith(".")
+      ? { $regex: `^${escapeRegex(action)}` }
+      : action;
+  if (targetType) filter["target.type"] = targetType;
+  if (ip) filter.ip = ip;
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+    if (Object.values(filter.createdAt).some((d) => isNaN(d.getTime())))
+      return { error: "from / to must be valid dates" };
+  }
+
+  return { filter };
+};
+
+// GET /api/admin/audit-logs — newest first
+// Query params: actorId, action, targetType, targetId, ip, from, to, page, limit
+exports.listAuditLogs = async (req, res) => {
+  try {
+    const { filter, error } = buildAuditFilter(req.query);
+    if (error) return res.status(400).json({ message: error });
+
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.json({ page, limit, totalPages: Math.ceil(total / limit), totalLogs: total, logs });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// GET /api/admin/audit-logs/export — same filters, streamed as CSV
+exports.exportAuditLogsCsv = async (req, res) => {
+  try {
+    const { filter, error } = buildAuditFilter(req.query);
+    if (error) return res.status(400).json({ message: error });
+
+    const headers = [
+      "createdAt", "actorId", "actorEmail", "actorRole", "action",
+      "targetType", "targetId", "before", "after", "meta", "ip", "userAgent",
+    ];
+
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader("Content-Disposition", `attachment; filename="audit_log_${Date.now()}.csv"`);
+    const out = streamWriter(res);
+    await out.write(toCsv(headers, []));
+
+    const json = (v) => (v === null || v === undefined ? "" : JSON.stringify(v));
+    const cursor = AuditLog.find(filter).sort({ createdAt: -1 }).lean().cursor();
+
+    for await (const log of cursor) {
+      if (out.closed) return;
+      const row = [
+        log.createdAt.toISOString(),
+        log.actor?.userId,
+        log.actor?.email,
+        log.actor?.role,
+        log.action,
+        log.target?.type,
+        log.target?.id,
+        json(log.before),
+        json(log.after),
+        json(log.meta),
+        log.ip,
+        log.userAgent,
+      ];
+      await out.write("\r\n" + row.map(escapeCsv).join(","));
+    }
+
+    res.end();
+  } catch (err) {
+    if (res.headersSent) return res.end();
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
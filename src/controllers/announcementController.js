@@ -0,0 +1,433 @@
+const fs = require("fs");
+const path = require("path");
+const AcademicGroup = require("../models/AcademicGroup");
+const GroupAnnouncement = require("../models/GroupAnnouncement");
+const GroupMembership = require("../models/GroupMembership");
+const { ARCHIVED_GROUP_MESSAGE, isMember, canAnnounce } = require("../utils/groupMembership");
+const { hasPermission } = require("../utils/permissions");
+const { AUTHOR_FIELDS, toPublicAnnouncement, publishAnnouncement } = require("../utils/announcements");
+const { viewerIsStaff, hideUserEmails } = require("../utils/profilePrivacy");
+const { recordAudit } = require("../utils/audit");
+
+const MAX_PINNED = 5;
+
+// Removes files multer saved for a request that is being rejected
+const discardUploads = (req) => (req.files || []).forEach((f) => fs.unlink(f.path, () => {}));
+
+/**
+ * Pin slots (0 .. MAX_PINNED - 1) not held by an announcement of the group.
+ * A slot is unique per group, so two requests cannot take the same one.
+ */
+const freePinSlots = async (groupId) => {
+  const taken = new Set(await GroupAnnouncement.distinct("pinSlot", { groupId, pinSlot: { $ne: null } }));
+  return [...Array(MAX_PINNED).keys()].filter((slot) => !taken.has(slot));
+};
+
+/**
+ * Runs `write(slot)` with each free pin slot until one is not taken meanwhile.
+ * Returns its result, or null when every slot is in use.
+ */
+const withPinSlot = async (groupId, write) => {
+  for (const slot of await freePinSlots(groupId)) {
+    try {
+      return await write(slot);
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  }
+  return null;
+};
+
+const PIN_LIMIT_MESSAGE = `At most ${MAX_PINNED} pinned announcements per group`;
+
+const removeAttachmentFiles = (announcement) =>
+  announcement.attachments.forEach((a) => fs.unlink(path.resolve(a.filePath), () => {}));
+
+/**
+ * Parses an optional publishAt. Returns { date } (null = now) or { error }.
+ */
+const parsePublishAt = (value) => {
+  if (value === undefined || value === null || value === "") return { date: null };
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return { error: "publishAt must be a valid date" };
+  return { date: date > new Date() ? date : null };
+};
+
+/**
+ * Loads :groupId and checks the caller may read it.
+ * Returns { group } or { status, message }.
+ */
+const loadGroup = async (req) => {
+  const group = await AcademicGroup.findById(req.params.groupId);
+  if (!group) return { status: 404, message: "Group not found" };
+  if (!(await isMember(req.user.userId, req.user.role, group._id)))
+    return { status: 403, message: "You are not a member of this group" };
+  return { group };
+};
+
+/**
+ * Loads :announcementId of :groupId. Scheduled announcements only exist for
+ * their author and for users who can announce in the group.
+ * Returns { group, announcement, canPost, isAuthor } or { status, message }.
+ */
+const loadAnnouncement = async (req) => {
+  const { group, status, message } = await loadGroup(req);
+  if (!group) return { status, message };
+
+  const announcement = await GroupAnnouncement.findOne({ _id: req.params.announcementId, groupId: group._id });
+  if (!announcement) return { status: 404, message: "Announcement not found" };
+
+  const canPost = await canAnnounce(req.user.userId, req.user.role, group._id);
+  const isAuthor = announcement.author.toString() === req.user.userId.toString();
+  if (!announcement.publishedAt && !isAuthor && !canPost)
+    return { status: 404, message: "Announcement not found" };
+
+  return { group, announcement, canPost, isAuthor };
+};
+
+// ─── GET /api/groups/:groupId/announcements ──────────────────────────────────
+// Pinned first, then newest. Query: page, limit, scheduled (true — announcers see scheduled ones too)
+exports.listAnnouncements = async (req, res) => {
+  try {
+    const { group, status, message } = await loadGroup(req);
+    if (!group) return res.status(status).json({ message });
+
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 50);
+
+    const filter = { groupId: group._id, publishedAt: { $ne: null } };
+    if (req.query.scheduled === "true") {
+      delete filter.publishedAt;
+      // Announcers see every scheduled one, others only their own (e.g. a former class rep)
+      if (!(await canAnnounce(req.user.userId, req.user.role, group._id)))
+        filter.$or = [{ publishedAt: { $ne: null } }, { author: req.user.userId }];
+    }
+
+    const [announcements, total] = await Promise.all([
+      GroupAnnouncement.find(filter)
+        .populate("author", AUTHOR_FIELDS)
+        .sort({ isPinned: -1, pinnedAt: -1, publishAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      GroupAnnouncement.countDocuments(filter),
+    ]);
+
+    res.json({
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      totalAnnouncements: total,
+      announcements: announcements.map((a) => toPublicAnnouncement(a, req.user.userId)),
+    });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid groupId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── POST /api/groups/:groupId/announcements ─────────────────────────────────
+// multipart/form-data: title, body, publishAt?, pinned?, attachments (PDF, up to 5)
+exports.createAnnouncement = async (req, res) => {
+  let announcement = null;
+  try {
+    const { group, status, message } = await loadGroup(req);
+    if (!group) {
+      discardUploads(req);
+      return res.status(status).json({ message });
+    }
+    if (group.archivedAt) {
+      discardUploads(req);
+      return res.status(403).json({ message: ARCHIVED_GROUP_MESSAGE });
+    }
+    if (!(await canAnnounce(req.user.userId, req.user.role, group._id))) {
+      discardUploads(req);
+      return res.status(403).json({ message: "Only faculty and class representatives can post announcements" });
+    }
+
+    const { date: publishAt, error } = parsePublishAt(req.body.publishAt);
+    if (error) {
+      discardUploads(req);
+      return res.status(400).json({ message: error });
+    }
+
+    const pinned = req.body.pinned === true || req.body.pinned === "true";
+    const fields = {
+      groupId: group._id,
+      author: req.user.userId,
+      title: req.body.title,
+      body: req.body.body,
+      attachments: (req.files || []).map((f) => ({
+        fileName: f.originalname,
+        filePath: f.path,
+        fileSize: f.size,
+        mimeType: f.mimetype,
+      })),
+      publishAt: publishAt || new Date(),
+    };
+    announcement = pinned
+      ? await withPinSlot(group._id, (pinSlot) =>
+          GroupAnnouncement.create({ ...fields, isPinned: true, pinnedAt: new Date(), pinnedBy: req.user.userId, pinSlot })
+        )
+      : await GroupAnnouncement.create(fields);
+    if (!announcement) {
+      discardUploads(req);
+      return res.status(400).json({ message: PIN_LIMIT_MESSAGE });
+    }
+
+    const published = publishAt ? null : await publishAnnouncement(req.app.get("io"), announcement._id);
+    if (!published) await announcement.populate("author", AUTHOR_FIELDS);
+
+    res.status(201).json({
+      message: published ? "Announcement posted" : "Announcement scheduled",
+      announcement: toPublicAnnouncement(published || announcement, req.user.userId),
+    });
+  } catch (err) {
+    if (!announcement) discardUploads(req);
+    if (err.name === "ValidationError")
+      return res.status(400).json({ message: err.message });
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid groupId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── PATCH /api/groups/:groupId/announcements/:announcementId ────────────────
+// Author or announcement:manage. Body: { title?, body?, publishAt? (scheduled only) }
+exports.updateAnnouncement = async (req, res) => {
+  try {
+    const { group, announcement, isAuthor, status, message } = await loadAnnouncement(req);
+    if (!announcement) return res.status(status).json({ message });
+
+    if (!isAuthor && !(await hasPermission(req.user.role, "announcement:manage")))
+      return res.status(403).json({ message: "You can only edit your own announcements" });
+    const authorId = announcement.author;
+    if (group.archivedAt)
+      return res.status(403).json({ message: ARCHIVED_GROUP_MESSAGE });
+
+    const { title, body, publishAt } = req.body;
+    if (title === undefined && body === undefined && publishAt === undefined)
+      return res.status(400).json({ message: "No updatable fields provided" });
+
+    if (publishAt !== undefined) {
+      if (announcement.publishedAt)
+        return res.status(400).json({ message: "publishAt can only be changed before publishing" });
+      const parsed = parsePublishAt(publishAt);
+      if (parsed.error) return res.status(400).json({ message: parsed.error });
+      announcement.publishAt = parsed.date || new Date();
+    }
+    if (title !== undefined) announcement.title = title;
+    if (body !== undefined) announcement.body = body;
+    if (announcement.publishedAt) announcement.editedAt = new Date();
+    await announcement.save();
+
+    const io = req.app.get("io");
+    let result = announcement;
+    if (!announcement.publishedAt && announcement.publishAt <= new Date()) {
+      result = (await publishAnnouncement(io, announcement._id)) || announcement;
+    } else {
+      await announcement.populate("author", AUTHOR_FIELDS);
+      if (announcement.publishedAt)
+        io?.to(group._id.toString()).emit("announcementUpdated", { announcement: toPublicAnnouncement(announcement) });
+    }
+
+    if (!isAuthor)
+      recordAudit(req, {
+        action: "announcement.update",
+        targetType: "GroupAnnouncement",
+        targetId: announcement._id,
+        after: { title, body, publishAt },
+        meta: { groupId: group._id, author: authorId },
+      });
+
+    res.json({ message: "Announcement updated", announcement: toPublicAnnouncement(result, req.user.userId) });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ message: err.message });
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid groupId or announcementId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── PATCH /api/groups/:groupId/announcements/:announcementId/pin ────────────
+// Anyone who can announce in the group. Body: { pinned: true|false }
+exports.pinAnnouncement = async (req, res) => {
+  try {
+    const { group, announcement, canPost, status, message } = await loadAnnouncement(req);
+    if (!announcement) return res.status(status).json({ message });
+
+    if (!canPost)
+      return res.status(403).json({ message: "Only faculty and class representatives can pin announcements" });
+    if (group.archivedAt)
+      return res.status(403).json({ message: ARCHIVED_GROUP_MESSAGE });
+    if (typeof req.body.pinned !== "boolean")
+      return res.status(400).json({ message: "pinned must be a boolean" });
+
+    const pinned = req.body.pinned;
+    const pinnedBy = pinned ? req.user.userId : null;
+    let changed;
+    if (pinned) {
+      // Matches nothing when it is pinned already
+      const result = await withPinSlot(group._id, (pinSlot) =>
+        GroupAnnouncement.updateOne(
+          { _id: announcement._id, isPinned: false },
+          { $set: { isPinned: true, pinnedAt: new Date(), pinnedBy, pinSlot } }
+        )
+      );
+      if (!result && !announcement.isPinned)
+        return res.status(400).json({ message: PIN_LIMIT_MESSAGE });
+      changed = !!result?.modifiedCount;
+    } else {
+      const result = await GroupAnnouncement.updateOne(
+        { _id: announcement._id, isPinned: true },
+        { $set: { isPinned: false, pinnedAt: null, pinnedBy: null, pinSlot: null } }
+      );
+      changed = !!result.modifiedCount;
+    }
+
+    if (changed && announcement.publishedAt)
+      req.app.get("io")?.to(group._id.toString()).emit("announcementPinned", {
+        announcementId: announcement._id,
+        isPinned: pinned,
+        pinnedBy,
+      });
+
+    res.json({ message: pinned ? "Announcement pinned" : "Announcement unpinned", isPinned: pinned });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid groupId or announcementId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── DELETE /api/groups/:groupId/announcements/:announcementId ───────────────
+// Author or announcement:manage — attachments are removed from disk
+exports.deleteAnnouncement = async (req, res) => {
+  try {
+    const { group, announcement, isAuthor, status, message } = await loadAnnouncement(req);
+    if (!announcement) return res.status(status).json({ message });
+
+    if (!isAuthor && !(await hasPermission(req.user.role, "announcement:manage")))
+      return res.status(403).json({ message: "You can only delete your own announcements" });
+
+    await announcement.deleteOne();
+    removeAttachmentFiles(announcement);
+
+    if (announcement.publishedAt)
+      req.app.get("io")?.to(group._id.toString()).emit("announcementDeleted", { announcementId: announcement._id });
+
+    if (!isAuthor)
+      recordAudit(req, {
+        action: "announcement.delete",
+        targetType: "GroupAnnouncement",
+        targetId: announcement._id,
+        before: {
+          title: announcement.title,
+          author: announcement.author,
+          publishedAt: announcement.publishedAt,
+          attachments: announcement.attachments.map((a) => a.fileName),
+        },
+        meta: { groupId: group._id },
+      });
+
+    res.json({ message: "Announcement deleted" });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid groupId or announcementId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── POST /api/groups/:groupId/announcements/:announcementId/ack ─────────────
+// Mark as read / acknowledged — idempotent
+exports.acknowledgeAnnouncement = async (req, res) => {
+  try {
+    const { announcement, status, message } = await loadAnnouncement(req);
+    if (!announcement) return res.status(status).json({ message });
+    if (!announcement.publishedAt)
+      return res.status(400).json({ message: "Scheduled announcements cannot be acknowledged yet" });
+
+    const result = await GroupAnnouncement.updateOne(
+      { _id: announcement._id, "acknowledgements.userId": { $ne: req.user.userId } },
+      {
+        $push: { acknowledgements: { userId: req.user.userId, acknowledgedAt: new Date() } },
+        $inc: { ackCount: 1 },
+      }
+    );
+
+    res.json({
+      message: result.modifiedCount ? "Announcement acknowledged" : "Already acknowledged",
+      acknowledged: true,
+    });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid groupId or announcementId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── GET /api/groups/:groupId/announcements/:announcementId/acknowledgements ─
+// Author or anyone who can announce in the group — who has / has not acknowledged
+exports.getAcknowledgementReport = async (req, res) => {
+  try {
+    const { group, announcement, canPost, isAuthor, status, message } = await loadAnnouncement(req);
+    if (!announcement) return res.status(status).json({ message });
+    if (!isAuthor && !canPost)
+      return res.status(403).json({ message: "Only the author and class representatives / faculty can see this report" });
+
+    const memberships = await GroupMembership.find({ groupId: group._id, userId: { $ne: announcement.author } })
+      .populate({ path: "userId", select: "name email role profilePicture", match: { deletedAt: null } })
+      .lean();
+    const members = await hideUserEmails(
+      memberships.filter((m) => m.userId).map((m) => m.userId),
+      { isStaff: await viewerIsStaff(req.user.role), viewerId: req.user.userId }
+    );
+
+    const ackAt = new Map(announcement.acknowledgements.map((a) => [a.userId.toString(), a.acknowledgedAt]));
+    const acknowledged = members
+      .filter((u) => ackAt.has(u._id.toString()))
+      .map((user) => ({ user, acknowledgedAt: ackAt.get(user._id.toString()) }))
+      .sort((a, b) => a.acknowledgedAt - b.acknowledgedAt);
+    const pending = members
+      .filter((u) => !ackAt.has(u._id.toString()))
+      .sort((a, b) => String(a.name || a.email || "").localeCompare(String(b.name || b.email || "")));
+
+    res.json({
+      announcementId: announcement._id,
+      publishedAt: announcement.publishedAt,
+      totalMembers: members.length,
+      acknowledgedCount: acknowledged.length,
+      pendingCount: pending.length,
+      acknowledged,
+      pending,
+    });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid groupId or announcementId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── GET /api/groups/:groupId/announcements/:announcementId/attachments/:index
+exports.downloadAttachment = async (req, res) => {
+  try {
+    const { announcement, status, message } = await loadAnnouncement(req);
+    if (!announcement) return res.status(status).json({ message });
+
+    const attachment = announcement.attachments[Number(req.params.index)];
+    if (!attachment)
+      return res.status(404).json({ message: "Attachment not found" });
+
+    const filePath = path.resolve(attachment.filePath);
+    if (!fs.existsSync(filePath))
+      return res.status(404).json({ message: "File not found on server" });
+
+    res.download(filePath, attachment.fileName);
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid groupId or announcementId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
@@ -0,0 +1,88 @@
+const ApiKey = require("../models/ApiKey");
+const { API_KEY_SCOPES } = require("../models/ApiKey");
+const { generateApiKey } = require("../utils/apiKey");
+
+const MAX_ACTIVE_KEYS = 10;
+const PUBLIC_FIELDS = "name prefix scopes lastUsedAt lastUsedIp expiresAt revokedAt createdAt";
+
+// POST /api/api-keys — create a personal API key (FACULTY / ADMIN)
+// The raw key is returned once and never stored
+exports.createKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    if (!name || !name.trim())
+      return res.status(400).json({ message: "name is required" });
+
+    if (!Array.isArray(scopes) || !scopes.length)
+      return res.status(400).json({ message: `scopes must be a non-empty array of: ${API_KEY_SCOPES.join(", ")}` });
+
+    const invalid = scopes.filter((s) => !API_KEY_SCOPES.includes(s));
+    if (invalid.length)
+      return res.status(400).json({ message: `Invalid scopes: ${invalid.join(", ")}` });
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= new Date())
+        return res.status(400).json({ message: "expiresAt must be a future date" });
+    }
+
+    const activeCount = await ApiKey.countDocuments({ userId: req.user.userId, revokedAt: null });
+    if (activeCount >= MAX_ACTIVE_KEYS)
+      return res.status(400).json({ message: `You can have at most ${MAX_ACTIVE_KEYS} active API keys` });
+
+    const { key, prefix, keyHash } = generateApiKey();
+
+    const apiKey = await ApiKey.create({
+      userId: req.user.userId,
+      name: name.trim(),
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiry,
+    });
+
+    const obj = apiKey.toObject();
+    delete obj.keyHash;
+
+    res.status(201).json({ message: "API key created. Copy it now — it will not be shown again.", key, apiKey: obj });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ message: err.message });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// GET /api/api-keys — list own keys (?includeRevoked=true to show revoked ones)
+exports.listKeys = async (req, res) => {
+  try {
+    const filter = { userId: req.user.userId };
+    if (req.query.includeRevoked !== "true") filter.revokedAt = null;
+
+    const keys = await ApiKey.find(filter).select(PUBLIC_FIELDS).sort({ createdAt: -1 }).lean();
+    res.json({ count: keys.length, keys, availableScopes: API_KEY_SCOPES });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// DELETE /api/api-keys/:keyId — revoke own key
+exports.revokeKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.keyId, userId: req.user.userId });
+    if (!apiKey) return res.status(404).json({ message: "API key not found" });
+
+    if (apiKey.revokedAt)
+      return res.status(400).json({ message: "API key already revoked" });
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+
+    res.json({ message: "API key revoked" });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid keyId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
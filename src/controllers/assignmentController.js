@@ -0,0 +1,736 @@
+const fs = require("fs");
+const path = require("path");
+const AcademicGroup = require("../models/AcademicGroup");
+const Assignment = require("../models/Assignment");
+const { SUBMISSION_MODES } = require("../models/Assignment");
+const AssignmentSubmission = require("../models/AssignmentSubmission");
+const Notification = require("../models/Notification");
+const StudentProfile = require("../models/StudentProfile");
+const User = require("../models/User");
+const { ARCHIVED_GROUP_MESSAGE, isMember } = require("../utils/groupMembership");
+const { hasPermission } = require("../utils/permissions");
+const { teachesGroup, withinTeachingScope } = require("../utils/teaching");
+const {
+  isSubmissionClosed,
+  checkSubmissionWindow,
+  computeGrade,
+  removeSubmissionFile,
+  getGroupStudentIds,
+  notifyNewAssignment,
+} = require("../utils/assignments");
+const { toCsv } = require("../utils/csv");
+const { recordAudit } = require("../utils/audit");
+
+const DEFAULT_MAX_SCORE = 100;
+const MAX_RUBRIC_CRITERIA = 20;
+const EDITABLE_FIELDS = [
+  "title",
+  "instructions",
+  "subject",
+  "dueAt",
+  "rubric",
+  "maxScore",
+  "submissionMode",
+  "allowLate",
+  "lateUntil",
+  "latePenaltyPercent",
+  "allowResubmission",
+];
+const CREATOR_FIELDS = "name email role";
+const STUDENT_FIELDS = "name email profilePicture";
+const SUBMISSION_CHANGED_MESSAGE = "The submission changed meanwhile — reload it and try again";
+
+// Removes the file multer saved for a request that is being rejected
+const discardUpload = (req) => {
+  if (req.file?.path) fs.unlink(req.file.path, () => {});
+};
+
+// Submission without the server-side file path
+const toPublicSubmission = (submission) => {
+  const { file, ...rest } = submission.toObject ? submission.toObject() : submission;
+  return { ...rest, file: file ? { fileName: file.fileName, fileSize: file.fileSize, mimeType: file.mimeType } : null };
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? { error: `${name} must be a valid date` } : { date };
+};
+
+/**
+ * Picks the assignment settings present in the body and checks them, merged
+ * over `current` when editing. A non-empty rubric sets maxScore to its total.
+ * Returns { fields } or { error }.
+ */
+const parseAssignmentFields = (body, current = {}) => {
+  const fields = {};
+  ["title", "instructions", "subject"].forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+
+  if (body.submissionMode !== undefined) {
+    fields.submissionMode = String(body.submissionMode).toUpperCase();
+    if (!SUBMISSION_MODES.includes(fields.submissionMode))
+      return { error: `submissionMode must be one of: ${SUBMISSION_MODES.join(", ")}` };
+  }
+  for (const key of ["allowLate", "allowResubmission"]) {
+    if (body[key] === undefined) continue;
+    if (typeof body[key] !== "boolean") return { error: `${key} must be a boolean` };
+    fields[key] = body[key];
+  }
+  if (body.latePenaltyPercent !== undefined) {
+    const percent = Number(body.latePenaltyPercent);
+    if (Number.isNaN(percent) || percent < 0 || percent > 100)
+      return { error: "latePenaltyPercent must be between 0 and 100" };
+    fields.latePenaltyPercent = percent;
+  }
+
+  if (body.dueAt !== undefined) {
+    const { date, error } = parseDate(body.dueAt, "dueAt");
+    if (error) return { error };
+    fields.dueAt = date;
+  }
+  if (body.lateUntil !== undefined) {
+    if (body.lateUntil === null || body.lateUntil === "") fields.lateUntil = null;
+    else {
+      const { date, error } = parseDate(body.lateUntil, "lateUntil");
+      if (error) return { error };
+      fields.lateUntil = date;
+    }
+  }
+
+  if (body.rubric !== undefined) {
+    if (!Array.isArray(body.rubric)) return { error: "rubric must be an array" };
+    if (body.rubric.length > MAX_RUBRIC_CRITERIA)
+      return { error: `A rubric can have at most ${MAX_RUBRIC_CRITERIA} criteria` };
+    fields.rubric = body.rubric.map((c) => ({ criterion: c?.criterion, maxPoints: Number(c?.maxPoints) }));
+  }
+  const rubric = fields.rubric ?? current.rubric ?? [];
+  if (rubric.length) fields.maxScore = Math.round(rubric.reduce((sum, c) => sum + c.maxPoints, 0) * 100) / 100;
+  else if (body.maxScore !== undefined) fields.maxScore = Number(body.maxScore);
+
+  const dueAt = fields.dueAt ?? current.dueAt;
+  const lateUntil = fields.lateUntil !== undefined ? fields.lateUntil : current.lateUntil;
+  if (!dueAt) return { error: "dueAt is required" };
+  if (lateUntil && lateUntil <= dueAt) return { error: "lateUntil must be after dueAt" };
+
+  return { fields };
+};
+
+/**
+ * Grading is open to the creator, faculty teaching the group and
+ * assignment:manage (ADMIN by default).
+ */
+const canGrade = async (user, assignment) => {
+  if (assignment.createdBy.toString() === user.userId.toString()) return true;
+  if (await hasPermission(user.role, "assignment:manage")) return true;
+  return (await hasPermission(user.role, "assignment:create")) && teachesGroup(user.userId, assignment.groupId);
+};
+
+/**
+ * Loads :assignmentId and checks the caller can open its group.
+ * Returns { assignment, group } or { status, message }.
+ */
+const loadAssignment = async (req) => {
+  const assignment = await Assignment.findById(req.params.assignmentId);
+  if (!assignment) return { status: 404, message: "Assignment not found" };
+  if (!(await isMember(req.user.userId, req.user.role, assignment.groupId)))
+    return { status: 403, message: "You are not a member of this group" };
+  const group = await AcademicGroup.findById(assignment.groupId).select("name archivedAt").lean();
+  return { assignment, group };
+};
+
+// Same as loadAssignment, but only for graders
+const loadGradableAssignment = async (req) => {
+  const loaded = await loadAssignment(req);
+  if (!loaded.assignment) return loaded;
+  if (!(await canGrade(req.user, loaded.assignment)))
+    return { status: 403, message: "Only the assignment's faculty can do this" };
+  return loaded;
+};
+
+// rollNumber per userId, for the given ids
+const rollNumbers = async (userIds) => {
+  const profiles = await StudentProfile.find({ userId: { $in: userIds } }).select("userId rollNumber").lean();
+  return new Map(profiles.map((p) => [p.userId.toString(), p.rollNumber]));
+};
+
+const byRollNumber = (a, b) => String(a.rollNumber || a.user?.name).localeCompare(String(b.rollNumber || b.user?.name));
+
+// ─── POST /api/assignments ───────────────────────────────────────────────────
+// Body: { groupId, title, instructions?, subject?, dueAt, rubric?[{ criterion, maxPoints }],
+//         maxScore? (no rubric, def 100), submissionMode?, allowLate?, lateUntil?,
+//         latePenaltyPercent?, allowResubmission? }
+exports.createAssignment = async (req, res) => {
+  try {
+    if (!req.body.groupId) return res.status(400).json({ message: "groupId is required" });
+
+    const group = await AcademicGroup.findOne({ _id: req.body.groupId, isActive: true });
+    if (!group) return res.status(404).json({ message: "Group not found" });
+    if (group.archivedAt) return res.status(403).json({ message: ARCHIVED_GROUP_MESSAGE });
+    if (!(await withinTeachingScope(req.user.userId, req.user.role, group._id)))
+      return res.status(403).json({ message: "You can only set assignments in groups you teach" });
+
+    const { fields, error } = parseAssignmentFields(req.body);
+    if (error) return res.status(400).json({ message: error });
+    if (fields.dueAt <= new Date()) return res.status(400).json({ message: "dueAt must be in the future" });
+
+    const assignment = await Assignment.create({
+      maxScore: DEFAULT_MAX_SCORE,
+      ...fields,
+      groupId: group._id,
+      createdBy: req.user.userId,
+    });
+
+    notifyNewAssignment(assignment, group.name).catch((err) =>
+      console.error("Assignment notification failed:", err.message)
+    );
+
+    res.status(201).json({ message: "Assignment created", assignment });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ message: err.message });
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid groupId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── GET /api/assignments/group/:groupId ─────────────────────────────────────
+// Newest due date first. Query: status (upcoming | past), page, limit.
+// Students get their own submission, graders submission counts
+exports.listAssignments = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    if (!(await isMember(req.user.userId, req.user.role, groupId)))
+      return res.status(403).json({ message: "You are not a member of this group" });
+
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+
+    const filter = { groupId };
+    if (req.query.status === "upcoming") filter.dueAt = { $gte: new Date() };
+    else if (req.query.status === "past") filter.dueAt = { $lt: new Date() };
+
+    const [assignments, total] = await Promise.all([
+      Assignment.find(filter)
+        .populate("createdBy", CREATOR_FIELDS)
+        .sort({ dueAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Assignment.countDocuments(filter),
+    ]);
+    const ids = assignments.map((a) => a._id);
+
+    let extra;
+    if (await hasPermission(req.user.role, "assignment:submit")) {
+      const mine = await AssignmentSubmission.find({ assignmentId: { $in: ids }, studentId: req.user.userId })
+        .select("assignmentId status submittedAt isLate score")
+        .lean();
+      const byAssignment = new Map(mine.map((s) => [s.assignmentId.toString(), s]));
+      extra = (a) => ({ mySubmission: byAssignment.get(a._id.toString()) || null });
+    } else {
+      const counts = await AssignmentSubmission.aggregate([
+        { $match: { assignmentId: { $in: ids } } },
+        {
+          $group: {
+            _id: "$assignmentId",
+            submitted: { $sum: 1 },
+            graded: { $sum: { $cond: [{ $eq: ["$status", "GRADED"] }, 1, 0] } },
+          },
+        },
+      ]);
+      const byAssignment = new Map(counts.map((c) => [c._id.toString(), c]));
+      extra = (a) => {
+        const c = byAssignment.get(a._id.toString());
+        return { submissionCount: c?.submitted || 0, gradedCount: c?.graded || 0 };
+      };
+    }
+
+    res.json({
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      totalAssignments: total,
+      assignments: assignments.map((a) => ({ ...a, ...extra(a) })),
+    });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid groupId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── GET /api/assignments/:assignmentId ──────────────────────────────────────
+exports.getAssignment = async (req, res) => {
+  try {
+    const { assignment, group, status, message } = await loadAssignment(req);
+    if (!assignment) return res.status(status).json({ message });
+
+    const isGrader = await canGrade(req.user, assignment);
+    await assignment.populate("createdBy", CREATOR_FIELDS);
+    const mine = await AssignmentSubmission.findOne({ assignmentId: assignment._id, studentId: req.user.userId });
+
+    res.json({
+      assignment: { ...assignment.toObject(), groupName: group?.name || null },
+      mySubmission: mine ? toPublicSubmission(mine) : null,
+      canGrade: isGrader,
+    });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid assignmentId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── PUT /api/assignments/:assignmentId ──────────────────────────────────────
+// Same fields as create except groupId. The rubric / maxScore are locked once grading started
+exports.updateAssignment = async (req, res) => {
+  try {
+    const { assignment, group, status, message } = await loadGradableAssignment(req);
+    if (!assignment) return res.status(status).json({ message });
+    if (group?.archivedAt) return res.status(403).json({ message: ARCHIVED_GROUP_MESSAGE });
+
+    if (!EDITABLE_FIELDS.some((f) => req.body[f] !== undefined))
+      return res.status(400).json({ message: "No updatable fields provided" });
+    const { fields, error } = parseAssignmentFields(req.body, assignment);
+    if (error) return res.status(400).json({ message: error });
+
+    const scoringChanged = fields.rubric !== undefined || (fields.maxScore !== undefined && fields.maxScore !== assignment.maxScore);
+    if (scoringChanged && (await AssignmentSubmission.exists({ assignmentId: assignment._id, gradedAt: { $ne: null } })))
+      return res.status(409).json({ message: "The rubric and maxScore cannot change after grading has started" });
+
+    assignment.set(fields);
+    await assignment.save();
+
+    res.json({ message: "Assignment updated", assignment });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ message: err.message });
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid assignmentId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── DELETE /api/assignments/:assignmentId ───────────────────────────────────
+// Also deletes every submission and its file
+exports.deleteAssignment = async (req, res) => {
+  try {
+    const { assignment, status, message } = await loadGradableAssignment(req);
+    if (!assignment) return res.status(status).json({ message });
+
+    const submissions = await AssignmentSubmission.find({ assignmentId: assignment._id }).select("file").lean();
+    submissions.forEach((s) => removeSubmissionFile(s.file));
+    await AssignmentSubmission.deleteMany({ assignmentId: assignment._id });
+    await assignment.deleteOne();
+
+    if (assignment.createdBy.toString() !== req.user.userId.toString()) {
+      recordAudit(req, {
+        action: "assignment.delete",
+        targetType: "Assignment",
+        targetId: assignment._id,
+        before: {
+          title: assignment.title,
+          createdBy: assignment.createdBy,
+          dueAt: assignment.dueAt,
+          submissions: submissions.length,
+        },
+        meta: { groupId: assignment.groupId },
+      });
+    }
+
+    res.json({ message: "Assignment deleted", submissionsDeleted: submissions.length });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid assignmentId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── POST /api/assignments/:assignmentId/submissions ─────────────────────────
+// multipart/form-data: file? (PDF), text? — resubmitting replaces the earlier work
+exports.submitAssignment = async (req, res) => {
+  let saved = false;
+  try {
+    const reject = (code, message) => {
+      discardUpload(req);
+      return res.status(code).json({ message });
+    };
+
+    const { assignment, group, status, message } = await loadAssignment(req);
+    if (!assignment) return reject(status, message);
+    if (group?.archivedAt) return reject(403, ARCHIVED_GROUP_MESSAGE);
+
+    const text = typeof req.body.text === "string" ? req.body.text.trim() : "";
+    if (assignment.submissionMode === "FILE" && !req.file) return reject(400, "A PDF file is required");
+    if (assignment.submissionMode === "TEXT" && !text) return reject(400, "text is required");
+    if (assignment.submissionMode === "TEXT" && req.file) return reject(400, "This assignment takes text answers only");
+    if (!text && !req.file) return reject(400, "Attach a PDF file or enter text");
+
+    const existing = await AssignmentSubmission.findOne({ assignmentId: assignment._id, studentId: req.user.userId });
+    const now = new Date();
+    const timing = checkSubmissionWindow(assignment, existing, now);
+    if (timing.status) return reject(timing.status, timing.message);
+
+    const work = {
+      text,
+      file: req.file
+        ? { fileName: req.file.originalname, filePath: req.file.path, fileSize: req.file.size, mimeType: req.file.mimetype }
+        : null,
+      submittedAt: now,
+      isLate: timing.isLate,
+      daysLate: timing.daysLate,
+      status: "SUBMITTED",
+    };
+
+    let submission;
+    if (!existing) {
+      submission = await AssignmentSubmission.create({
+        ...work,
+        assignmentId: assignment._id,
+        groupId: assignment.groupId,
+        studentId: req.user.userId,
+      });
+    } else {
+      // Only replaces the attempt checked above — a concurrent resubmission or
+      // grading in between makes this a no-op
+      submission = await AssignmentSubmission.findOneAndUpdate(
+        { _id: existing._id, attempt: existing.attempt, status: existing.status },
+        {
+          $push: {
+            history: {
+              attempt: existing.attempt,
+              submittedAt: existing.submittedAt,
+              isLate: existing.isLate,
+              fileName: existing.file?.fileName || null,
+              status: existing.status,
+              score: existing.score,
+              feedback: existing.feedback,
+              gradedAt: existing.gradedAt,
+            },
+          },
+          $set: {
+            ...work,
+            attempt: existing.attempt + 1,
+            rubricScores: [],
+            rawScore: null,
+            latePenalty: 0,
+            score: null,
+            feedback: "",
+            gradedBy: null,
+            gradedAt: null,
+            resubmitBy: null,
+          },
+        },
+        { new: true, runValidators: true }
+      );
+      if (!submission) return reject(409, SUBMISSION_CHANGED_MESSAGE);
+      removeSubmissionFile(existing.file);
+    }
+    saved = true;
+
+    res.status(existing ? 200 : 201).json({
+      message: existing ? "Assignment resubmitted" : "Assignment submitted",
+      submission: toPublicSubmission(submission),
+    });
+  } catch (err) {
+    if (!saved) discardUpload(req);
+    if (err.name === "ValidationError")
+      return res.status(400).json({ message: err.message });
+    if (err.code === 11000)
+      return res.status(409).json({ message: "Submission already in progress, try again" });
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid assignmentId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── GET /api/assignments/:assignmentId/submissions ──────────────────────────
+// Graders. Query: status (SUBMITTED | GRADED | RETURNED | LATE)
+// Also lists the group's students who have not submitted
+exports.listSubmissions = async (req, res) => {
+  try {
+    const { assignment, status, message } = await loadGradableAssignment(req);
+    if (!assignment) return res.status(status).json({ message });
+
+    const [submissions, studentIds] = await Promise.all([
+      AssignmentSubmission.find({ assignmentId: assignment._id })
+        .select("-text -history -rubricScores")
+        .populate("studentId", STUDENT_FIELDS)
+        .lean(),
+      getGroupStudentIds(assignment.groupId),
+    ]);
+
+    const submitted = new Set(submissions.map((s) => s.studentId?._id.toString()));
+    const missingIds = studentIds.filter((id) => !submitted.has(id.toString()));
+    const [missingUsers, rolls] = await Promise.all([
+      User.find({ _id: { $in: missingIds } }).select(STUDENT_FIELDS).lean(),
+      rollNumbers([...studentIds, ...submissions.map((s) => s.studentId?._id).filter(Boolean)]),
+    ]);
+
+    const rows = submissions
+      .filter((s) => s.studentId)
+      .map(({ studentId, ...s }) => ({
+        ...toPublicSubmission(s),
+        studentId: studentId._id,
+        user: studentId,
+        rollNumber: rolls.get(studentId._id.toString()) || null,
+      }));
+    const counts = {
+      students: studentIds.length,
+      submitted: rows.length,
+      graded: rows.filter((s) => s.status === "GRADED").length,
+      returned: rows.filter((s) => s.status === "RETURNED").length,
+      late: rows.filter((s) => s.isLate).length,
+      missing: missingUsers.length,
+    };
+
+    const filter = String(req.query.status || "").toUpperCase();
+    const listed = filter === "LATE" ? rows.filter((s) => s.isLate) : filter ? rows.filter((s) => s.status === filter) : rows;
+
+    res.json({
+      counts,
+      submissions: listed.sort(byRollNumber),
+      missing: missingUsers
+        .map((user) => ({ user, rollNumber: rolls.get(user._id.toString()) || null }))
+        .sort(byRollNumber),
+    });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid assignmentId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+/**
+ * Loads :submissionId of the assignment for its student or a grader.
+ * Returns { assignment, submission, isGrader } or { status, message }.
+ */
+const loadSubmission = async (req) => {
+  const { assignment, group, status, message } = await loadAssignment(req);
+  if (!assignment) return { status, message };
+
+  const submission = await AssignmentSubmission.findOne({ _id: req.params.submissionId, assignmentId: assignment._id });
+  if (!submission) return { status: 404, message: "Submission not found" };
+
+  const isGrader = await canGrade(req.user, assignment);
+  if (!isGrader && submission.studentId.toString() !== req.user.userId.toString())
+    return { status: 404, message: "Submission not found" };
+  return { assignment, group, submission, isGrader };
+};
+
+// ─── GET /api/assignments/:assignmentId/submissions/:submissionId ────────────
+exports.getSubmission = async (req, res) => {
+  try {
+    const { submission, status, message } = await loadSubmission(req);
+    if (!submission) return res.status(status).json({ message });
+
+    await submission.populate([
+      { path: "studentId", select: STUDENT_FIELDS },
+      { path: "gradedBy", select: "name role" },
+    ]);
+    res.json({ submission: toPublicSubmission(submission) });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid assignmentId or submissionId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── GET /api/assignments/:assignmentId/submissions/:submissionId/file ───────
+exports.downloadSubmissionFile = async (req, res) => {
+  try {
+    const { submission, status, message } = await loadSubmission(req);
+    if (!submission) return res.status(status).json({ message });
+    if (!submission.file) return res.status(404).json({ message: "This submission has no file" });
+
+    const filePath = path.resolve(submission.file.filePath);
+    if (!fs.existsSync(filePath))
+      return res.status(404).json({ message: "File not found on server" });
+
+    res.download(filePath, submission.file.fileName);
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid assignmentId or submissionId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── PUT /api/assignments/:assignmentId/submissions/:submissionId/grade ──────
+// Body: { rubricScores?[{ criterionId, points }] | score?, feedback?,
+//         returnForResubmission?, resubmitBy? }
+// Returning sends the work back with feedback; the student can submit again
+exports.gradeSubmission = async (req, res) => {
+  try {
+    const { assignment, group, submission, isGrader, status, message } = await loadSubmission(req);
+    if (!submission) return res.status(status).json({ message });
+    if (!isGrader) return res.status(403).json({ message: "Only the assignment's faculty can do this" });
+    if (group?.archivedAt) return res.status(403).json({ message: ARCHIVED_GROUP_MESSAGE });
+
+    // The attempt the grader looked at — a resubmission since then must not get its grade
+    const attempt = Number(req.body.attempt);
+    if (req.body.attempt === undefined || req.body.attempt === null || !Number.isInteger(attempt))
+      return res.status(400).json({ message: "attempt is required" });
+    if (attempt !== submission.attempt) return res.status(409).json({ message: SUBMISSION_CHANGED_MESSAGE });
+
+    const returning = req.body.returnForResubmission === true;
+    const feedback = typeof req.body.feedback === "string" ? req.body.feedback.trim() : undefined;
+    const hasScore = req.body.rubricScores !== undefined || req.body.score !== undefined;
+
+    if (returning && !feedback)
+      return res.status(400).json({ message: "feedback is required when returning work" });
+
+    let resubmitBy = null;
+    if (returning && req.body.resubmitBy) {
+      const { date, error } = parseDate(req.body.resubmitBy, "resubmitBy");
+      if (error) return res.status(400).json({ message: error });
+      if (date <= new Date()) return res.status(400).json({ message: "resubmitBy must be in the future" });
+      resubmitBy = date;
+    }
+    // Without its own deadline, returned work follows the normal window — which may be over
+    if (returning && !resubmitBy && isSubmissionClosed(assignment))
+      return res.status(400).json({ message: "resubmitBy is required when submissions are closed" });
+
+    let grade = null;
+    if (!returning || hasScore) {
+      grade = computeGrade(assignment, submission, req.body);
+      if (grade.error) return res.status(400).json({ message: grade.error });
+    }
+
+    const previousScore = submission.status === "GRADED" ? submission.score : null;
+    // Applies only if nobody resubmitted or graded since the submission was loaded
+    const graded = await AssignmentSubmission.findOneAndUpdate(
+      { _id: submission._id, attempt, status: submission.status, gradedAt: submission.gradedAt },
+      {
+        $set: {
+          ...(grade || { rubricScores: [], rawScore: null, latePenalty: 0, score: null }),
+          ...(feedback !== undefined && { feedback }),
+          status: returning ? "RETURNED" : "GRADED",
+          resubmitBy,
+          gradedBy: req.user.userId,
+          gradedAt: new Date(),
+        },
+      },
+      { new: true, runValidators: true }
+    );
+    if (!graded) return res.status(409).json({ message: SUBMISSION_CHANGED_MESSAGE });
+
+    if (previousScore !== null && previousScore !== graded.score) {
+      recordAudit(req, {
+        action: "assignment.regrade",
+        targetType: "AssignmentSubmission",
+        targetId: submission._id,
+        before: { score: previousScore },
+        after: { score: graded.score },
+        meta: { assignmentId: assignment._id, studentId: submission.studentId },
+      });
+    }
+
+    Notification.create({
+      targetUserId: submission.studentId,
+      targetGroupId: assignment.groupId,
+      type: "ASSIGNMENT",
+      payload: {
+        assignmentId: assignment._id,
+        title: returning ? "Assignment returned" : "Assignment graded",
+        message: returning
+          ? `"${assignment.title}" was returned for resubmission${resubmitBy ? ` by ${resubmitBy.toISOString()}` : ""}`
+          : `"${assignment.title}" was graded: ${graded.score}/${assignment.maxScore}`,
+        createdBy: req.user.userId,
+      },
+    }).catch((err) => console.error("Assignment notification failed:", err.message));
+
+    res.json({
+      message: returning ? "Submission returned for resubmission" : "Submission graded",
+      submission: toPublicSubmission(graded),
+    });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ message: err.message });
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid assignmentId or submissionId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── GET /api/assignments/:assignmentId/export ───────────────────────────────
+// CSV, one row per student of the group (MISSING when not submitted) plus
+// one points column per rubric criterion
+exports.exportSubmissionsCsv = async (req, res) => {
+  try {
+    const { assignment, status, message } = await loadGradableAssignment(req);
+    if (!assignment) return res.status(status).json({ message });
+
+    const [submissions, studentIds] = await Promise.all([
+      AssignmentSubmission.find({ assignmentId: assignment._id }).select("-text -history").lean(),
+      getGroupStudentIds(assignment.groupId),
+    ]);
+    const ids = [...new Set([...studentIds, ...submissions.map((s) => s.studentId)].map(String))];
+    const [users, rolls] = await Promise.all([
+      User.find({ _id: { $in: ids } }).select("name email").lean(),
+      rollNumbers(ids),
+    ]);
+    const bySubmitter = new Map(submissions.map((s) => [s.studentId.toString(), s]));
+
+    const rows = users
+      .map((user) => ({ user, rollNumber: rolls.get(user._id.toString()) || "", s: bySubmitter.get(user._id.toString()) }))
+      .sort(byRollNumber)
+      .map(({ user, rollNumber, s }) => {
+        const points = new Map((s?.rubricScores || []).map((r) => [r.criterionId.toString(), r.points]));
+        return [
+          rollNumber,
+          user.name,
+          user.email,
+          s ? s.status : "MISSING",
+          s?.submittedAt?.toISOString(),
+          s?.attempt,
+          s ? (s.isLate ? "yes" : "no") : "",
+          s?.daysLate || "",
+          s?.file?.fileName,
+          ...assignment.rubric.map((c) => points.get(c._id.toString())),
+          s?.rawScore,
+          s?.latePenalty || "",
+          s?.score,
+          assignment.maxScore,
+          s?.gradedAt?.toISOString(),
+          s?.feedback,
+        ];
+      });
+
+    const headers = [
+      "rollNumber",
+      "name",
+      "email",
+      "status",
+      "submittedAt",
+      "attempt",
+      "late",
+      "daysLate",
+      "fileName",
+      ...assignment.rubric.map((c) => c.criterion),
+      "rawScore",
+      "latePenalty",
+      "score",
+      "maxScore",
+      "gradedAt",
+      "feedback",
+    ];
+    const safeTitle = assignment.title.replace(/[^A-Za-z0-9-]+/g, "_").slice(0, 50);
+
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader("Content-Disposition", `attachment; filename="submissions_${safeTitle}_${Date.now()}.csv"`);
+    res.send(toCsv(headers, rows));
+
+    recordAudit(req, {
+      action: "assignment.export",
+      targetType: "Assignment",
+      targetId: assignment._id,
+      meta: { groupId: assignment.groupId, count: rows.length },
+    });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid assignmentId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
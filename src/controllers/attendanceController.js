@@ -0,0 +1,460 @@
+const mongoose = require("mongoose");
+const AcademicGroup = require("../models/AcademicGroup");
+const ClassSession = require("../models/ClassSession");
+const { ATTENDANCE_STATUSES } = require("../models/ClassSession");
+const GroupMembership = require("../models/GroupMembership");
+const StudentProfile = require("../models/StudentProfile");
+const User = require("../models/User");
+const { ARCHIVED_GROUP_MESSAGE } = require("../utils/groupMembership");
+const { hasPermission } = require("../utils/permissions");
+const { withinTeachingScope } = require("../utils/teaching");
+const {
+  LOW_ATTENDANCE_PERCENT,
+  percentage,
+  attendanceStats,
+  sendLowAttendanceAlerts,
+} = require("../utils/attendance");
+const { toCsv, escapeCsv } = require("../utils/csv");
+const { streamWriter } = require("../utils/stream");
+const { recordAudit } = require("../utils/audit");
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const FUTURE_SLACK_MS = 5 * 60 * 1000;
+const STUDENT_FIELDS = "name email profilePicture";
+const SUBJECT_COLLATION = { locale: "en", strength: 2 };
+
+/**
+ * Parses from / to query dates; a date-only `to` includes that whole day.
+ * Returns { range } (undefined when neither is given) or { error }.
+ */
+const parseRange = ({ from, to }) => {
+  if (!from && !to) return {};
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) {
+    range.$lte = new Date(to);
+    if (DATE_ONLY.test(to)) range.$lte.setUTCHours(23, 59, 59, 999);
+  }
+  if (Object.values(range).some((d) => isNaN(d.getTime())))
+    return { error: "from / to must be valid dates" };
+  return { range };
+};
+
+/**
+ * Filter for the sessions of a group, narrowed by the subject / from / to query.
+ * Returns { filter } or { error }.
+ */
+const sessionFilter = (groupId, query) => {
+  const { range, error } = parseRange(query);
+  if (error) return { error };
+  const filter = { groupId };
+  if (query.subject) filter.subject = String(query.subject).trim();
+  if (range) filter.heldAt = range;
+  return { filter };
+};
+
+// Ids of the group's current student members (deleted accounts excluded)
+const studentMemberIds = async (groupId) => {
+  const memberships = await GroupMembership.find({ groupId }).select("userId").lean();
+  const students = await User.find({
+    _id: { $in: memberships.map((m) => m.userId) },
+    role: "STUDENT",
+    deletedAt: null,
+  })
+    .select("_id")
+    .lean();
+  return new Set(students.map((u) => u._id.toString()));
+};
+
+/**
+ * Validates [{ userId, status }] against the allowed student ids.
+ * Returns { marks: Map userId → status } or { error }.
+ */
+const parseRecords = (records, allowed) => {
+  if (records === undefined) return { marks: new Map() };
+  if (!Array.isArray(records)) return { error: "records must be an array" };
+
+  const marks = new Map();
+  for (const r of records) {
+    const status = String(r?.status || "").toUpperCase();
+    if (!ATTENDANCE_STATUSES.includes(status))
+      return { error: `status must be one of: ${ATTENDANCE_STATUSES.join(", ")}` };
+    marks.set(String(r.userId), status);
+  }
+  const unknown = [...marks.keys()].filter((id) => !allowed.has(id));
+  if (unknown.length)
+    return { error: `Not student members of this group: ${unknown.join(", ")}` };
+  return { marks };
+};
+
+const countStatuses = (records) =>
+  Object.fromEntries(
+    ATTENDANCE_STATUSES.map((s) => [s.toLowerCase(), records.filter((r) => r.status === s).length])
+  );
+
+// rollNumber per userId, for the given ids
+const rollNumbers = async (userIds) => {
+  const profiles = await StudentProfile.find({ userId: { $in: userIds } }).select("userId rollNumber").lean();
+  return new Map(profiles.map((p) => [p.userId.toString(), p.rollNumber]));
+};
+
+/**
+ * Loads :sessionId and checks the caller may correct it: its taker or
+ * attendance:manage, and (faculty) within the teaching scope.
+ * Returns { session, group } or { status, message }.
+ */
+const loadEditableSession = async (req) => {
+  const session = await ClassSession.findById(req.params.sessionId);
+  if (!session) return { status: 404, message: "Session not found" };
+
+  const isTaker = session.takenBy.toString() === req.user.userId.toString();
+  if (!isTaker && !(await hasPermission(req.user.role, "attendance:manage")))
+    return { status: 403, message: "You can only change sessions you took attendance for" };
+  if (!(await withinTeachingScope(req.user.userId, req.user.role, session.groupId)))
+    return { status: 403, message: "You can only take attendance in groups you teach" };
+
+  const group = await AcademicGroup.findById(session.groupId);
+  return { session, group };
+};
+
+// ─── POST /api/attendance/sessions ───────────────────────────────────────────
+// Body: { groupId, subject, heldAt?, topic?, defaultStatus? (PRESENT), records?[{ userId, status }] }
+// Every student member gets a record — defaultStatus unless listed in records
+exports.createSession = async (req, res) => {
+  try {
+    const { groupId, subject, heldAt, topic } = req.body;
+    if (!groupId) return res.status(400).json({ message: "groupId is required" });
+    if (typeof subject !== "string" || !subject.trim())
+      return res.status(400).json({ message: "subject is required" });
+
+    const defaultStatus = String(req.body.defaultStatus || "PRESENT").toUpperCase();
+    if (!ATTENDANCE_STATUSES.includes(defaultStatus))
+      return res.status(400).json({ message: `defaultStatus must be one of: ${ATTENDANCE_STATUSES.join(", ")}` });
+
+    const when = heldAt ? new Date(heldAt) : new Date();
+    if (isNaN(when.getTime())) return res.status(400).json({ message: "heldAt must be a valid date" });
+    if (when.getTime() > Date.now() + FUTURE_SLACK_MS)
+      return res.status(400).json({ message: "heldAt cannot be in the future" });
+
+    const group = await AcademicGroup.findOne({ _id: groupId, isActive: true });
+    if (!group) return res.status(404).json({ message: "Group not found" });
+    if (group.archivedAt) return res.status(403).json({ message: ARCHIVED_GROUP_MESSAGE });
+    if (!(await withinTeachingScope(req.user.userId, req.user.role, group._id)))
+      return res.status(403).json({ message: "You can only take attendance in groups you teach" });
+
+    const students = await studentMemberIds(group._id);
+    if (!students.size)
+      return res.status(400).json({ message: "This group has no student members" });
+
+    const { marks, error } = parseRecords(req.body.records, students);
+    if (error) return res.status(400).json({ message: error });
+
+    const session = await ClassSession.create({
+      groupId: group._id,
+      subject: subject.trim(),
+      heldAt: when,
+      topic: typeof topic === "string" ? topic.trim() || null : null,
+      takenBy: req.user.userId,
+      records: [...students].map((userId) => ({ userId, status: marks.get(userId) || defaultStatus })),
+    });
+
+    sendLowAttendanceAlerts(session, new Map(), group.name).catch((err) =>
+      console.error("Low attendance alert failed:", err.message)
+    );
+
+    res.status(201).json({
+      message: "Attendance recorded",
+      session: { ...session.toObject(), counts: countStatuses(session.records) },
+    });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ message: err.message });
+    if (err.code === 11000)
+      return res.status(409).json({ message: "A session of this subject is already recorded at that time" });
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid groupId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── GET /api/attendance/groups/:groupId/sessions ────────────────────────────
+// Query: subject, from, to, page, limit — newest first, records summarised as counts
+exports.listSessions = async (req, res) => {
+  try {
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+
+    const { filter, error } = sessionFilter(req.params.groupId, req.query);
+    if (error) return res.status(400).json({ message: error });
+
+    const [sessions, total] = await Promise.all([
+      ClassSession.find(filter)
+        .collation(SUBJECT_COLLATION)
+        .populate("takenBy", "name role")
+        .sort({ heldAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ClassSession.countDocuments(filter).collation(SUBJECT_COLLATION),
+    ]);
+
+    res.json({
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      totalSessions: total,
+      sessions: sessions.map(({ records, ...s }) => ({ ...s, counts: countStatuses(records) })),
+    });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid groupId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── GET /api/attendance/sessions/:sessionId ─────────────────────────────────
+exports.getSession = async (req, res) => {
+  try {
+    const session = await ClassSession.findById(req.params.sessionId)
+      .populate("groupId", "name type branch year section")
+      .populate("takenBy", "name role")
+      .populate("records.userId", STUDENT_FIELDS)
+      .lean();
+    if (!session) return res.status(404).json({ message: "Session not found" });
+
+    const rolls = await rollNumbers(session.records.map((r) => r.userId?._id).filter(Boolean));
+    session.records = session.records
+      .filter((r) => r.userId)
+      .map((r) => ({ user: r.userId, rollNumber: rolls.get(r.userId._id.toString()) || null, status: r.status }))
+      .sort((a, b) => String(a.rollNumber || a.user.name).localeCompare(String(b.rollNumber || b.user.name)));
+
+    res.json({ session: { ...session, counts: countStatuses(session.records) } });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid sessionId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── PUT /api/attendance/sessions/:sessionId ─────────────────────────────────
+// Correct marks. Body: { records?[{ userId, status }], topic? } — students who
+// joined the group after the session can be added
+exports.updateSession = async (req, res) => {
+  try {
+    const { session, group, status, message } = await loadEditableSession(req);
+    if (!session) return res.status(status).json({ message });
+    if (group?.archivedAt) return res.status(403).json({ message: ARCHIVED_GROUP_MESSAGE });
+
+    const { records, topic } = req.body;
+    if (records === undefined && topic === undefined)
+      return res.status(400).json({ message: "No updatable fields provided" });
+
+    const allowed = await studentMemberIds(session.groupId);
+    session.records.forEach((r) => allowed.add(r.userId.toString()));
+    const { marks, error } = parseRecords(records, allowed);
+    if (error) return res.status(400).json({ message: error });
+
+    const previous = new Map(session.records.map((r) => [r.userId.toString(), r.status]));
+    const changes = [];
+    marks.forEach((newStatus, userId) => {
+      const oldStatus = previous.get(userId) || null;
+      if (oldStatus === newStatus) return;
+      changes.push({ userId, before: oldStatus, after: newStatus });
+      const record = session.records.find((r) => r.userId.toString() === userId);
+      if (record) record.status = newStatus;
+      else session.records.push({ userId, status: newStatus });
+    });
+    if (topic !== undefined) session.topic = typeof topic === "string" ? topic.trim() || null : null;
+    await session.save();
+
+    if (changes.length) {
+      sendLowAttendanceAlerts(session, previous, group?.name).catch((err) =>
+        console.error("Low attendance alert failed:", err.message)
+      );
+      recordAudit(req, {
+        action: "attendance.update",
+        targetType: "ClassSession",
+        targetId: session._id,
+        before: changes.map(({ userId, before }) => ({ userId, status: before })),
+        after: changes.map(({ userId, after }) => ({ userId, status: after })),
+        meta: { groupId: session.groupId, subject: session.subject, heldAt: session.heldAt },
+      });
+    }
+
+    res.json({
+      message: "Attendance updated",
+      changed: changes.length,
+      session: { ...session.toObject(), counts: countStatuses(session.records) },
+    });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ message: err.message });
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid sessionId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── DELETE /api/attendance/sessions/:sessionId ──────────────────────────────
+exports.deleteSession = async (req, res) => {
+  try {
+    const { session, status, message } = await loadEditableSession(req);
+    if (!session) return res.status(status).json({ message });
+
+    await session.deleteOne();
+
+    recordAudit(req, {
+      action: "attendance.delete",
+      targetType: "ClassSession",
+      targetId: session._id,
+      before: {
+        groupId: session.groupId,
+        subject: session.subject,
+        heldAt: session.heldAt,
+        takenBy: session.takenBy,
+        counts: countStatuses(session.records),
+      },
+    });
+
+    res.json({ message: "Session deleted" });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid sessionId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── GET /api/attendance/me ──────────────────────────────────────────────────
+// Own attendance per group and subject. Query: groupId, from, to
+exports.getMyAttendance = async (req, res) => {
+  try {
+    const { range, error } = parseRange(req.query);
+    if (error) return res.status(400).json({ message: error });
+
+    const { groupId } = req.query;
+    if (groupId && !mongoose.Types.ObjectId.isValid(groupId))
+      return res.status(400).json({ message: "Invalid groupId" });
+
+    // aggregate() does not cast — ids must be ObjectIds
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+    const match = { "records.userId": userId };
+    if (groupId) match.groupId = new mongoose.Types.ObjectId(groupId);
+    if (range) match.heldAt = range;
+
+    const stats = await attendanceStats(match, [userId]);
+    const groups = await AcademicGroup.find({ _id: { $in: stats.map((s) => s.groupId) } }).select("name").lean();
+    const groupName = new Map(groups.map((g) => [g._id.toString(), g.name]));
+
+    const held = stats.reduce((sum, s) => sum + s.held, 0);
+    const attended = stats.reduce((sum, s) => sum + s.attended, 0);
+
+    res.json({
+      threshold: LOW_ATTENDANCE_PERCENT,
+      overall: { held, attended, percentage: percentage(held, attended) },
+      subjects: stats.map(({ userId, ...s }) => ({ ...s, groupName: groupName.get(s.groupId.toString()) || null })),
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── GET /api/attendance/groups/:groupId/summary ─────────────────────────────
+// Per student and subject. Query: subject, from, to, below (true — only students under the threshold)
+exports.getGroupSummary = async (req, res) => {
+  try {
+    const group = await AcademicGroup.findById(req.params.groupId).select("name type").lean();
+    if (!group) return res.status(404).json({ message: "Group not found" });
+
+    const { filter, error } = sessionFilter(group._id, req.query);
+    if (error) return res.status(400).json({ message: error });
+
+    const stats = await attendanceStats(filter);
+    const userIds = [...new Set(stats.map((s) => s.userId.toString()))];
+    const [users, rolls] = await Promise.all([
+      User.find({ _id: { $in: userIds } }).select(STUDENT_FIELDS).lean(),
+      rollNumbers(userIds),
+    ]);
+
+    let students = users.map((user) => {
+      const subjects = stats
+        .filter((s) => s.userId.toString() === user._id.toString())
+        .map(({ userId, groupId, ...s }) => s);
+      const held = subjects.reduce((sum, s) => sum + s.held, 0);
+      const attended = subjects.reduce((sum, s) => sum + s.attended, 0);
+      return {
+        user,
+        rollNumber: rolls.get(user._id.toString()) || null,
+        overall: { held, attended, percentage: percentage(held, attended) },
+        subjects,
+      };
+    });
+    if (req.query.below === "true") students = students.filter((s) => s.subjects.some((x) => x.isLow));
+    students.sort((a, b) => String(a.rollNumber || a.user.name).localeCompare(String(b.rollNumber || b.user.name)));
+
+    res.json({
+      groupName: group.name,
+      threshold: LOW_ATTENDANCE_PERCENT,
+      subjects: [...new Set(stats.map((s) => s.subject))].sort(),
+      totalStudents: students.length,
+      students,
+    });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid groupId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── GET /api/attendance/groups/:groupId/export ──────────────────────────────
+// CSV, one row per student per session. Query: subject, from, to
+exports.exportGroupCsv = async (req, res) => {
+  try {
+    const group = await AcademicGroup.findById(req.params.groupId).select("name").lean();
+    if (!group) return res.status(404).json({ message: "Group not found" });
+
+    const { filter, error } = sessionFilter(group._id, req.query);
+    if (error) return res.status(400).json({ message: error });
+
+    const userIds = await ClassSession.distinct("records.userId", filter).collation(SUBJECT_COLLATION);
+    const [users, rolls] = await Promise.all([
+      User.find({ _id: { $in: userIds } }).select("name email").lean(),
+      rollNumbers(userIds),
+    ]);
+    const userById = new Map(users.map((u) => [u._id.toString(), u]));
+
+    const headers = ["heldAt", "subject", "topic", "rollNumber", "name", "email", "status"];
+    const safeName = group.name.replace(/[^A-Za-z0-9-]+/g, "_");
+
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader("Content-Disposition", `attachment; filename="attendance_${safeName}_${Date.now()}.csv"`);
+    const out = streamWriter(res);
+    await out.write(toCsv(headers, []));
+
+    let count = 0;
+    const cursor = ClassSession.find(filter).collation(SUBJECT_COLLATION).sort({ heldAt: 1 }).lean().cursor();
+    for await (const session of cursor) {
+      if (out.closed) return;
+      const rows = session.records
+        .map((r) => ({ r, user: userById.get(r.userId.toString()), roll: rolls.get(r.userId.toString()) || "" }))
+        .sort((a, b) => String(a.roll).localeCompare(String(b.roll)));
+      for (const { r, user, roll } of rows) {
+        const row = [session.heldAt.toISOString(), session.subject, session.topic, roll, user?.name, user?.email, r.status];
+        await out.write("\r\n" + row.map(escapeCsv).join(","));
+        count++;
+      }
+    }
+    res.end();
+
+    recordAudit(req, {
+      action: "attendance.export",
+      targetType: "AcademicGroup",
+      targetId: group._id,
+      meta: { subject: req.query.subject || null, from: req.query.from || null, to: req.query.to || null, count },
+    });
+  } catch (err) {
+    if (res.headersSent) return res.end();
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid groupId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
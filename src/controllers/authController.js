@@ -1,41 +1,97 @@
 const User = require("../models/User");
+const Session = require("../models/Session");
 const bcrypt = require("bcrypt");
-const jwt = require("jsonwebtoken");
 const cloudinary = require("../config/cloudinary");
+const { sendMail, clientUrl } = require("../utils/mailer");
+const { issueUserToken, consumeUserToken } = require("../utils/userToken");
+const { claimInvite, recordInviteUse, releaseInvite } = require("../utils/invite");
+const { validateSignupEmail } = require("../utils/emailPolicy");
+const { checkLoginAllowed, recordLoginFailure, clearLoginFailures } = require("../utils/loginThrottle");
+const { accessClaims } = require("../utils/twoFactor");
+const {
+  hashToken,
+  generateRefreshToken,
+  signAccessToken,
+  setAccessCookie,
+  setAuthCookies,
+  clearAuthCookies,
+  tokenPayload,
+  startSession,
+  isRecentlyRotated,
+  revokeSessions,
+} = require("../utils/session");
+
+const MIN_PASSWORD_LENGTH = 8;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const TWO_FACTOR_CHALLENGE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+// ─── Helper: email a fresh verification link ─────────────────────────────────
+const sendVerificationEmail = async (user) => {
+  const token = await issueUserToken(user._id, "EMAIL_VERIFICATION", EMAIL_VERIFICATION_TTL_MS);
+  const link = clientUrl("/verify-email", { token });
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your CollegeHub email",
+    text:
+      `Hi ${user.name || user.email},\n\n` +
+      `Confirm your email address by opening the link below (valid for 24 hours).\n\n` +
+      `${link}`,
+  });
+};
 
 exports.register = async (req, res) => {
   try {
-    const { email, password, role, name } = req.body;
+    const { email, password, name, inviteCode } = req.body;
+
+    const emailError = validateSignupEmail(email);
+    if (emailError) return res.status(400).json({ message: emailError });
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH)
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
 
     const existingUser = await User.findOne({ email });
     if (existingUser)
       return res.status(400).json({ message: "User already exists" });
 
+    // Role comes only from a valid invite — self-signup is always STUDENT
+    let invite = null;
+    if (inviteCode) {
+      invite = await claimInvite(inviteCode, email);
+      if (!invite)
+        return res.status(400).json({ message: "Invalid or expired invite code" });
+    }
+
     const hashedPassword = await bcrypt.hash(password, 10);
 
-    const user = await User.create({
-      email,
-      password: hashedPassword,
-      role,
-      name: name?.trim() || null,
-    });
+    let user;
+    try {
+      user = await User.create({
+        email,
+        password: hashedPassword,
+        role: invite ? invite.role : "STUDENT",
+        name: name?.trim() || null,
+      });
+    } catch (err) {
+      if (invite) await releaseInvite(invite._id);
+      throw err;
+    }
 
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
+    if (invite) await recordInviteUse(invite._id, user._id);
+
+    // Fire-and-forget — the user can always ask for a new link
+    sendVerificationEmail(user).catch((err) =>
+      console.error("Verification email error:", err.message)
     );
 
-    res.cookie("token", token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "strict",
-      maxAge: 7 * 24 * 60 * 60 * 1000,
-    });
+    const claims = await accessClaims(user);
+    const { accessToken, refreshToken } = await startSession(res, req, user, claims);
 
     res.status(201).json({
       message: "User created",
-      user: { id: user._id, email: user.email, role: user.role, name: user.name, profilePicture: user.profilePicture },
+      user: { id: user._id, email: user.email, role: user.role, name: user.name, profilePicture: user.profilePicture, isVerified: user.isVerified },
+      twoFactorSetupRequired: !!claims.twoFactorSetupRequired,
+      ...tokenPayload(req, accessToken, refreshToken),
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -52,37 +108,193 @@ exports.getMe = async (req, res) => {
   }
 };
 
-exports.logout = (req, res) => {
-  res.clearCookie("token");
-  res.json({ message: "Logged out" });
+// POST /api/auth/logout — revoke the current session and clear cookies
+exports.logout = async (req, res) => {
+  try {
+    const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+    if (refreshToken)
+      await revokeSessions(req.app.get("io"), { refreshTokenHash: hashToken(refreshToken) });
+
+    clearAuthCookies(res);
+    res.json({ message: "Logged out" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/auth/refresh — rotate refresh token, issue a new access token
+exports.refresh = async (req, res) => {
+  try {
+    const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+    if (!refreshToken)
+      return res.status(401).json({ message: "Not authorized" });
+
+    const tokenHash = hashToken(refreshToken);
+    let session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+    // Token rotated out moments ago by a parallel refresh (another tab) —
+    // answer with an access token only and leave the newer refresh token in place
+    let rotate = true;
+    if (!session) {
+      const previous = await Session.findOne({ previousTokenHash: tokenHash });
+      if (previous && isRecentlyRotated(previous)) {
+        session = previous;
+        rotate = false;
+      } else {
+        // A rotated-out token is being replayed — assume theft and kill the session
+        if (previous) await revokeSessions(req.app.get("io"), { _id: previous._id });
+        clearAuthCookies(res);
+        return res.status(401).json({ message: "Session invalid" });
+      }
+    }
+
+    if (session.revokedAt || session.expiresAt <= new Date()) {
+      clearAuthCookies(res);
+      return res.status(401).json({ message: "Session expired" });
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user || user.loginBlockReason()) {
+      await revokeSessions(req.app.get("io"), { _id: session._id });
+      clearAuthCookies(res);
+      return res.status(401).json({ message: "Session invalid" });
+    }
+
+    let newRefreshToken = null;
+    if (rotate) {
+      newRefreshToken = generateRefreshToken();
+      const now = new Date();
+      // Conditional on the old hash so only one of two racing refreshes rotates
+      const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: tokenHash },
+        {
+          $set: {
+            previousTokenHash: tokenHash,
+            refreshTokenHash: hashToken(newRefreshToken),
+            rotatedAt: now,
+            lastUsedAt: now,
+          },
+        }
+      );
+      if (!rotated) newRefreshToken = null;
+    }
+
+    const accessToken = signAccessToken(user, session._id, await accessClaims(user));
+    if (newRefreshToken) setAuthCookies(res, accessToken, newRefreshToken);
+    else setAccessCookie(res, accessToken);
+
+    res.json({
+      message: "Token refreshed",
+      user: { id: user._id, email: user.email, role: user.role, name: user.name, profilePicture: user.profilePicture },
+      ...tokenPayload(req, accessToken, newRefreshToken || undefined),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// GET /api/auth/sessions — list own active sessions (devices)
+exports.listSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("userAgent ip lastUsedAt expiresAt createdAt")
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.json({
+      count: sessions.length,
+      sessions: sessions.map((s) => ({
+        ...s,
+        current: s._id.toString() === req.user.sessionId,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// DELETE /api/auth/sessions/:sessionId — revoke one of own sessions
+exports.revokeSession = async (req, res) => {
+  try {
+    const revoked = await revokeSessions(req.app.get("io"), {
+      _id: req.params.sessionId,
+      userId: req.user.userId,
+    });
+    if (!revoked) return res.status(404).json({ message: "Session not found" });
+
+    if (req.params.sessionId === req.user.sessionId) clearAuthCookies(res);
+    res.json({ message: "Session revoked" });
+  } catch (error) {
+    if (error.name === "CastError")
+      return res.status(400).json({ message: "Invalid sessionId" });
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// DELETE /api/auth/sessions — revoke all own sessions (?keepCurrent=true keeps this device)
+exports.revokeAllSessions = async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === "true";
+    const filter = { userId: req.user.userId };
+    if (keepCurrent) filter._id = { $ne: req.user.sessionId };
+
+    const revoked = await revokeSessions(req.app.get("io"), filter);
+    if (!keepCurrent) clearAuthCookies(res);
+
+    res.json({ message: "Sessions revoked", revoked });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 };
 
 exports.login = async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    if (!email || !password)
+      return res.status(400).json({ message: "email and password are required" });
+
+    const throttled = await checkLoginAllowed(email, req.ip);
+    if (throttled)
+      return res.status(429).json({
+        message: throttled.reason,
+        lockedUntil: throttled.lockedUntil,
+        retryAfter: Math.ceil(throttled.retryAfterMs / 1000),
+      });
+
     const user = await User.findOne({ email });
-    if (!user)
-      return res.status(400).json({ message: "Invalid credentials" });
+    const isMatch = user ? await bcrypt.compare(password, user.password) : false;
+    if (!isMatch) {
+      const { attemptsRemaining, lockedUntil } = await recordLoginFailure(email, req.ip);
+      return res.status(400).json({ message: "Invalid credentials", attemptsRemaining, lockedUntil });
+    }
 
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch)
-      return res.status(400).json({ message: "Invalid credentials" });
+    const blocked = user.loginBlockReason();
+    if (blocked)
+      return res.status(403).json({ message: blocked, suspendedUntil: user.suspendedUntil });
 
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    // 2FA enrolled — no cookies yet, client must call POST /api/auth/2fa/login
+    if (user.twoFactorEnabled) {
+      const challengeToken = await issueUserToken(user._id, "TWO_FACTOR_CHALLENGE", TWO_FACTOR_CHALLENGE_TTL_MS);
+      return res.json({ message: "Two-factor code required", twoFactorRequired: true, challengeToken });
+    }
 
-    res.cookie("token", token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "strict",
-      maxAge: 7 * 24 * 60 * 60 * 1000,
-    });
+    // Only a completed login resets the counter — with 2FA that is /2fa/login
+    await clearLoginFailures(email);
+
+    const claims = await accessClaims(user);
+    const { accessToken, refreshToken } = await startSession(res, req, user, claims);
 
-    res.json({ message: "Logged in", user: { id: user._id, email: user.email, role: user.role, name: user.name, profilePicture: user.profilePicture } });
+    res.json({
+      message: "Logged in",
+      user: { id: user._id, email: user.email, role: user.role, name: user.name, profilePicture: user.profilePicture, isVerified: user.isVerified },
+      twoFactorSetupRequired: !!claims.twoFactorSetupRequired,
+      ...tokenPayload(req, accessToken, refreshToken),
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -129,4 +341,132 @@ exports.deleteProfilePicture = async (req, res) => {
   } catch (err) {
     res.status(500).json({ message: "Server error", error: err.message });
   }
-};
\ No newline at end of file
+};
+
+// POST /api/auth/forgot-password — email a reset link (always 200, no user enumeration)
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email || typeof email !== "string")
+      return res.status(400).json({ message: "email is required" });
+
+    const user = await User.findOne({ email: email.trim() });
+    if (user) {
+      const token = await issueUserToken(user._id, "PASSWORD_RESET", PASSWORD_RESET_TTL_MS);
+      const link = clientUrl("/reset-password", { token });
+
+      await sendMail({
+        to: user.email,
+        subject: "Reset your CollegeHub password",
+        text:
+          `Hi ${user.name || user.email},\n\n` +
+          `Use the link below to set a new password. It expires in 1 hour and can be used once.\n\n` +
+          `${link}\n\n` +
+          `If you did not request this, you can ignore this email.`,
+      });
+    }
+
+    res.json({ message: "If an account exists for that email, a reset link has been sent" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/auth/reset-password — set a new password using an emailed token
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // Validate before consuming — a malformed request must not burn the link
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH)
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+
+    const resetToken = await consumeUserToken(token, "PASSWORD_RESET");
+    if (!resetToken)
+      return res.status(400).json({ message: "Reset link is invalid or has expired" });
+
+    const user = await User.findById(resetToken.userId);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    user.password = await bcrypt.hash(password, 10);
+    // The link arrived by email, so the address is proven
+    user.isVerified = true;
+    await user.save();
+
+    // Whoever had the old password must not stay logged in
+    await revokeSessions(req.app.get("io"), { userId: user._id });
+    clearAuthCookies(res);
+
+    res.json({ message: "Password reset. Please log in again." });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// PATCH /api/auth/password — change own password (requires current password)
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (typeof currentPassword !== "string" || !currentPassword || typeof newPassword !== "string" || !newPassword)
+      return res.status(400).json({ message: "currentPassword and newPassword are required" });
+    if (newPassword.length < MIN_PASSWORD_LENGTH)
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+
+    const user = await User.findById(req.user.userId);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch)
+      return res.status(400).json({ message: "Current password is incorrect" });
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+
+    // Sign out every other device; this one stays logged in
+    await revokeSessions(req.app.get("io"), {
+      userId: user._id,
+      _id: { $ne: req.user.sessionId },
+    });
+
+    res.json({ message: "Password changed" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/auth/verify-email — confirm email using the emailed token
+exports.verifyEmail = async (req, res) => {
+  try {
+    const verification = await consumeUserToken(req.body.token, "EMAIL_VERIFICATION");
+    if (!verification)
+      return res.status(400).json({ message: "Verification link is invalid or has expired" });
+
+    const user = await User.findByIdAndUpdate(
+      verification.userId,
+      { $set: { isVerified: true } },
+      { new: true }
+    );
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json({ message: "Email verified" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/auth/resend-verification — send a new verification link to self
+exports.resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (user.isVerified)
+      return res.status(400).json({ message: "Email already verified" });
+
+    await sendVerificationEmail(user);
+    res.json({ message: "Verification email sent" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
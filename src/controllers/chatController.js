@@ -1,5 +1,6 @@
 const GroupChatMessage = require("../models/GroupChatMessage");
-const { isMember } = require("../utils/groupMembership");
+const { ARCHIVED_GROUP_MESSAGE, isMember, isGroupArchived, canModerateChat } = require("../utils/groupMembership");
+const { recordAudit } = require("../utils/audit");
 
 // POST /api/chat/upload-image — upload image for chat, returns imageUrl
 exports.uploadImage = async (req, res) => {
@@ -15,6 +16,9 @@ exports.uploadImage = async (req, res) => {
     if (!member)
       return res.status(403).json({ message: "You are not a member of this group" });
 
+    if (await isGroupArchived(groupId))
+      return res.status(403).json({ message: ARCHIVED_GROUP_MESSAGE });
+
     res.json({ imageUrl: req.file.path });
   } catch (err) {
     res.status(500).json({ message: "Server error", error: err.message });
@@ -30,6 +34,9 @@ exports.editMessage = async (req, res) => {
     if (msg.sender.toString() !== req.user.userId)
       return res.status(403).json({ message: "You can only edit your own messages" });
 
+    if (await isGroupArchived(msg.groupId))
+      return res.status(403).json({ message: ARCHIVED_GROUP_MESSAGE });
+
     const { message } = req.body;
     if (!message || !message.trim())
       return res.status(400).json({ message: "Message cannot be empty" });
@@ -45,19 +52,27 @@ exports.editMessage = async (req, res) => {
   }
 };
 
-// DELETE /api/chat/:messageId — delete own message (students) or any message (faculty/admin)
+// DELETE /api/chat/:messageId — delete own message, or any message with chat:moderate
+// or as the group's MODERATOR / CLASS_REP
 exports.deleteMessage = async (req, res) => {
   try {
     const msg = await GroupChatMessage.findById(req.params.messageId);
     if (!msg) return res.status(404).json({ message: "Message not found" });
 
     const isOwner = msg.sender.toString() === req.user.userId;
-    const isModerator = req.user.role === "FACULTY" || req.user.role === "ADMIN";
-
-    if (!isOwner && !isModerator)
+    if (!isOwner && !(await canModerateChat(req.user.userId, req.user.role, msg.groupId)))
       return res.status(403).json({ message: "You can only delete your own messages" });
 
     await msg.deleteOne();
+
+    // Only moderation (someone else's message) is audited
+    if (!isOwner)
+      recordAudit(req, {
+        action: "chat.message.delete",
+        targetType: "GroupChatMessage",
+        targetId: msg._id,
+        before: { groupId: msg.groupId, sender: msg.sender, message: msg.message, image: msg.image, createdAt: msg.createdAt },
+      });
     res.json({ message: "Message deleted" });
   } catch (error) {
     res.status(500).json({ error: error.message });
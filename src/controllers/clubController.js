@@ -2,6 +2,8 @@ const Club = require("../models/Club");
 const ClubMembership = require("../models/ClubMembership");
 const cloudinary = require("../config/cloudinary");
 const { isClubLeader } = require("../utils/clubMembership");
+const { hasPermission } = require("../utils/permissions");
+const { recordAudit } = require("../utils/audit");
 
 // ─── CLUB ENDPOINTS ──────────────────────────────────────────────────────────
 
@@ -320,6 +322,14 @@ exports.kickMember = async (req, res) => {
 
     await membership.deleteOne();
 
+    recordAudit(req, {
+      action: "club.member.kick",
+      targetType: "User",
+      targetId: membership.userId,
+      before: { role: membership.role, joinedAt: membership.createdAt },
+      meta: { clubId },
+    });
+
     res.json({ message: "Member removed" });
   } catch (err) {
     res.status(500).json({ message: "Server error", error: err.message });
@@ -335,9 +345,9 @@ exports.transferLeadership = async (req, res) => {
     if (!newLeaderId)
       return res.status(400).json({ message: "newLeaderId is required" });
 
-    // Only current LEADER or ADMIN
+    // Only current LEADER or club:manage (ADMIN)
     const currentMembership = await ClubMembership.findOne({ userId: req.user.userId, clubId });
-    const isAdmin = req.user.role === "ADMIN";
+    const isAdmin = await hasPermission(req.user.role, "club:manage");
 
     if (!isAdmin && (!currentMembership || currentMembership.role !== "LEADER"))
       return res.status(403).json({ message: "Only the leader or ADMIN can transfer leadership" });
@@ -357,7 +367,15 @@ exports.transferLeadership = async (req, res) => {
     }
 
     // Update Club.leader field
-    await Club.findByIdAndUpdate(clubId, { leader: newLeaderId });
+    const club = await Club.findByIdAndUpdate(clubId, { leader: newLeaderId });
+
+    recordAudit(req, {
+      action: "club.leadership.transfer",
+      targetType: "Club",
+      targetId: clubId,
+      before: { leader: club?.leader || null },
+      after: { leader: newLeaderId },
+    });
 
     res.json({ message: "Leadership transferred" });
   } catch (err) {
@@ -12,6 +12,7 @@ const AcademicResource = require("../models/AcademicResource");
 const ForumThread = require("../models/ForumThread");
 const Roadmap = require("../models/Roadmap");
 const StudyPlan = require("../models/StudyPlan");
+const { dayOf, getUserTimetable } = require("../utils/timetable");
 
 // ─── Static / dummy data sent alongside real data ────────────────────────────
 
@@ -98,12 +99,14 @@ exports.getDashboard = async (req, res) => {
     const user = await User.findById(userId).select("-password").lean();
     if (!user) return res.status(404).json({ message: "User not found" });
 
-    const [unreadNotifications, recentNotifications] = await Promise.all([
+    const [unreadNotifications, recentNotifications, todayClasses] = await Promise.all([
       Notification.countDocuments({ targetUserId: userId, isRead: false }),
       Notification.find({ targetUserId: userId })
         .sort({ createdAt: -1 })
         .limit(5)
         .lean(),
+      // Timetable slots of the user's groups and the ones they teach, for today
+      getUserTimetable(userId, dayOf(now)),
     ]);
 
     const upcomingEvents = await Event.find({ isActive: true, date: { $gte: now } })
@@ -134,6 +137,7 @@ exports.getDashboard = async (req, res) => {
       unreadNotifications,
       recentNotifications,
       upcomingEvents: upcomingEventsFormatted,
+      todayClasses,
       announcements: COMMON_ANNOUNCEMENTS,
       academicCalendar: ACADEMIC_CALENDAR,
       platformHighlights: PLATFORM_HIGHLIGHTS,
@@ -0,0 +1,156 @@
+const StudentProfile = require("../models/StudentProfile");
+const SkillEndorsement = require("../models/SkillEndorsement");
+const { getPrivacy, hiddenLevels, viewerIsStaff } = require("../utils/profilePrivacy");
+const { skillKey, refreshEndorsementSummary } = require("../utils/endorsements");
+const { withFacultyProfile } = require("../utils/facultyProfile");
+
+/**
+ * Loads the active profile of :userId and checks the viewer may see its skills.
+ * Returns { profile } or { status, message }.
+ */
+const loadVisibleProfile = async (req) => {
+  const profile = await StudentProfile.findOne({ userId: req.params.userId, isActive: true }).lean();
+  if (!profile) return { status: 404, message: "Profile not found" };
+
+  const isOwner = profile.userId.toString() === req.user.userId.toString();
+  const isStaff = await viewerIsStaff(req.user.role);
+  if (!isOwner && hiddenLevels(isStaff).includes(getPrivacy(profile).skills))
+    return { status: 403, message: "This student's skills are private" };
+
+  return { profile };
+};
+
+// The profile's own spelling of `skill`, or undefined if it is not listed
+const findListedSkill = (profile, skill) =>
+  (profile.skills || []).find((s) => skillKey(s) === skillKey(skill));
+
+const summaryFor = (profile, skill) =>
+  profile?.endorsements.find((e) => skillKey(e.skill) === skillKey(skill)) || { skill, count: 0, facultyCount: 0 };
+
+// ─── GET /api/profile/endorsements/:userId ───────────────────────────────────
+// Endorsements of the student's listed skills, grouped by skill. Query: skill
+exports.listEndorsements = async (req, res) => {
+  try {
+    const { profile, status, message } = await loadVisibleProfile(req);
+    if (!profile) return res.status(status).json({ message });
+
+    const skills = req.query.skill
+      ? [findListedSkill(profile, req.query.skill)].filter(Boolean)
+      : profile.skills || [];
+    const keys = [...new Set(skills.map(skillKey))];
+
+    const endorsements = await SkillEndorsement.find({ userId: profile.userId, skillKey: { $in: keys } })
+      .populate(withFacultyProfile("endorsedBy", "name role profilePicture"))
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const grouped = keys.map((key) => {
+      const list = endorsements
+        .filter((e) => e.skillKey === key)
+        .map((e) => ({
+          _id: e._id,
+          endorsedBy: e.endorsedBy,
+          endorserRole: e.endorserRole,
+          isFaculty: e.endorserRole === "FACULTY",
+          note: e.note,
+          createdAt: e.createdAt,
+        }));
+      // Faculty endorsements first, then newest
+      list.sort((a, b) => b.isFaculty - a.isFaculty);
+      return {
+        skill: skills.find((s) => skillKey(s) === key),
+        count: list.length,
+        facultyCount: list.filter((e) => e.isFaculty).length,
+        endorsements: list,
+      };
+    });
+    grouped.sort((a, b) => b.count - a.count);
+
+    res.json({
+      userId: profile.userId,
+      endorsementCount: grouped.reduce((sum, g) => sum + g.count, 0),
+      skills: grouped,
+    });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid userId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── POST /api/profile/endorsements/:userId ──────────────────────────────────
+// Body: { skill, note? } — skill must be listed on the student's profile
+exports.endorseSkill = async (req, res) => {
+  try {
+    if (req.params.userId === req.user.userId.toString())
+      return res.status(400).json({ message: "You cannot endorse your own skills" });
+
+    const { skill, note } = req.body;
+    if (!skill || typeof skill !== "string")
+      return res.status(400).json({ message: "skill is required" });
+    if (note !== undefined && note !== null && typeof note !== "string")
+      return res.status(400).json({ message: "note must be a string" });
+
+    const { profile, status, message } = await loadVisibleProfile(req);
+    if (!profile) return res.status(status).json({ message });
+
+    const listed = findListedSkill(profile, skill);
+    if (!listed)
+      return res.status(400).json({ message: "This skill is not listed on the student's profile" });
+
+    const existing = await SkillEndorsement.findOne({
+      userId: profile.userId,
+      skillKey: skillKey(listed),
+      endorsedBy: req.user.userId,
+    });
+    if (existing)
+      return res.status(409).json({ message: "You already endorsed this skill" });
+
+    const endorsement = await SkillEndorsement.create({
+      userId: profile.userId,
+      skill: listed,
+      skillKey: skillKey(listed),
+      endorsedBy: req.user.userId,
+      endorserRole: req.user.role,
+      note: note?.trim() || null,
+    });
+
+    const updated = await refreshEndorsementSummary(profile.userId);
+
+    res.status(201).json({
+      message: "Skill endorsed",
+      endorsement,
+      summary: summaryFor(updated, listed),
+    });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ message: err.message });
+    if (err.code === 11000)
+      return res.status(409).json({ message: "You already endorsed this skill" });
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid userId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── DELETE /api/profile/endorsements/:userId/:skill ─────────────────────────
+// Withdraw own endorsement
+exports.withdrawEndorsement = async (req, res) => {
+  try {
+    const endorsement = await SkillEndorsement.findOneAndDelete({
+      userId: req.params.userId,
+      skillKey: skillKey(req.params.skill),
+      endorsedBy: req.user.userId,
+    });
+    if (!endorsement)
+      return res.status(404).json({ message: "Endorsement not found" });
+
+    const updated = await refreshEndorsementSummary(endorsement.userId);
+
+    res.json({ message: "Endorsement withdrawn", summary: summaryFor(updated, endorsement.skill) });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid userId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
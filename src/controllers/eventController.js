@@ -7,6 +7,9 @@ const ClubMembership = require("../models/ClubMembership");
 const User = require("../models/User");
 const cloudinary = require("../config/cloudinary");
 const { isClubLeader } = require("../utils/clubMembership");
+const { hasPermission } = require("../utils/permissions");
+const { recordAudit } = require("../utils/audit");
+const { withFacultyProfile } = require("../utils/facultyProfile");
 
 // ─── Helper: fan-out event notifications ─────────────────────────────────────
 const notifyEvent = async (event) => {
@@ -71,6 +74,8 @@ exports.createEvent = async (req, res) => {
       const group = await AcademicGroup.findById(groupId);
       if (!group || !group.isActive)
         return res.status(404).json({ message: "Group not found" });
+      if (group.archivedAt)
+        return res.status(400).json({ message: "Group is archived" });
     }
 
     // If CLUB type, validate the club exists and caller is leader/admin
@@ -100,7 +105,7 @@ exports.createEvent = async (req, res) => {
       tags: Array.isArray(tags) ? tags.map((t) => t.trim()) : [],
     });
 
-    await event.populate("organizer", "email role name profilePicture");
+    await event.populate(withFacultyProfile("organizer", "email role name profilePicture"));
 
     // Fire-and-forget notification fan-out
     notifyEvent(event).catch((err) =>
@@ -151,7 +156,7 @@ exports.listEvents = async (req, res) => {
         .sort({ date: -1 })
         .skip(skip)
         .limit(limit)
-        .populate("organizer", "email role name profilePicture")
+        .populate(withFacultyProfile("organizer", "email role name profilePicture"))
         .populate("groupId", "name branch year section")
         .populate("clubId", "name logo category")
         .lean(),
@@ -183,7 +188,7 @@ exports.listEvents = async (req, res) => {
 exports.getEvent = async (req, res) => {
   try {
     const event = await Event.findOne({ _id: req.params.eventId, isActive: true })
-      .populate("organizer", "email role name profilePicture")
+      .populate(withFacultyProfile("organizer", "email role name profilePicture"))
       .populate("groupId", "name branch year section")
       .populate("clubId", "name logo category")
       .populate("rsvps", "email name profilePicture")
@@ -207,10 +212,10 @@ exports.updateEvent = async (req, res) => {
     const event = await Event.findOne({ _id: req.params.eventId, isActive: true });
     if (!event) return res.status(404).json({ message: "Event not found" });
 
-    // Only organizer or ADMIN can update
+    // Only organizer or event:manage:any (ADMIN) can update
     if (
       event.organizer.toString() !== req.user.userId.toString() &&
-      req.user.role !== "ADMIN"
+      !(await hasPermission(req.user.role, "event:manage:any"))
     )
       return res.status(403).json({ message: "Not authorized to update this event" });
 
@@ -238,7 +243,7 @@ exports.updateEvent = async (req, res) => {
     }
 
     await event.save();
-    await event.populate("organizer", "email role name profilePicture");
+    await event.populate(withFacultyProfile("organizer", "email role name profilePicture"));
 
     res.json({ message: "Event updated", event });
   } catch (err) {
@@ -279,10 +284,10 @@ exports.deleteEvent = async (req, res) => {
     const event = await Event.findOne({ _id: req.params.eventId, isActive: true });
     if (!event) return res.status(404).json({ message: "Event not found" });
 
-    // Only organizer or ADMIN can delete
+    // Only organizer or event:manage:any (ADMIN) can delete
     if (
       event.organizer.toString() !== req.user.userId.toString() &&
-      req.user.role !== "ADMIN"
+      !(await hasPermission(req.user.role, "event:manage:any"))
     )
       return res.status(403).json({ message: "Not authorized to delete this event" });
 
@@ -295,6 +300,20 @@ exports.deleteEvent = async (req, res) => {
     event.isActive = false;
     await event.save();
 
+    recordAudit(req, {
+      action: "event.delete",
+      targetType: "Event",
+      targetId: event._id,
+      before: {
+        title: event.title,
+        date: event.date,
+        venue: event.venue,
+        organizer: event.organizer,
+        clubId: event.clubId,
+        groupId: event.groupId,
+      },
+    });
+
     res.json({ message: "Event deleted" });
   } catch (err) {
     res.status(500).json({ message: "Server error", error: err.message });
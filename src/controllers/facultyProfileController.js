@@ -0,0 +1,264 @@
+const FacultyProfile = require("../models/FacultyProfile");
+const User = require("../models/User");
+const { hasPermission } = require("../utils/permissions");
+const { escapeRegex } = require("../utils/regex");
+const { recordAudit } = require("../utils/audit");
+const { refreshAssignedGroups } = require("../utils/teaching");
+
+const MAX_SUBJECTS = 30;
+const MAX_OFFICE_HOURS = 20;
+
+const USER_FIELDS = "name email role profilePicture";
+const GROUP_FIELDS = "name type branch year section";
+
+/**
+ * Picks the self-editable fields from the request body.
+ * assignedGroups is derived from teaching assignments (see utils/teaching).
+ */
+const pickFields = (body) => {
+  const fields = {};
+  if (body.department !== undefined) fields.department = body.department;
+  if (body.designation !== undefined) fields.designation = body.designation;
+  if (body.subjects !== undefined)
+    fields.subjects = Array.isArray(body.subjects)
+      ? [...new Set(body.subjects.map((s) => String(s).trim()).filter(Boolean))]
+      : body.subjects;
+  if (body.officeHours !== undefined) fields.officeHours = body.officeHours;
+  if (body.contact !== undefined) fields.contact = body.contact;
+  return fields;
+};
+
+/**
+ * Returns an error message for list fields Mongoose does not bound, else null.
+ */
+const validateLists = (fields) => {
+  if (fields.subjects !== undefined && !Array.isArray(fields.subjects))
+    return "subjects must be an array";
+  if (fields.subjects?.length > MAX_SUBJECTS) return `At most ${MAX_SUBJECTS} subjects`;
+  if (fields.officeHours !== undefined && !Array.isArray(fields.officeHours))
+    return "officeHours must be an array";
+  if (fields.officeHours?.length > MAX_OFFICE_HOURS) return `At most ${MAX_OFFICE_HOURS} office hour slots`;
+  return null;
+};
+
+const POPULATE = [
+  { path: "userId", select: USER_FIELDS },
+  { path: "assignedGroups", select: GROUP_FIELDS },
+];
+
+const populateProfile = (query) => query.populate(POPULATE);
+
+/**
+ * Loads the profile, applies `fields` and saves — document save (not
+ * findOneAndUpdate) so the office-hour start < end check runs.
+ * Returns { profile, before } or null if not found.
+ */
+const saveProfile = async (filter, fields) => {
+  const profile = await FacultyProfile.findOne(filter);
+  if (!profile) return null;
+
+  const before = profile.toObject();
+  profile.set(fields);
+  await profile.save();
+  await profile.populate(POPULATE);
+  return { profile, before };
+};
+
+// ─── POST /api/profile/faculty ───────────────────────────────────────────────
+// Create own faculty profile (once)
+exports.createProfile = async (req, res) => {
+  try {
+    const existing = await FacultyProfile.findOne({ userId: req.user.userId });
+    if (existing)
+      return res.status(400).json({ message: "Faculty profile already exists" });
+
+    const fields = pickFields(req.body);
+    const listError = validateLists(fields);
+    if (listError) return res.status(400).json({ message: listError });
+
+    let profile = await FacultyProfile.create({ ...fields, userId: req.user.userId });
+    await refreshAssignedGroups(req.user.userId); // assignments made before the profile existed
+    profile = await populateProfile(FacultyProfile.findById(profile._id));
+
+    res.status(201).json({ message: "Faculty profile created", profile });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ message: err.message });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── GET /api/profile/faculty/me ─────────────────────────────────────────────
+exports.getMyProfile = async (req, res) => {
+  try {
+    const profile = await populateProfile(FacultyProfile.findOne({ userId: req.user.userId }));
+    if (!profile)
+      return res.status(404).json({ message: "Faculty profile not found. Please create one." });
+
+    res.json({ profile });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── PUT /api/profile/faculty ────────────────────────────────────────────────
+// Update own profile — everything except assignedGroups
+exports.updateMyProfile = async (req, res) => {
+  try {
+    const fields = pickFields(req.body);
+    if (!Object.keys(fields).length)
+      return res.status(400).json({ message: "No updatable fields provided" });
+
+    const listError = validateLists(fields);
+    if (listError) return res.status(400).json({ message: listError });
+
+    const saved = await saveProfile({ userId: req.user.userId }, fields);
+    if (!saved)
+      return res.status(404).json({ message: "Faculty profile not found" });
+
+    res.json({ message: "Faculty profile updated", profile: saved.profile });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ message: err.message });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── DELETE /api/profile/faculty ─────────────────────────────────────────────
+exports.deleteMyProfile = async (req, res) => {
+  try {
+    const result = await FacultyProfile.deleteOne({ userId: req.user.userId });
+    if (!result.deletedCount)
+      return res.status(404).json({ message: "Faculty profile not found" });
+
+    res.json({ message: "Faculty profile deleted" });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── GET /api/profile/faculty ────────────────────────────────────────────────
+// Faculty directory. Query: department, subject, groupId, q (name), page, limit
+exports.listProfiles = async (req, res) => {
+  try {
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+    const { department, subject, groupId, q } = req.query;
+
+    const filter = { isActive: true };
+    if (department) filter.department = { $regex: escapeRegex(department), $options: "i" };
+    if (subject) filter.subjects = { $regex: escapeRegex(subject), $options: "i" };
+    if (groupId) filter.assignedGroups = groupId;
+    if (q) {
+      const users = await User.find({ name: { $regex: escapeRegex(q), $options: "i" }, role: "FACULTY" })
+        .select("_id")
+        .limit(1000)
+        .lean();
+      filter.userId = { $in: users.map((u) => u._id) };
+    }
+
+    const [profiles, total] = await Promise.all([
+      populateProfile(FacultyProfile.find(filter))
+        .sort({ department: 1, createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      FacultyProfile.countDocuments(filter),
+    ]);
+
+    res.json({
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      totalFaculty: total,
+      profiles,
+    });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid groupId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── GET /api/profile/faculty/:profileId ─────────────────────────────────────
+exports.getProfile = async (req, res) => {
+  try {
+    // Deactivated profiles are only visible to faculty:manage
+    const filter = { _id: req.params.profileId };
+    if (!(await hasPermission(req.user.role, "faculty:manage"))) filter.isActive = true;
+
+    const profile = await populateProfile(FacultyProfile.findOne(filter));
+    if (!profile)
+      return res.status(404).json({ message: "Faculty profile not found" });
+
+    res.json({ profile });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid profileId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── PUT /api/profile/faculty/:profileId ─────────────────────────────────────
+// faculty:manage — any field, including isActive. Groups are assigned through
+// /api/admin/teaching-assignments
+exports.updateProfile = async (req, res) => {
+  try {
+    if (req.body.assignedGroups !== undefined)
+      return res
+        .status(400)
+        .json({ message: "assignedGroups is managed through teaching assignments (/api/admin/teaching-assignments)" });
+
+    const fields = pickFields(req.body);
+    if (req.body.isActive !== undefined) fields.isActive = req.body.isActive === true;
+
+    if (!Object.keys(fields).length)
+      return res.status(400).json({ message: "No updatable fields provided" });
+
+    const listError = validateLists(fields);
+    if (listError) return res.status(400).json({ message: listError });
+
+    const saved = await saveProfile({ _id: req.params.profileId }, fields);
+    if (!saved)
+      return res.status(404).json({ message: "Faculty profile not found" });
+
+    recordAudit(req, {
+      action: "faculty.profile.update",
+      targetType: "FacultyProfile",
+      targetId: saved.profile._id,
+      before: Object.fromEntries(Object.keys(fields).map((k) => [k, saved.before[k]])),
+      after: fields,
+      meta: { userId: saved.before.userId },
+    });
+
+    res.json({ message: "Faculty profile updated", profile: saved.profile });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ message: err.message });
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid profileId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── DELETE /api/profile/faculty/:profileId ──────────────────────────────────
+exports.deleteProfile = async (req, res) => {
+  try {
+    const profile = await FacultyProfile.findByIdAndDelete(req.params.profileId);
+    if (!profile)
+      return res.status(404).json({ message: "Faculty profile not found" });
+
+    recordAudit(req, {
+      action: "faculty.profile.delete",
+      targetType: "FacultyProfile",
+      targetId: profile._id,
+      before: profile.toObject(),
+    });
+
+    res.json({ message: "Faculty profile deleted" });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid profileId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
@@ -1,5 +1,6 @@
 const ForumThread = require("../models/ForumThread");
 const ForumReply = require("../models/ForumMessage"); // model file kept, exports ForumReply
+const { hasPermission } = require("../utils/permissions");
 
 // ─── POST /api/forums ────────────────────────────────────────────────────────
 exports.createForum = async (req, res) => {
@@ -281,8 +282,7 @@ exports.deleteReply = async (req, res) => {
     if (!reply) return res.status(404).json({ message: "Reply not found" });
 
     const isOwner = reply.author.toString() === req.user.userId;
-    const isMod = ["FACULTY", "ADMIN"].includes(req.user.role);
-    if (!isOwner && !isMod)
+    if (!isOwner && !(await hasPermission(req.user.role, "forum:moderate")))
       return res.status(403).json({ message: "Not allowed" });
 
     const forumId = reply.forumId;
@@ -476,8 +476,7 @@ exports.deleteForum = async (req, res) => {
       return res.status(404).json({ message: "Forum not found" });
 
     const isOwner = forum.createdBy.toString() === req.user.userId;
-    const isMod = ["FACULTY", "ADMIN"].includes(req.user.role);
-    if (!isOwner && !isMod)
+    if (!isOwner && !(await hasPermission(req.user.role, "forum:moderate")))
       return res.status(403).json({ message: "Not allowed" });
 
     forum.isActive = false;
@@ -1,26 +1,64 @@
 const AcademicGroup = require("../models/AcademicGroup");
+const { CUSTOM_GROUP_TYPES, JOIN_POLICIES } = require("../models/AcademicGroup");
 const StudentProfile = require("../models/StudentProfile");
 const GroupChatMessage = require("../models/GroupChatMessage");
 const GroupMembership = require("../models/GroupMembership");
-const { getStudentGroups, isMember } = require("../utils/groupMembership");
+const { GROUP_MEMBER_ROLES } = require("../models/GroupMembership");
+const GroupJoinRequest = require("../models/GroupJoinRequest");
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+const {
+  ARCHIVED_GROUP_MESSAGE,
+  GROUP_ROLE_RIGHTS,
+  getStudentGroups,
+  isMember,
+  getMemberRole,
+  canManageGroup,
+} = require("../utils/groupMembership");
+const { getTaughtGroups } = require("../utils/teaching");
+const { hasPermission } = require("../utils/permissions");
+const { viewerIsStaff, applyPrivacy, hideUserEmails } = require("../utils/profilePrivacy");
+const { escapeRegex } = require("../utils/regex");
+const { recordAudit } = require("../utils/audit");
+
+const notifyUser = (userId, group, title, message) =>
+  Notification.create({
+    targetUserId: userId,
+    targetGroupId: group._id,
+    type: "GROUP",
+    payload: { title, message },
+  }).catch((err) => console.error("Group notification failed:", err.message));
 
 // ─── GROUP ENDPOINTS ─────────────────────────────────────────────────────────
 
 // GET /api/groups/my — groups for the current user
 // Students: groups they belong to via GroupMembership
-// Faculty / Admin: all active groups (they are not stored in GroupMembership)
+// Faculty (teaching:scoped): groups they teach (TeachingAssignment) plus groups they joined; ?all=true lists every group
+// Other group:access:any roles (Admin): all active, non-archived groups (they are not stored in GroupMembership)
 exports.getMyGroup = async (req, res) => {
   try {
-    let groups;
+    const isFaculty = await hasPermission(req.user.role, "teaching:scoped");
+    const taught = isFaculty ? await getTaughtGroups(req.user.userId) : [];
+    const teachingByGroup = new Map(taught.map((t) => [t.group._id.toString(), t.teaching]));
 
-    if (req.user.role === "FACULTY" || req.user.role === "ADMIN") {
-      groups = await AcademicGroup.find({ isActive: true }).sort({ branch: 1, year: 1, section: 1 });
+    let groups;
+    if ((await hasPermission(req.user.role, "group:access:any")) && (!isFaculty || req.query.all === "true")) {
+      groups = await AcademicGroup.find({ isActive: true, archivedAt: null }).sort({ branch: 1, year: 1, section: 1 });
     } else {
       groups = await getStudentGroups(req.user.userId);
+      const joined = new Set(groups.map((g) => g._id.toString()));
+      groups = [...taught.map((t) => t.group).filter((g) => !joined.has(g._id.toString())), ...groups];
     }
 
     if (!groups.length)
-      return res.status(404).json({ message: "No groups found. Create a profile first." });
+      return res.status(404).json({
+        message: isFaculty
+          ? "No teaching assignments yet. Use ?all=true to browse every group."
+          : "No groups found. Create a profile first.",
+      });
+
+    const memberships = await GroupMembership.find({ userId: req.user.userId }).select("groupId role").lean();
+    const roleByGroup = new Map(memberships.map((m) => [m.groupId.toString(), m.role || "MEMBER"]));
 
     const result = groups.map((g) => ({
       _id: g._id,
@@ -30,6 +68,11 @@ exports.getMyGroup = async (req, res) => {
       year: g.year,
       section: g.section || null,
       isActive: g.isActive,
+      isArchived: !!g.archivedAt,
+      joinPolicy: g.joinPolicy, // elective / study groups only
+      isOwner: !!g.createdBy && g.createdBy.toString() === req.user.userId.toString(),
+      myRole: roleByGroup.get(g._id.toString()) || null, // null = access without membership (faculty/admin)
+      teaching: teachingByGroup.get(g._id.toString()) || [], // faculty: [{ _id, subject, term }]
       socketRoom: g._id.toString(), // client calls socket.emit("joinGroup", { groupId: socketRoom })
     }));
 
@@ -40,10 +83,12 @@ exports.getMyGroup = async (req, res) => {
 };
 
 // GET /api/groups — list all groups with optional filters (admin/faculty)
+// archived=true lists groups archived by past rollovers instead of current ones
 exports.listGroups = async (req, res) => {
   try {
-    const { branch, year, section, type, search } = req.query;
-    const filter = { isActive: true };
+    const { branch, year, section, type, search, archived, session } = req.query;
+    const filter = { isActive: true, archivedAt: archived === "true" ? { $ne: null } : null };
+    if (session) filter.academicSession = session;
     if (branch) filter.branch = { $regex: branch, $options: "i" };
     if (year) filter.year = Number(year);
     if (section) filter.section = { $regex: section, $options: "i" };
@@ -60,21 +105,157 @@ exports.listGroups = async (req, res) => {
   }
 };
 
-// GET /api/groups/:groupId/members — students in a group (admin/faculty)
+// GET /api/groups/:groupId/members — group roster from GroupMembership
+// group:list (faculty/admin): any group; everyone else: groups they belong to
+// Query: q (name), role (MEMBER | CLASS_REP | MODERATOR), page, limit
 exports.getGroupMembers = async (req, res) => {
   try {
     const group = await AcademicGroup.findById(req.params.groupId);
     if (!group) return res.status(404).json({ message: "Group not found" });
 
-    const members = await StudentProfile.find({
-      branch: group.branch,
-      year: group.year,
-      section: group.section,
-      isActive: true,
-    }).populate("userId", "email role");
+    const canList = await hasPermission(req.user.role, "group:list");
+    if (!canList && !(await GroupMembership.exists({ userId: req.user.userId, groupId: group._id })))
+      return res.status(403).json({ message: "You are not a member of this group" });
+
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+
+    const match = { groupId: group._id };
+    if (req.query.role) {
+      const role = String(req.query.role).toUpperCase();
+      if (!GROUP_MEMBER_ROLES.includes(role))
+        return res.status(400).json({ message: `role must be one of: ${GROUP_MEMBER_ROLES.join(", ")}` });
+      match.role = role === "MEMBER" ? { $in: ["MEMBER", null] } : role;
+    }
+
+    const userMatch = { "user.deletedAt": null };
+    if (req.query.q?.trim()) userMatch["user.name"] = new RegExp(escapeRegex(req.query.q.trim()), "i");
+
+    const [result] = await GroupMembership.aggregate([
+      { $match: match },
+      { $lookup: { from: User.collection.name, localField: "userId", foreignField: "_id", as: "user" } },
+      { $unwind: "$user" },
+      { $match: userMatch },
+      // Class reps and moderators first, then alphabetical
+      { $addFields: { roleRank: { $indexOfArray: [["CLASS_REP", "MODERATOR"], "$role"] } } },
+      { $addFields: { roleRank: { $cond: [{ $lt: ["$roleRank", 0] }, 9, "$roleRank"] } } },
+      {
+        $facet: {
+          members: [
+            { $sort: { roleRank: 1, "user.name": 1, _id: 1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $project: {
+                role: 1,
+                isSystemGenerated: 1,
+                joinedAt: "$createdAt",
+                user: { _id: 1, name: 1, email: 1, role: 1, profilePicture: 1 },
+              },
+            },
+          ],
+          total: [{ $count: "n" }],
+        },
+      },
+    ]);
+
+    const isStaff = await viewerIsStaff(req.user.role);
+    const profiles = await StudentProfile.find({
+      userId: { $in: result.members.map((m) => m.user._id) },
+    })
+      .select(
+        "userId branch year section rollNumber skills interests resumeLink portfolioLink " +
+          "privacy endorsements endorsementCount"
+      )
+      .lean();
+    const profileByUser = new Map(profiles.map((p) => [p.userId.toString(), p]));
+
+    const members = result.members.map((m) => {
+      const profile = profileByUser.get(m.user._id.toString());
+      const shown = profile
+        ? applyPrivacy({ ...profile, userId: m.user }, { isStaff, viewerId: req.user.userId })
+        : null;
+      // Only staff and the member see the login email of users without a student profile
+      const user = shown
+        ? shown.userId
+        : { ...m.user, email: isStaff || m.user._id.toString() === req.user.userId.toString() ? m.user.email : null };
+      if (shown) {
+        delete shown.userId;
+        delete shown.privacy;
+      }
 
-    res.json({ groupName: group.name, count: members.length, members });
+      return {
+        user,
+        role: m.role || "MEMBER",
+        isSystemGenerated: m.isSystemGenerated,
+        joinedAt: m.joinedAt,
+        profile: shown,
+      };
+    });
+
+    const total = result.total[0]?.n || 0;
+    res.json({
+      groupName: group.name,
+      groupType: group.type,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      totalMembers: total,
+      members,
+    });
   } catch (error) {
+    if (error.name === "CastError")
+      return res.status(400).json({ message: "Invalid groupId" });
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// PATCH /api/groups/:groupId/members/:userId/role — appoint or demote a member
+// group:roles (faculty/admin) for any group; owners of elective / study groups for theirs
+// Body: { role: MEMBER | CLASS_REP | MODERATOR }
+exports.setMemberRole = async (req, res) => {
+  try {
+    const role = String(req.body.role || "").toUpperCase();
+    if (!GROUP_MEMBER_ROLES.includes(role))
+      return res.status(400).json({ message: `role must be one of: ${GROUP_MEMBER_ROLES.join(", ")}` });
+
+    const group = await AcademicGroup.findById(req.params.groupId);
+    if (!group) return res.status(404).json({ message: "Group not found" });
+
+    const allowed =
+      (await hasPermission(req.user.role, "group:roles")) ||
+      (await canManageGroup(req.user.userId, req.user.role, group));
+    if (!allowed)
+      return res.status(403).json({ message: "Not authorized to change member roles in this group" });
+
+    if (group.archivedAt)
+      return res.status(403).json({ message: ARCHIVED_GROUP_MESSAGE });
+
+    const membership = await GroupMembership.findOne({ userId: req.params.userId, groupId: group._id });
+    if (!membership) return res.status(404).json({ message: "Member not found" });
+
+    const before = membership.role || "MEMBER";
+    if (before === role) return res.json({ message: `Member is already ${role}`, role });
+
+    membership.role = role;
+    await membership.save();
+
+    recordAudit(req, {
+      action: "group.member.role",
+      targetType: "User",
+      targetId: membership.userId,
+      before: { role: before },
+      after: { role },
+      meta: { groupId: group._id },
+    });
+
+    const label = { MEMBER: "a member", CLASS_REP: "a class representative", MODERATOR: "a moderator" };
+    notifyUser(membership.userId, group, "Your group role changed", `You are now ${label[role]} of ${group.name}.`);
+
+    res.json({ message: `Member role updated to ${role}`, role });
+  } catch (error) {
+    if (error.name === "CastError")
+      return res.status(400).json({ message: "Invalid groupId or userId" });
     res.status(500).json({ error: error.message });
   }
 };
@@ -89,7 +270,11 @@ exports.openGroup = async (req, res) => {
     if (!member)
       return res.status(403).json({ message: "You are not a member of this group" });
 
+    const myRole = await getMemberRole(req.user.userId, group._id);
+
     res.json({
+      myRole,
+      rights: myRole ? GROUP_ROLE_RIGHTS[myRole] : [],
       group: {
         _id: group._id,
         name: group.name,
@@ -98,6 +283,12 @@ exports.openGroup = async (req, res) => {
         year: group.year,
         section: group.section || null,
         isActive: group.isActive,
+        isArchived: !!group.archivedAt,
+        academicSession: group.academicSession,
+        description: group.description,
+        joinPolicy: group.joinPolicy,
+        createdBy: group.createdBy,
+        canManage: await canManageGroup(req.user.userId, req.user.role, group),
         socketRoom: group._id.toString(),
       },
     });
@@ -119,6 +310,9 @@ exports.sendMessage = async (req, res) => {
     if (!member)
       return res.status(403).json({ message: "You are not a member of this group" });
 
+    if (group.archivedAt)
+      return res.status(403).json({ message: ARCHIVED_GROUP_MESSAGE });
+
     const { message } = req.body;
     if (!message || !message.trim())
       return res.status(400).json({ message: "Message cannot be empty" });
@@ -142,12 +336,10 @@ exports.getMessages = async (req, res) => {
     const group = await AcademicGroup.findById(req.params.groupId);
     if (!group) return res.status(404).json({ message: "Group not found" });
 
-    // Students must belong to the group; faculty/admin can view any
-    if (req.user.role === "STUDENT") {
-      const member = await isMember(req.user.userId, req.user.role, req.params.groupId);
-      if (!member)
-        return res.status(403).json({ message: "You are not a member of this group" });
-    }
+    // Members only; group:access:any (faculty/admin) can view any
+    const member = await isMember(req.user.userId, req.user.role, req.params.groupId);
+    if (!member)
+      return res.status(403).json({ message: "You are not a member of this group" });
 
     const page = Math.max(1, parseInt(req.query.page) || 1);
     const limit = Math.min(100, parseInt(req.query.limit) || 50);
@@ -167,3 +359,506 @@ exports.getMessages = async (req, res) => {
     res.status(500).json({ error: error.message });
   }
 };
+
+// ─── ELECTIVE / STUDY GROUPS ──────────────────────────────────────────────────
+
+const NAME_MAX_LENGTH = 60;
+const MAX_OWNED_GROUPS = 20; // active elective / study groups per creator
+const MAX_INVITES = 50; // per request
+// Shape of generated academic group names (CSE-2, CSE-2-A) — reserved
+const ACADEMIC_NAME_REGEX = /^[A-Z]+-\d+(-[A-Z])?$/i;
+
+/**
+ * Returns an error message for a custom group name, else null.
+ */
+const validateGroupName = async (name, excludeId = null) => {
+  if (typeof name !== "string" || name.trim().length < 3)
+    return "Group name must be at least 3 characters";
+  if (name.trim().length > NAME_MAX_LENGTH)
+    return `Group name must be ${NAME_MAX_LENGTH} characters or fewer`;
+  if (ACADEMIC_NAME_REGEX.test(name.trim()))
+    return "Names like CSE-2 or CSE-2-A are reserved for academic groups";
+
+  const existing = await AcademicGroup.findOne({
+    name: new RegExp(`^${escapeRegex(name.trim())}$`, "i"),
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  }).select("_id");
+  return existing ? "A group with this name already exists" : null;
+};
+
+// Active elective / study group, or null
+const findCustomGroup = (groupId) =>
+  AcademicGroup.findOne({ _id: groupId, type: { $in: CUSTOM_GROUP_TYPES }, isActive: true });
+
+const addMember = (userId, groupId, role = "MEMBER") =>
+  GroupMembership.updateOne(
+    { userId, groupId },
+    { $setOnInsert: { userId, groupId, isSystemGenerated: false, role } },
+    { upsert: true }
+  );
+
+// POST /api/groups — create an elective or study group; the creator becomes its owner and first member (MODERATOR)
+exports.createGroup = async (req, res) => {
+  try {
+    const { name, description, branch, year } = req.body;
+    const type = String(req.body.type || "").toUpperCase();
+    const joinPolicy = String(req.body.joinPolicy || "APPROVAL").toUpperCase();
+
+    if (!CUSTOM_GROUP_TYPES.includes(type))
+      return res.status(400).json({ message: `type must be one of: ${CUSTOM_GROUP_TYPES.join(", ")}` });
+    if (!JOIN_POLICIES.includes(joinPolicy))
+      return res.status(400).json({ message: `joinPolicy must be one of: ${JOIN_POLICIES.join(", ")}` });
+
+    const nameError = await validateGroupName(name);
+    if (nameError)
+      return res.status(nameError.includes("already exists") ? 409 : 400).json({ message: nameError });
+
+    const owned = await AcademicGroup.countDocuments({ createdBy: req.user.userId, isActive: true });
+    if (owned >= MAX_OWNED_GROUPS)
+      return res.status(400).json({ message: `You can own at most ${MAX_OWNED_GROUPS} active groups` });
+
+    const group = await AcademicGroup.create({
+      name: name.trim(),
+      type,
+      description: description?.trim() || "",
+      joinPolicy,
+      branch: branch || null,
+      year: year || null,
+      createdBy: req.user.userId,
+    });
+
+    await addMember(req.user.userId, group._id, "MODERATOR");
+
+    res.status(201).json({ message: "Group created", group });
+  } catch (error) {
+    if (error.name === "ValidationError")
+      return res.status(400).json({ message: error.message });
+    if (error.code === 11000)
+      return res.status(409).json({ message: "A group with this name already exists" });
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// GET /api/groups/discover — elective / study groups the user can join or ask to join
+// Query: type, q (name / description), branch, year, page, limit. INVITE_ONLY groups are not listed.
+exports.discoverGroups = async (req, res) => {
+  try {
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+    const { type, q, branch, year } = req.query;
+
+    const filter = { type: { $in: CUSTOM_GROUP_TYPES }, isActive: true, joinPolicy: { $ne: "INVITE_ONLY" } };
+    if (type) filter.type = String(type).toUpperCase();
+    if (branch) filter.branch = String(branch).toUpperCase();
+    if (year) filter.year = Number(year);
+    if (q?.trim()) {
+      const re = new RegExp(escapeRegex(q.trim()), "i");
+      filter.$or = [{ name: re }, { description: re }];
+    }
+
+    const [groups, total] = await Promise.all([
+      AcademicGroup.find(filter)
+        .populate("createdBy", "name role profilePicture")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AcademicGroup.countDocuments(filter),
+    ]);
+
+    const ids = groups.map((g) => g._id);
+    const [counts, mine, pending] = await Promise.all([
+      GroupMembership.aggregate([
+        { $match: { groupId: { $in: ids } } },
+        { $group: { _id: "$groupId", count: { $sum: 1 } } },
+      ]),
+      GroupMembership.find({ userId: req.user.userId, groupId: { $in: ids } }).select("groupId").lean(),
+      GroupJoinRequest.find({ userId: req.user.userId, groupId: { $in: ids }, status: "PENDING" })
+        .select("groupId kind")
+        .lean(),
+    ]);
+    const countById = new Map(counts.map((c) => [c._id.toString(), c.count]));
+    const memberOf = new Set(mine.map((m) => m.groupId.toString()));
+    const pendingById = new Map(pending.map((r) => [r.groupId.toString(), r.kind]));
+
+    res.json({
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      totalGroups: total,
+      groups: groups.map((g) => ({
+        ...g,
+        memberCount: countById.get(g._id.toString()) || 0,
+        isMember: memberOf.has(g._id.toString()),
+        pending: pendingById.get(g._id.toString()) || null, // REQUEST | INVITE
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// PATCH /api/groups/:groupId — owner / group:manage:any. Body: name?, description?, joinPolicy?
+exports.updateGroup = async (req, res) => {
+  try {
+    const group = await findCustomGroup(req.params.groupId);
+    if (!group) return res.status(404).json({ message: "Group not found" });
+
+    if (!(await canManageGroup(req.user.userId, req.user.role, group)))
+      return res.status(403).json({ message: "Only the group owner can manage this group" });
+
+    const { name, description } = req.body;
+
+    if (name !== undefined) {
+      const nameError = await validateGroupName(name, group._id);
+      if (nameError)
+        return res.status(nameError.includes("already exists") ? 409 : 400).json({ message: nameError });
+      group.name = name.trim();
+    }
+    if (description !== undefined) group.description = String(description || "").trim();
+    if (req.body.joinPolicy !== undefined) {
+      const joinPolicy = String(req.body.joinPolicy).toUpperCase();
+      if (!JOIN_POLICIES.includes(joinPolicy))
+        return res.status(400).json({ message: `joinPolicy must be one of: ${JOIN_POLICIES.join(", ")}` });
+      group.joinPolicy = joinPolicy;
+    }
+
+    await group.save();
+
+    // Opening the group lets everyone who asked in
+    if (group.joinPolicy === "OPEN") {
+      const requests = await GroupJoinRequest.find({ groupId: group._id, kind: "REQUEST", status: "PENDING" });
+      await Promise.all(requests.map((r) => addMember(r.userId, group._id)));
+      await GroupJoinRequest.updateMany(
+        { _id: { $in: requests.map((r) => r._id) } },
+        { $set: { status: "APPROVED", reviewedBy: req.user.userId, reviewedAt: new Date() } }
+      );
+    }
+
+    res.json({ message: "Group updated", group });
+  } catch (error) {
+    if (error.name === "ValidationError")
+      return res.status(400).json({ message: error.message });
+    if (error.code === 11000)
+      return res.status(409).json({ message: "A group with this name already exists" });
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// DELETE /api/groups/:groupId — owner / group:manage:any
+// Deactivates the group, removes its members and closes pending requests; chat history is kept
+exports.deleteGroup = async (req, res) => {
+  try {
+    const group = await findCustomGroup(req.params.groupId);
+    if (!group) return res.status(404).json({ message: "Group not found" });
+
+    if (!(await canManageGroup(req.user.userId, req.user.role, group)))
+      return res.status(403).json({ message: "Only the group owner can manage this group" });
+
+    const memberIds = await GroupMembership.distinct("userId", { groupId: group._id });
+
+    group.isActive = false;
+    await group.save();
+    await Promise.all([
+      GroupMembership.deleteMany({ groupId: group._id }),
+      GroupJoinRequest.updateMany({ groupId: group._id, status: "PENDING" }, { $set: { status: "CANCELLED" } }),
+    ]);
+
+    const io = req.app.get("io");
+    if (io) memberIds.forEach((id) => io.in(`user:${id}`).socketsLeave(group._id.toString()));
+
+    if (group.createdBy?.toString() !== req.user.userId.toString())
+      recordAudit(req, {
+        action: "group.delete",
+        targetType: "AcademicGroup",
+        targetId: group._id,
+        before: { name: group.name, type: group.type, createdBy: group.createdBy, members: memberIds.length },
+      });
+
+    res.json({ message: "Group deleted" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/groups/:groupId/join — OPEN: join now; APPROVAL: send a join request;
+// INVITE_ONLY: only with a pending invite (joining accepts it). Body: { message? }
+exports.joinGroup = async (req, res) => {
+  try {
+    const group = await findCustomGroup(req.params.groupId);
+    if (!group) return res.status(404).json({ message: "Group not found" });
+
+    const userId = req.user.userId;
+    if (await GroupMembership.exists({ userId, groupId: group._id }))
+      return res.status(409).json({ message: "You are already a member of this group" });
+
+    const pending = await GroupJoinRequest.findOne({ groupId: group._id, userId, status: "PENDING" });
+
+    if (pending?.kind === "INVITE" || group.joinPolicy === "OPEN") {
+      await addMember(userId, group._id);
+      if (pending) {
+        pending.status = "APPROVED";
+        pending.reviewedBy = userId;
+        pending.reviewedAt = new Date();
+        await pending.save();
+      }
+      return res.status(201).json({ message: "Joined group", status: "JOINED" });
+    }
+
+    if (group.joinPolicy === "INVITE_ONLY")
+      return res.status(403).json({ message: "This group is invite-only" });
+
+    if (pending)
+      return res.status(409).json({ message: "Your join request is already pending" });
+
+    const request = await GroupJoinRequest.create({
+      groupId: group._id,
+      userId,
+      kind: "REQUEST",
+      message: req.body.message || null,
+      createdBy: userId,
+    });
+
+    if (group.createdBy)
+      notifyUser(group.createdBy, group, "New join request", `Someone asked to join ${group.name}.`);
+
+    res.status(202).json({ message: "Join request sent", status: "PENDING", request });
+  } catch (error) {
+    if (error.name === "ValidationError")
+      return res.status(400).json({ message: error.message });
+    if (error.code === 11000)
+      return res.status(409).json({ message: "Your join request is already pending" });
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// DELETE /api/groups/:groupId/join — withdraw own pending join request
+exports.cancelJoinRequest = async (req, res) => {
+  try {
+    const request = await GroupJoinRequest.findOneAndUpdate(
+      { groupId: req.params.groupId, userId: req.user.userId, kind: "REQUEST", status: "PENDING" },
+      { $set: { status: "CANCELLED" } },
+      { new: true }
+    );
+    if (!request) return res.status(404).json({ message: "No pending join request" });
+
+    res.json({ message: "Join request withdrawn" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/groups/:groupId/leave — leave an elective / study group (academic groups cannot be left)
+exports.leaveGroup = async (req, res) => {
+  try {
+    const group = await AcademicGroup.findById(req.params.groupId);
+    if (!group) return res.status(404).json({ message: "Group not found" });
+
+    const membership = await GroupMembership.findOne({ userId: req.user.userId, groupId: group._id });
+    if (!membership)
+      return res.status(404).json({ message: "You are not a member of this group" });
+
+    if (membership.isSystemGenerated || !CUSTOM_GROUP_TYPES.includes(group.type))
+      return res.status(400).json({ message: "You cannot leave an academic group" });
+
+    if (group.createdBy?.toString() === req.user.userId.toString())
+      return res.status(400).json({ message: "The group owner cannot leave. Delete the group instead." });
+
+    await membership.deleteOne();
+
+    const io = req.app.get("io");
+    if (io) io.in(`user:${req.user.userId}`).socketsLeave(group._id.toString());
+
+    res.json({ message: "Left group" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// GET /api/groups/:groupId/requests — owner / group:manage:any
+// Query: status (def PENDING), kind (REQUEST | INVITE)
+exports.listJoinRequests = async (req, res) => {
+  try {
+    const group = await findCustomGroup(req.params.groupId);
+    if (!group) return res.status(404).json({ message: "Group not found" });
+
+    if (!(await canManageGroup(req.user.userId, req.user.role, group)))
+      return res.status(403).json({ message: "Only the group owner can manage this group" });
+
+    const filter = { groupId: group._id, status: String(req.query.status || "PENDING").toUpperCase() };
+    if (req.query.kind) filter.kind = String(req.query.kind).toUpperCase();
+
+    const requests = await GroupJoinRequest.find(filter)
+      .populate("userId", "name email role profilePicture")
+      .populate("createdBy", "name role")
+      .sort({ createdAt: 1 })
+      .lean();
+
+    // Student owners are not staff — respect each requester's email privacy
+    const viewer = { isStaff: await viewerIsStaff(req.user.role), viewerId: req.user.userId };
+    const users = await hideUserEmails(requests.map((r) => r.userId), viewer);
+    requests.forEach((r, i) => {
+      r.userId = users[i];
+    });
+
+    res.json({ count: requests.length, requests });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Approves or rejects a pending join request of req.params.groupId.
+ */
+const reviewJoinRequest = (approve) => async (req, res) => {
+  try {
+    const group = await findCustomGroup(req.params.groupId);
+    if (!group) return res.status(404).json({ message: "Group not found" });
+
+    if (!(await canManageGroup(req.user.userId, req.user.role, group)))
+      return res.status(403).json({ message: "Only the group owner can manage this group" });
+
+    const request = await GroupJoinRequest.findOne({
+      _id: req.params.requestId,
+      groupId: group._id,
+      kind: "REQUEST",
+      status: "PENDING",
+    });
+    if (!request) return res.status(404).json({ message: "Join request not found" });
+
+    if (approve) await addMember(request.userId, group._id);
+
+    request.status = approve ? "APPROVED" : "REJECTED";
+    request.reviewedBy = req.user.userId;
+    request.reviewedAt = new Date();
+    await request.save();
+
+    notifyUser(
+      request.userId,
+      group,
+      approve ? "Join request approved" : "Join request declined",
+      approve ? `You are now a member of ${group.name}.` : `Your request to join ${group.name} was declined.`
+    );
+
+    res.json({ message: approve ? "Join request approved" : "Join request rejected", request });
+  } catch (error) {
+    if (error.name === "CastError")
+      return res.status(400).json({ message: "Invalid requestId" });
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/groups/:groupId/requests/:requestId/approve
+exports.approveJoinRequest = reviewJoinRequest(true);
+
+// POST /api/groups/:groupId/requests/:requestId/reject
+exports.rejectJoinRequest = reviewJoinRequest(false);
+
+// POST /api/groups/:groupId/invites — owner / group:manage:any. Body: { userIds[] }
+// Works with every join policy; a pending join request from an invitee is approved instead
+exports.inviteMembers = async (req, res) => {
+  try {
+    const group = await findCustomGroup(req.params.groupId);
+    if (!group) return res.status(404).json({ message: "Group not found" });
+
+    if (!(await canManageGroup(req.user.userId, req.user.role, group)))
+      return res.status(403).json({ message: "Only the group owner can manage this group" });
+
+    const { userIds } = req.body;
+    if (!Array.isArray(userIds) || !userIds.length)
+      return res.status(400).json({ message: "userIds must be a non-empty array" });
+    if (userIds.length > MAX_INVITES)
+      return res.status(400).json({ message: `At most ${MAX_INVITES} invites at a time` });
+
+    const users = await User.find({ _id: { $in: [...new Set(userIds.map(String))] }, deletedAt: null })
+      .select("_id")
+      .lean();
+    const [members, pending] = await Promise.all([
+      GroupMembership.distinct("userId", { groupId: group._id }),
+      GroupJoinRequest.find({ groupId: group._id, status: "PENDING" }),
+    ]);
+    const memberSet = new Set(members.map(String));
+    const pendingByUser = new Map(pending.map((r) => [r.userId.toString(), r]));
+
+    const result = { invited: 0, approved: 0, skipped: userIds.length - users.length };
+
+    for (const { _id: userId } of users) {
+      const key = userId.toString();
+      const open = pendingByUser.get(key);
+
+      if (memberSet.has(key) || open?.kind === "INVITE") {
+        result.skipped++;
+      } else if (open) {
+        await addMember(userId, group._id);
+        open.status = "APPROVED";
+        open.reviewedBy = req.user.userId;
+        open.reviewedAt = new Date();
+        await open.save();
+        notifyUser(userId, group, "Join request approved", `You are now a member of ${group.name}.`);
+        result.approved++;
+      } else {
+        await GroupJoinRequest.create({ groupId: group._id, userId, kind: "INVITE", createdBy: req.user.userId });
+        notifyUser(userId, group, "Group invitation", `You were invited to join ${group.name}.`);
+        result.invited++;
+      }
+    }
+
+    res.status(201).json({ message: "Invitations sent", ...result });
+  } catch (error) {
+    if (error.name === "CastError")
+      return res.status(400).json({ message: "Invalid userIds" });
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// GET /api/groups/invites — own pending invitations
+exports.getMyInvites = async (req, res) => {
+  try {
+    const invites = await GroupJoinRequest.find({ userId: req.user.userId, kind: "INVITE", status: "PENDING" })
+      .populate("groupId", "name type description joinPolicy isActive")
+      .populate("createdBy", "name role profilePicture")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({ invites: invites.filter((i) => i.groupId?.isActive) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Accepts or declines one of the user's pending invitations.
+ */
+const answerInvite = (accept) => async (req, res) => {
+  try {
+    const invite = await GroupJoinRequest.findOne({
+      _id: req.params.requestId,
+      userId: req.user.userId,
+      kind: "INVITE",
+      status: "PENDING",
+    });
+    if (!invite) return res.status(404).json({ message: "Invitation not found" });
+
+    const group = await findCustomGroup(invite.groupId);
+    if (!group) return res.status(404).json({ message: "Group not found" });
+
+    if (accept) await addMember(req.user.userId, group._id);
+
+    invite.status = accept ? "APPROVED" : "REJECTED";
+    invite.reviewedBy = req.user.userId;
+    invite.reviewedAt = new Date();
+    await invite.save();
+
+    res.json({ message: accept ? "Joined group" : "Invitation declined", groupId: group._id });
+  } catch (error) {
+    if (error.name === "CastError")
+      return res.status(400).json({ message: "Invalid requestId" });
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// POST /api/groups/invites/:requestId/accept
+exports.acceptInvite = answerInvite(true);
+
+// POST /api/groups/invites/:requestId/decline
+exports.declineInvite = answerInvite(false);
@@ -0,0 +1,127 @@
+const Invite = require("../models/Invite");
+const { generateInviteCode, findRedeemableInvite } = require("../utils/invite");
+
+const VALID_ROLES = ["ADMIN", "FACULTY", "STUDENT"];
+
+// POST /api/invites — create an invite code (ADMIN)
+exports.createInvite = async (req, res) => {
+  try {
+    const { role, email, expiresAt, maxUses, note } = req.body;
+
+    const inviteRole = (role || "").toUpperCase();
+    if (!VALID_ROLES.includes(inviteRole))
+      return res.status(400).json({ message: `role must be one of: ${VALID_ROLES.join(", ")}` });
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= new Date())
+        return res.status(400).json({ message: "expiresAt must be a future date" });
+    }
+
+    const uses = maxUses === undefined ? 1 : Number(maxUses);
+    if (!Number.isInteger(uses) || uses < 1)
+      return res.status(400).json({ message: "maxUses must be a positive integer" });
+
+    const invite = await Invite.create({
+      code: generateInviteCode(),
+      role: inviteRole,
+      email: email?.trim() || null,
+      note: note?.trim() || "",
+      maxUses: uses,
+      expiresAt: expiry,
+      createdBy: req.user.userId,
+    });
+
+    res.status(201).json({ message: "Invite created", invite });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ message: err.message });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// GET /api/invites — list invites (ADMIN)
+// Query params: role, status (active | used | expired | revoked), page, limit
+exports.listInvites = async (req, res) => {
+  try {
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+    const now = new Date();
+
+    const filter = {};
+    if (req.query.role) filter.role = req.query.role.toUpperCase();
+
+    switch (req.query.status) {
+      case "active":
+        filter.revokedAt = null;
+        filter.$expr = { $lt: ["$uses", "$maxUses"] };
+        filter.$or = [{ expiresAt: null }, { expiresAt: { $gt: now } }];
+        break;
+      case "used":
+        filter.$expr = { $gte: ["$uses", "$maxUses"] };
+        break;
+      case "expired":
+        filter.expiresAt = { $lte: now };
+        break;
+      case "revoked":
+        filter.revokedAt = { $ne: null };
+        break;
+    }
+
+    const [invites, total] = await Promise.all([
+      Invite.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("createdBy", "name email")
+        .populate("usedBy.userId", "name email role")
+        .lean(),
+      Invite.countDocuments(filter),
+    ]);
+
+    res.json({
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      totalInvites: total,
+      invites,
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// DELETE /api/invites/:inviteId — revoke an invite (ADMIN)
+exports.revokeInvite = async (req, res) => {
+  try {
+    const invite = await Invite.findById(req.params.inviteId);
+    if (!invite) return res.status(404).json({ message: "Invite not found" });
+
+    if (invite.revokedAt)
+      return res.status(400).json({ message: "Invite already revoked" });
+
+    invite.revokedAt = new Date();
+    await invite.save();
+
+    res.json({ message: "Invite revoked" });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid inviteId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// GET /api/invites/check/:code — public: is this code usable, and for which role?
+exports.checkInvite = async (req, res) => {
+  try {
+    const invite = await findRedeemableInvite(req.params.code);
+    if (!invite)
+      return res.status(404).json({ message: "Invalid or expired invite code" });
+
+    res.json({ valid: true, role: invite.role, email: invite.email });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
@@ -0,0 +1,133 @@
+const bcrypt = require("bcrypt");
+const User = require("../models/User");
+const { buildUserExport } = require("../utils/userExport");
+const { createZip } = require("../utils/zip");
+const { getLedClubIds } = require("../utils/accountCleanup");
+const { GRACE_DAYS, GRACE_MS } = require("../utils/accountDeletion");
+const { verifySecondFactor } = require("../utils/twoFactor");
+const { sendMail } = require("../utils/mailer");
+
+// ─── DATA EXPORT ─────────────────────────────────────────────────────────────
+
+// GET /api/me/export — everything stored about the current user
+// Query: format = zip (default, one JSON file per section) | json (single document)
+exports.exportMyData = async (req, res) => {
+  try {
+    const format = req.query.format === "json" ? "json" : "zip";
+
+    const data = await buildUserExport(req.user.userId);
+    if (!data.user) return res.status(404).json({ message: "User not found" });
+
+    const generatedAt = new Date();
+    const stamp = generatedAt.toISOString().slice(0, 10);
+
+    if (format === "json") {
+      res.setHeader("Content-Type", "application/json");
+      res.setHeader("Content-Disposition", `attachment; filename="collegehub-export-${stamp}.json"`);
+      return res.send(JSON.stringify({ generatedAt, ...data }, null, 2));
+    }
+
+    const counts = {};
+    const files = Object.entries(data).map(([section, value]) => {
+      counts[section] = Array.isArray(value) ? value.length : value ? 1 : 0;
+      return { name: `${section}.json`, data: JSON.stringify(value, null, 2) };
+    });
+    files.unshift({
+      name: "manifest.json",
+      data: JSON.stringify({ generatedAt, userId: req.user.userId, counts }, null, 2),
+    });
+
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", `attachment; filename="collegehub-export-${stamp}.zip"`);
+    res.send(createZip(files, generatedAt));
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── ACCOUNT DELETION ────────────────────────────────────────────────────────
+
+// GET /api/me/deletion-request — pending deletion, if any
+exports.getDeletionRequest = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId)
+      .select("deletionRequestedAt deletionScheduledFor")
+      .lean();
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json({
+      pending: !!user.deletionScheduledFor,
+      requestedAt: user.deletionRequestedAt,
+      scheduledFor: user.deletionScheduledFor,
+      graceDays: GRACE_DAYS,
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// POST /api/me/deletion-request — schedule deletion after the grace period
+// Body: { password, code? | recoveryCode? } (second factor only if 2FA is enabled)
+exports.requestDeletion = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.userId).select("+twoFactorSecret +twoFactorRecoveryCodes");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (user.deletionScheduledFor)
+      return res.status(400).json({
+        message: "Deletion already requested",
+        scheduledFor: user.deletionScheduledFor,
+      });
+
+    if (!password || !(await bcrypt.compare(password, user.password)))
+      return res.status(400).json({ message: "Password is incorrect" });
+
+    if (user.twoFactorEnabled && !(await verifySecondFactor(user, { code, recoveryCode })))
+      return res.status(400).json({ message: "Invalid code" });
+
+    const ledClubs = await getLedClubIds(user._id);
+    if (ledClubs.length)
+      return res.status(409).json({
+        message: "You lead active clubs. Transfer leadership first.",
+        clubIds: ledClubs,
+      });
+
+    user.deletionRequestedAt = new Date();
+    user.deletionScheduledFor = new Date(Date.now() + GRACE_MS);
+    await user.save();
+
+    sendMail({
+      to: user.email,
+      subject: "Your CollegeHub account is scheduled for deletion",
+      text:
+        `Hi ${user.name || user.email},\n\n` +
+        `Your account and personal data will be deleted on ${user.deletionScheduledFor.toUTCString()}.\n` +
+        `Posts and messages you wrote will remain, attributed to "Deleted user".\n\n` +
+        `Changed your mind? Sign in and cancel the request before then.`,
+    }).catch((err) => console.error("Deletion notice email failed:", err.message));
+
+    res.json({
+      message: `Account scheduled for deletion in ${GRACE_DAYS} days`,
+      scheduledFor: user.deletionScheduledFor,
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// DELETE /api/me/deletion-request — cancel a pending deletion
+exports.cancelDeletion = async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.user.userId, deletionScheduledFor: { $ne: null } },
+      { $set: { deletionRequestedAt: null, deletionScheduledFor: null } }
+    );
+    if (!user) return res.status(400).json({ message: "No pending deletion request" });
+
+    res.json({ message: "Deletion request cancelled" });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
@@ -1,7 +1,21 @@
 const StudentProfile = require("../models/StudentProfile");
-const AcademicGroup = require("../models/AcademicGroup");
+const { PROFILE_VISIBILITY } = require("../models/StudentProfile");
 const GroupMembership = require("../models/GroupMembership");
 const User = require("../models/User");
+const { toCsv, escapeCsv } = require("../utils/csv");
+const { escapeRegex } = require("../utils/regex");
+const { streamWriter } = require("../utils/stream");
+const { createXlsxWriter } = require("../utils/xlsx");
+const { EXPORT_FORMATS, EXPORT_SORTS, parseColumns, buildRows } = require("../utils/studentExport");
+const { recordAudit } = require("../utils/audit");
+const { enrollStudentInGroups, syncStudentGroups, announceGroupChange } = require("../utils/groupMembership");
+const { withTransaction } = require("../utils/transaction");
+const { PRIVATE_FIELDS, hiddenLevels, viewerIsStaff, applyPrivacy } = require("../utils/profilePrivacy");
+const { refreshEndorsementSummary } = require("../utils/endorsements");
+
+// Profile fields that decide the student's YEAR / YEAR_SECTION groups
+const GROUP_FIELDS = ["branch", "year", "section"];
+const EXPORT_CHUNK_SIZE = 500; // profiles enriched per round of group / club / quiz queries
 
 // POST /api/profile — create profile (student only, once)
 exports.createProfile = async (req, res) => {
@@ -12,36 +26,8 @@ exports.createProfile = async (req, res) => {
 
     const { branch, year, section, rollNumber, skills, interests, resumeLink, portfolioLink } = req.body;
 
-    // Auto-create YEAR group (e.g. CSE-2) and YEAR_SECTION group (e.g. CSE-2-A)
-    const B = branch.toUpperCase();
-    const S = section.toUpperCase();
-
-    const [yearGroup, sectionGroup] = await Promise.all([
-      AcademicGroup.findOneAndUpdate(
-        { branch: B, year, type: "YEAR" },
-        { $setOnInsert: { branch: B, year, type: "YEAR", name: `${B}-${year}` } },
-        { upsert: true, new: true }
-      ),
-      AcademicGroup.findOneAndUpdate(
-        { branch: B, year, section: S, type: "YEAR_SECTION" },
-        { $setOnInsert: { branch: B, year, section: S, type: "YEAR_SECTION", name: `${B}-${year}-${S}` } },
-        { upsert: true, new: true }
-      ),
-    ]);
-
-    // Enroll student in both groups (upsert — safe to call again)
-    await Promise.all([
-      GroupMembership.updateOne(
-        { userId: req.user.userId, groupId: yearGroup._id },
-        { $setOnInsert: { userId: req.user.userId, groupId: yearGroup._id, isSystemGenerated: true } },
-        { upsert: true }
-      ),
-      GroupMembership.updateOne(
-        { userId: req.user.userId, groupId: sectionGroup._id },
-        { $setOnInsert: { userId: req.user.userId, groupId: sectionGroup._id, isSystemGenerated: true } },
-        { upsert: true }
-      ),
-    ]);
+    // Auto-create YEAR group (e.g. CSE-2) and YEAR_SECTION group (e.g. CSE-2-A) and enroll
+    await enrollStudentInGroups(req.user.userId, branch, year, section);
 
     const profile = await StudentProfile.create({
       userId: req.user.userId,
@@ -93,16 +79,50 @@ exports.updateProfile = async (req, res) => {
       if (req.body[key] !== undefined) updates[key] = req.body[key];
     }
 
-    const profile = await StudentProfile.findOneAndUpdate(
-      { userId: req.user.userId },
-      { $set: updates },
-      { new: true, runValidators: true }
+    const current = await StudentProfile.findOne({ userId: req.user.userId }).lean();
+    if (!current)
+      return res.status(404).json({ message: "Profile not found" });
+
+    const groupChanged = GROUP_FIELDS.some(
+      (f) => updates[f] !== undefined && String(updates[f]).trim().toUpperCase() !== String(current[f]).toUpperCase()
     );
 
-    if (!profile)
-      return res.status(404).json({ message: "Profile not found" });
+    const applyUpdate = (session = null) =>
+      StudentProfile.findOneAndUpdate(
+        { userId: req.user.userId },
+        { $set: updates },
+        { new: true, runValidators: true, session }
+      );
+
+    // Endorsement totals only count skills that are still listed
+    const recount = async (profile) =>
+      updates.skills !== undefined ? (await refreshEndorsementSummary(req.user.userId)) || profile : profile;
 
-    res.json({ message: "Profile updated", profile });
+    if (!groupChanged) {
+      const profile = await recount(await applyUpdate());
+      return res.json({ message: "Profile updated", profile });
+    }
+
+    // Profile and memberships change together or not at all
+    const { profile: updated, change } = await withTransaction(async (session) => {
+      const profile = await applyUpdate(session);
+      const change = await syncStudentGroups(req.user.userId, profile, session);
+      return { profile, change };
+    });
+    const profile = await recount(updated);
+
+    announceGroupChange(req.app.get("io"), req.user.userId, change).catch((err) =>
+      console.error("Group change notification failed:", err.message)
+    );
+
+    res.json({
+      message: "Profile updated",
+      profile,
+      groups: {
+        added: change.added.map((g) => g.name),
+        removed: change.removed.map((g) => g.name).filter(Boolean),
+      },
+    });
   } catch (error) {
     if (error.name === "ValidationError")
       return res.status(400).json({ error: error.message });
@@ -121,7 +141,8 @@ exports.viewProfile = async (req, res) => {
     if (!profile)
       return res.status(404).json({ message: "Profile not found" });
 
-    res.json({ profile });
+    // Route requires profile:view:any — fields the student hid from everyone stay hidden
+    res.json({ profile: applyPrivacy(profile, { isStaff: true, viewerId: req.user.userId }) });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -175,19 +196,37 @@ exports.filterProfiles = async (req, res) => {
       .populate("userId", "email role")
       .sort({ year: 1, section: 1, rollNumber: 1 });
 
-    res.json({ count: profiles.length, profiles });
+    res.json({
+      count: profiles.length,
+      profiles: profiles.map((p) => applyPrivacy(p, { isStaff: true, viewerId: req.user.userId })),
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 };
 
-// ─── GET /api/profile/export/csv ────────────────────────────────────────────
-// Faculty/Admin: download student data as CSV
-// Query params: branch, year, section, hasResume (true/false), groupId
-exports.exportStudentsCsv = async (req, res) => {
+// ─── GET /api/profile/export ────────────────────────────────────────────────
+// Faculty/Admin: download student data as CSV, XLSX or JSON
+// Query params: format (csv | xlsx | json), columns (comma-separated),
+// sort (roster | endorsements), branch, year, section, hasResume (true/false), groupId
+// Profiles are read with a cursor and enriched in chunks; CSV and JSON are
+// streamed (waiting for the client to keep up, stopping if it disconnects),
+// XLSX is assembled in memory (see utils/xlsx).
+exports.exportStudents = async (req, res) => {
   try {
     const { branch, year, section, hasResume, groupId } = req.query;
 
+    const format = String(req.query.format || "csv").toLowerCase();
+    if (!EXPORT_FORMATS.includes(format))
+      return res.status(400).json({ message: `format must be one of: ${EXPORT_FORMATS.join(", ")}` });
+
+    const { columns, error } = parseColumns(req.query.columns);
+    if (error) return res.status(400).json({ message: error });
+
+    const sort = String(req.query.sort || "roster").toLowerCase();
+    if (!EXPORT_SORTS[sort])
+      return res.status(400).json({ message: `sort must be one of: ${Object.keys(EXPORT_SORTS).join(", ")}` });
+
     const filter = { isActive: true };
 
     if (branch) filter.branch = { $regex: branch, $options: "i" };
@@ -203,46 +242,243 @@ exports.exportStudentsCsv = async (req, res) => {
       filter.userId = { $in: userIds };
     }
 
-    const profiles = await StudentProfile.find(filter)
-      .populate("userId", "name email")
-      .sort({ year: 1, section: 1, rollNumber: 1 })
-      .lean();
+    const viewer = { isStaff: await viewerIsStaff(req.user.role), viewerId: req.user.userId };
+    const filename = `students_${Date.now()}.${format}`;
+    const xlsx = format === "xlsx" ? createXlsxWriter(columns, "Students") : null;
+    const out = streamWriter(res);
+    let count = 0;
+
+    if (!xlsx) {
+      res.setHeader("Content-Type", format === "csv" ? "text/csv" : "application/json");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+      await out.write(format === "csv" ? toCsv(columns, []) : "[");
+    }
 
-    // ── Build CSV ──────────────────────────────────────────────────────────
-    const escape = (val) => {
-      if (val === null || val === undefined) return "";
-      const str = String(val);
-      // Wrap in quotes if value contains comma, quote, or newline
-      if (str.includes(",") || str.includes('"') || str.includes("\n")) {
-        return '"' + str.replace(/"/g, '""') + '"';
+    const flush = async (chunk) => {
+      const rows = await buildRows(chunk, columns, viewer);
+      for (const row of rows) {
+        if (format === "csv") {
+          await out.write("\r\n" + row.map((v) => escapeCsv(Array.isArray(v) ? v.join("; ") : v)).join(","));
+        } else if (format === "json") {
+          const obj = Object.fromEntries(columns.map((c, i) => [c, row[i]]));
+          await out.write((count ? "," : "") + JSON.stringify(obj));
+        } else {
+          xlsx.addRow(row.map((v) => (Array.isArray(v) ? v.join("; ") : v)));
+        }
+        count++;
       }
-      return str;
     };
 
-    const headers = [
-      "name", "email", "rollNumber", "branch", "year", "section",
-      "skills", "interests", "resumeLink", "portfolioLink",
-    ];
+    const cursor = StudentProfile.find(filter)
+      .populate("userId", "name email")
+      .sort(EXPORT_SORTS[sort])
+      .lean()
+      .cursor();
+
+    let chunk = [];
+    for await (const profile of cursor) {
+      // Client went away — leaving the loop closes the cursor
+      if (out.closed) break;
+      chunk.push(profile);
+      if (chunk.length >= EXPORT_CHUNK_SIZE) {
+        await flush(chunk);
+        chunk = [];
+      }
+    }
+    if (out.closed) return;
+    if (chunk.length) await flush(chunk);
+
+    recordAudit(req, {
+      action: `profile.export.${format}`,
+      targetType: "StudentProfile",
+      meta: { filters: { branch, year, section, hasResume, groupId }, columns, sort, count },
+    });
+
+    if (xlsx) {
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+      return res.send(xlsx.finish());
+    }
+    res.end(format === "json" ? "]" : undefined);
+  } catch (error) {
+    if (res.headersSent) return res.end();
+    if (error.name === "CastError")
+      return res.status(400).json({ message: "Invalid groupId" });
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// ─── PUT /api/profile/privacy ───────────────────────────────────────────────
+// Body: any of { email, rollNumber, resumeLink, portfolioLink, skills, interests }
+// set to EVERYONE | STAFF | NOBODY, and/or listed (true/false)
+exports.updatePrivacy = async (req, res) => {
+  try {
+    const updates = {};
+
+    for (const field of PRIVATE_FIELDS) {
+      if (req.body[field] === undefined) continue;
+      const level = String(req.body[field]).toUpperCase();
+      if (!PROFILE_VISIBILITY.includes(level))
+        return res.status(400).json({ message: `${field} must be one of: ${PROFILE_VISIBILITY.join(", ")}` });
+      updates[`privacy.${field}`] = level;
+    }
 
-    const rows = profiles.map((p) => [
-      escape(p.userId?.name),
-      escape(p.userId?.email),
-      escape(p.rollNumber),
-      escape(p.branch),
-      escape(p.year),
-      escape(p.section),
-      escape((p.skills || []).join("; ")),
-      escape((p.interests || []).join("; ")),
-      escape(p.resumeLink),
-      escape(p.portfolioLink),
-    ].join(","));
-
-    const csv = [headers.join(","), ...rows].join("\r\n");
-
-    const filename = `students_${Date.now()}.csv`;
-    res.setHeader("Content-Type", "text/csv");
-    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
-    return res.send(csv);
+    if (req.body.listed !== undefined) {
+      if (typeof req.body.listed !== "boolean")
+        return res.status(400).json({ message: "listed must be true or false" });
+      updates["privacy.listed"] = req.body.listed;
+    }
+
+    if (!Object.keys(updates).length)
+      return res.status(400).json({ message: "No privacy settings provided" });
+
+    const profile = await StudentProfile.findOneAndUpdate(
+      { userId: req.user.userId },
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+    if (!profile)
+      return res.status(404).json({ message: "Profile not found" });
+
+    res.json({ message: "Privacy settings updated", privacy: profile.privacy });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// ─── GET /api/profile/directory ─────────────────────────────────────────────
+// Student directory for every signed-in user. Query: q (name, or part of a
+// skill / interest), skills, interests (comma-separated — results ranked by
+// how many match, then by endorsements), branch, year, section, page, limit
+exports.searchDirectory = async (req, res) => {
+  try {
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+
+    const isStaff = await viewerIsStaff(req.user.role);
+    const hidden = hiddenLevels(isStaff);
+
+    const list = (value) =>
+      [...new Set(String(value || "").split(",").map((s) => s.trim().toLowerCase()).filter(Boolean))].slice(0, 20);
+    const exact = (values) => values.map((v) => new RegExp(`^${escapeRegex(v)}$`, "i"));
+
+    const wanted = { skills: list(req.query.skills), interests: list(req.query.interests) };
+
+    // skills / interests default to EVERYONE, so a missing privacy value counts as visible
+    const visible = (field) => ({ [`privacy.${field}`]: { $nin: hidden } });
+
+    const match = { isActive: true };
+    if (!isStaff) match["privacy.listed"] = { $ne: false };
+    if (req.query.branch) match.branch = new RegExp(`^${escapeRegex(req.query.branch.trim())}$`, "i");
+    if (req.query.year) match.year = Number(req.query.year);
+    if (req.query.section) match.section = req.query.section.trim().toUpperCase();
+
+    const and = [];
+    const tagMatches = ["skills", "interests"]
+      .filter((field) => wanted[field].length)
+      .map((field) => ({ [field]: { $in: exact(wanted[field]) }, ...visible(field) }));
+    if (tagMatches.length) and.push({ $or: tagMatches });
+
+    if (req.query.q?.trim()) {
+      const re = new RegExp(escapeRegex(req.query.q.trim()), "i");
+      const users = await User.find({ name: re, role: "STUDENT" }).select("_id").limit(1000).lean();
+      and.push({
+        $or: [
+          { userId: { $in: users.map((u) => u._id) } },
+          { skills: re, ...visible("skills") },
+          { interests: re, ...visible("interests") },
+        ],
+      });
+    }
+    if (and.length) match.$and = and;
+
+    // Overlap between the requested and the (visible) skills / interests
+    const overlap = (field) =>
+      wanted[field].length
+        ? {
+            $cond: [
+              { $in: [{ $ifNull: [`$privacy.${field}`, "EVERYONE"] }, hidden] },
+              0,
+              {
+                $size: {
+                  $setIntersection: [
+                    { $map: { input: { $ifNull: [`$${field}`, []] }, as: "v", in: { $toLower: "$$v" } } },
+                    { $literal: wanted[field] },
+                  ],
+                },
+              },
+            ],
+          }
+        : 0;
+
+    // Tie-breaker: endorsements of the requested skills, or of all skills when none requested
+    const endorsed = {
+      $cond: [
+        { $in: [{ $ifNull: ["$privacy.skills", "EVERYONE"] }, hidden] },
+        0,
+        wanted.skills.length
+          ? {
+              $sum: {
+                $map: {
+                  input: {
+                    $filter: {
+                      input: { $ifNull: ["$endorsements", []] },
+                      as: "e",
+                      cond: { $in: [{ $toLower: "$$e.skill" }, { $literal: wanted.skills }] },
+                    },
+                  },
+                  as: "e",
+                  in: "$$e.count",
+                },
+              },
+            }
+          : { $ifNull: ["$endorsementCount", 0] },
+      ],
+    };
+
+    const [result] = await StudentProfile.aggregate([
+      { $match: match },
+      { $addFields: { score: { $add: [overlap("skills"), overlap("interests")] }, endorsed } },
+      {
+        $facet: {
+          students: [
+            { $sort: { score: -1, endorsed: -1, year: 1, branch: 1, section: 1, _id: 1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $project: { isActive: 0, graduatedAt: 0, endorsed: 0, __v: 0 } },
+          ],
+          total: [{ $count: "n" }],
+          branch: [{ $group: { _id: { $toUpper: "$branch" }, count: { $sum: 1 } } }, { $sort: { _id: 1 } }],
+          year: [{ $group: { _id: "$year", count: { $sum: 1 } } }, { $sort: { _id: 1 } }],
+        },
+      },
+    ]);
+
+    const users = await User.find({ _id: { $in: result.students.map((p) => p.userId) } })
+      .select("name email profilePicture")
+      .lean();
+    const userById = new Map(users.map((u) => [u._id.toString(), u]));
+
+    const students = result.students.map((p) => {
+      const shown = applyPrivacy(
+        { ...p, userId: userById.get(p.userId.toString()) || { _id: p.userId } },
+        { isStaff, viewerId: req.user.userId }
+      );
+      delete shown.privacy;
+      return shown;
+    });
+
+    const total = result.total[0]?.n || 0;
+    const facet = (rows) => rows.map((r) => ({ value: r._id, count: r.count }));
+
+    res.json({
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      totalStudents: total,
+      facets: { branch: facet(result.branch), year: facet(result.year) },
+      students,
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -2,7 +2,8 @@ const Quiz = require("../models/Quiz");
 const Notification = require("../models/Notification");
 const AcademicGroup = require("../models/AcademicGroup");
 const GroupMembership = require("../models/GroupMembership");
-const { isMember } = require("../utils/groupMembership");
+const { ARCHIVED_GROUP_MESSAGE, isMember, isGroupArchived } = require("../utils/groupMembership");
+const { hasPermission } = require("../utils/permissions");
 
 // ─── Helper: fan-out quiz notifications to all group members ─────────────────
 const createQuizNotifications = async (quiz) => {
@@ -46,6 +47,9 @@ exports.createQuiz = async (req, res) => {
     if (!member)
       return res.status(403).json({ message: "You are not a member of this group." });
 
+    if (group.archivedAt)
+      return res.status(403).json({ message: `${ARCHIVED_GROUP_MESSAGE}.` });
+
     // Validate questions
     for (let i = 0; i < questions.length; i++) {
       const q = questions[i];
@@ -104,9 +108,9 @@ exports.startQuiz = async (req, res) => {
     const quiz = await Quiz.findById(req.params.quizId);
     if (!quiz) return res.status(404).json({ message: "Quiz not found." });
 
-    // Only creator, FACULTY, or ADMIN may start
+    // Only the creator or quiz:start:any (FACULTY / ADMIN) may start
     const isCreator = quiz.createdBy.toString() === req.user.userId;
-    if (!isCreator && req.user.role === "STUDENT")
+    if (!isCreator && !(await hasPermission(req.user.role, "quiz:start:any")))
       return res.status(403).json({ message: "Only the quiz creator, faculty, or admin can start a quiz." });
 
     if (quiz.status !== "CREATED")
@@ -117,6 +121,9 @@ exports.startQuiz = async (req, res) => {
     if (!member)
       return res.status(403).json({ message: "You are not a member of this group." });
 
+    if (await isGroupArchived(quiz.groupId))
+      return res.status(403).json({ message: `${ARCHIVED_GROUP_MESSAGE}.` });
+
     quiz.status = "RUNNING";
     quiz.startedAt = new Date();
     await quiz.save();
@@ -2,7 +2,11 @@ const path = require("path");
 const fs = require("fs");
 const AcademicResource = require("../models/AcademicResource");
 const AcademicGroup = require("../models/AcademicGroup");
-const { isMember } = require("../utils/groupMembership");
+const { ARCHIVED_GROUP_MESSAGE, isMember } = require("../utils/groupMembership");
+const { hasPermission } = require("../utils/permissions");
+const { recordAudit } = require("../utils/audit");
+const { withFacultyProfile } = require("../utils/facultyProfile");
+const { withinTeachingScope } = require("../utils/teaching");
 
 const VALID_TYPES = ["SYLLABUS", "PYQ", "LECTURE_NOTE"];
 
@@ -24,6 +28,10 @@ exports.upload = async (req, res) => {
     // Verify group exists
     const group = await AcademicGroup.findById(groupId);
     if (!group) return res.status(404).json({ message: "Group not found" });
+    if (group.archivedAt)
+      return res.status(403).json({ message: ARCHIVED_GROUP_MESSAGE });
+    if (!(await withinTeachingScope(req.user.userId, req.user.role, group._id)))
+      return res.status(403).json({ message: "You can only upload resources to groups you teach" });
 
     // Ensure file was attached
     if (!req.file)
@@ -47,7 +55,7 @@ exports.upload = async (req, res) => {
     });
 
     const populated = await resource.populate([
-      { path: "uploadedBy", select: "name email role" },
+      withFacultyProfile("uploadedBy", "name email role"),
       { path: "groupId", select: "name branch year section type" },
     ]);
 
@@ -102,7 +110,7 @@ exports.list = async (req, res) => {
     const [resources, total] = await Promise.all([
       AcademicResource.find(filter)
         .select("-filePath")
-        .populate("uploadedBy", "name email role")
+        .populate(withFacultyProfile("uploadedBy", "name email role"))
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(lim)
@@ -128,7 +136,7 @@ exports.get = async (req, res) => {
   try {
     const resource = await AcademicResource.findById(req.params.resourceId)
       .select("-filePath")
-      .populate("uploadedBy", "name email role")
+      .populate(withFacultyProfile("uploadedBy", "name email role"))
       .populate("groupId", "name branch year section type");
 
     if (!resource)
@@ -180,7 +188,8 @@ exports.download = async (req, res) => {
 };
 
 // ─── DELETE /api/resources/:resourceId ───────────────────────────────────────
-// Uploader, or any FACULTY / ADMIN can delete
+// Uploader, or anyone with resource:delete:any (FACULTY / ADMIN by default;
+// faculty limited to groups they teach when the teaching scope is on)
 exports.remove = async (req, res) => {
   try {
     const resource = await AcademicResource.findById(req.params.resourceId);
@@ -188,8 +197,13 @@ exports.remove = async (req, res) => {
       return res.status(404).json({ message: "Resource not found" });
 
     const isOwner = resource.uploadedBy.toString() === req.user.userId;
-    const isMod = ["FACULTY", "ADMIN"].includes(req.user.role);
-    if (!isOwner && !isMod)
+    if (
+      !isOwner &&
+      !(
+        (await hasPermission(req.user.role, "resource:delete:any")) &&
+        (await withinTeachingScope(req.user.userId, req.user.role, resource.groupId))
+      )
+    )
       return res.status(403).json({ message: "Not allowed" });
 
     // Remove physical file
@@ -199,6 +213,19 @@ exports.remove = async (req, res) => {
 
     await resource.deleteOne();
 
+    recordAudit(req, {
+      action: "resource.delete",
+      targetType: "AcademicResource",
+      targetId: resource._id,
+      before: {
+        title: resource.title,
+        type: resource.type,
+        groupId: resource.groupId,
+        uploadedBy: resource.uploadedBy,
+        fileName: resource.fileName,
+      },
+    });
+
     res.json({ message: "Resource deleted" });
   } catch (err) {
     if (err.name === "CastError")
@@ -0,0 +1,607 @@
+const bcrypt = require("bcrypt");
+const crypto = require("crypto");
+const User = require("../models/User");
+const StudentProfile = require("../models/StudentProfile");
+const GroupMembership = require("../models/GroupMembership");
+const AcademicGroup = require("../models/AcademicGroup");
+const FacultyProfile = require("../models/FacultyProfile");
+const { parseCsv } = require("../utils/csv");
+const { validateSignupEmail } = require("../utils/emailPolicy");
+const {
+  enrollStudentInGroups,
+  ensureStudentGroups,
+  syncStudentGroups,
+  announceGroupChange,
+} = require("../utils/groupMembership");
+const { getSetting, setSetting } = require("../utils/settings");
+const { withTransaction } = require("../utils/transaction");
+const { issueUserToken } = require("../utils/userToken");
+const { sendMail, clientUrl } = require("../utils/mailer");
+const { recordAudit } = require("../utils/audit");
+
+const MAX_IMPORT_ROWS = 2000;
+const SETUP_LINK_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const SECTION_REGEX = /^[A-Z]$/;
+const FINAL_YEAR = 4;
+const SESSION_REGEX = /^(\d{4})-(\d{2})$/; // e.g. 2025-26
+const ROLLOVER_SETTING = "academicRollover";
+const MAX_REPORTED_MISMATCHES = 500;
+
+// Normalised CSV header → field name
+const COLUMN_ALIASES = {
+  name: "name",
+  email: "email",
+  rollnumber: "rollNumber",
+  rollno: "rollNumber",
+  roll: "rollNumber",
+  branch: "branch",
+  year: "year",
+  section: "section",
+};
+const REQUIRED_COLUMNS = ["name", "email", "rollNumber", "branch", "year", "section"];
+
+const isTrue = (v) => v === true || v === "true";
+
+/**
+ * Normalises one CSV record and returns { data, errors[] }.
+ */
+const validateRow = (raw) => {
+  const errors = [];
+
+  const name = (raw.name || "").trim();
+  if (!name) errors.push("name is required");
+  else if (name.length > 100) errors.push("name must be at most 100 characters");
+
+  const email = (raw.email || "").trim().toLowerCase();
+  const emailError = validateSignupEmail(email);
+  if (emailError) errors.push(emailError);
+
+  const rollNumber = (raw.rollNumber || "").trim();
+  if (!rollNumber) errors.push("rollNumber is required");
+
+  const branch = (raw.branch || "").trim().toUpperCase();
+  if (!branch) errors.push("branch is required");
+
+  const year = Number(raw.year);
+  if (!Number.isInteger(year) || year < 1 || year > 4) errors.push("year must be between 1 and 4");
+
+  const section = (raw.section || "").trim().toUpperCase();
+  if (!SECTION_REGEX.test(section)) errors.push("section must be a single letter (e.g. A, B)");
+
+  return { data: { name, email, rollNumber, branch, year, section }, errors };
+};
+
+const sendSetupEmail = (student, link) =>
+  sendMail({
+    to: student.email,
+    subject: "Your CollegeHub account is ready",
+    text:
+      `Hi ${student.name},\n\n` +
+      `An account has been created for you (${student.branch}-${student.year}-${student.section}).\n` +
+      `Choose your password using the link below (valid for 7 days).\n\n` +
+      `${link}`,
+  });
+
+// ─── POST /api/admin/students/import ─────────────────────────────────────────
+// CSV columns: name, email, rollNumber, branch, year, section (header row required)
+// Upload as multipart "file", or send JSON { csv: "<text>" }
+// Options (query or body): dryRun=true — validate only; sendEmails=false — only return links
+exports.importStudents = async (req, res) => {
+  try {
+    const dryRun = isTrue(req.query.dryRun ?? req.body?.dryRun);
+    const sendEmails = !(req.query.sendEmails === "false" || req.body?.sendEmails === false || req.body?.sendEmails === "false");
+
+    const text = req.file ? req.file.buffer.toString("utf8") : req.body?.csv;
+    if (!text || typeof text !== "string" || !text.trim())
+      return res.status(400).json({ message: "CSV file (field \"file\") or csv text is required" });
+
+    const [header, ...records] = parseCsv(text);
+    const columns = header.map((h) => COLUMN_ALIASES[h.trim().toLowerCase().replace(/[^a-z]/g, "")] || null);
+
+    const missing = REQUIRED_COLUMNS.filter((c) => !columns.includes(c));
+    if (missing.length)
+      return res.status(400).json({ message: `Missing columns: ${missing.join(", ")}` });
+
+    if (!records.length)
+      return res.status(400).json({ message: "CSV has no data rows" });
+    if (records.length > MAX_IMPORT_ROWS)
+      return res.status(400).json({ message: `At most ${MAX_IMPORT_ROWS} rows per import` });
+
+    // ── Validate every row ───────────────────────────────────────────────────
+    const rows = records.map((record, i) => {
+      const raw = {};
+      columns.forEach((field, c) => {
+        if (field) raw[field] = record[c];
+      });
+      const { data, errors } = validateRow(raw);
+      return { row: i + 2, ...data, errors }; // +2: 1-based and header row
+    });
+
+    // Duplicates inside the file
+    const seen = { email: new Map(), rollNumber: new Map() };
+    rows.forEach((r) => {
+      ["email", "rollNumber"].forEach((field) => {
+        if (!r[field]) return;
+        const key = field === "rollNumber" ? `${r.branch}:${r.rollNumber}` : r.email;
+        if (seen[field].has(key)) r.errors.push(`Duplicate ${field} (same as row ${seen[field].get(key)})`);
+        else seen[field].set(key, r.row);
+      });
+    });
+
+    // Conflicts with existing accounts / profiles (emails compared case-insensitively)
+    const [existingUsers, existingProfiles] = await Promise.all([
+      User.find({ email: { $in: rows.map((r) => r.email).filter(Boolean) } })
+        .collation({ locale: "en", strength: 2 })
+        .select("email")
+        .lean(),
+      StudentProfile.find({ rollNumber: { $in: rows.map((r) => r.rollNumber).filter(Boolean) } })
+        .select("rollNumber branch")
+        .lean(),
+    ]);
+    const takenEmails = new Set(existingUsers.map((u) => u.email.toLowerCase()));
+    const takenRolls = new Set(existingProfiles.map((p) => `${p.branch.toUpperCase()}:${p.rollNumber}`));
+
+    rows.forEach((r) => {
+      if (takenEmails.has(r.email)) r.errors.push("User already exists");
+      if (takenRolls.has(`${r.branch}:${r.rollNumber}`)) r.errors.push("rollNumber already used in this branch");
+    });
+
+    const validRows = rows.filter((r) => !r.errors.length);
+
+    if (dryRun) {
+      return res.json({
+        dryRun: true,
+        total: rows.length,
+        valid: validRows.length,
+        invalid: rows.length - validRows.length,
+        rows: rows.map((r) => ({
+          row: r.row,
+          email: r.email,
+          status: r.errors.length ? "invalid" : "valid",
+          groups: r.errors.length ? [] : [`${r.branch}-${r.year}`, `${r.branch}-${r.year}-${r.section}`],
+          errors: r.errors,
+        })),
+      });
+    }
+
+    // ── Create accounts ─────────────────────────────────────────────────────
+    // Placeholder password nobody knows — students choose theirs via the setup link
+    const placeholderPassword = await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10);
+
+    const results = [];
+    for (const r of rows) {
+      if (r.errors.length) {
+        results.push({ row: r.row, email: r.email, status: "skipped", errors: r.errors });
+        continue;
+      }
+
+      let user;
+      try {
+        user = await User.create({ email: r.email, name: r.name, role: "STUDENT", password: placeholderPassword });
+        await StudentProfile.create({
+          userId: user._id,
+          branch: r.branch,
+          year: r.year,
+          section: r.section,
+          rollNumber: r.rollNumber,
+        });
+        const groups = await enrollStudentInGroups(user._id, r.branch, r.year, r.section);
+
+        const token = await issueUserToken(user._id, "PASSWORD_RESET", SETUP_LINK_TTL_MS);
+        const setPasswordLink = clientUrl("/reset-password", { token });
+
+        if (sendEmails)
+          sendSetupEmail(r, setPasswordLink).catch((err) =>
+            console.error("Roster setup email failed:", err.message)
+          );
+
+        results.push({
+          row: r.row,
+          email: r.email,
+          status: "created",
+          userId: user._id,
+          groups: groups.map((g) => g.name),
+          setPasswordLink,
+          errors: [],
+        });
+      } catch (err) {
+        // Roll back the partial account so the row can simply be re-imported
+        if (user)
+          await Promise.all([
+            User.deleteOne({ _id: user._id }),
+            StudentProfile.deleteOne({ userId: user._id }),
+            GroupMembership.deleteMany({ userId: user._id }),
+          ]).catch(() => {});
+        results.push({ row: r.row, email: r.email, status: "failed", errors: [err.message] });
+      }
+    }
+
+    const created = results.filter((r) => r.status === "created").length;
+
+    recordAudit(req, {
+      action: "roster.import",
+      targetType: "User",
+      meta: { total: rows.length, created, skipped: rows.length - validRows.length, sendEmails },
+    });
+
+    res.status(created ? 201 : 200).json({
+      dryRun: false,
+      total: rows.length,
+      created,
+      failed: rows.length - created,
+      emailsSent: sendEmails,
+      rows: results,
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── Academic year rollover ──────────────────────────────────────────────────
+
+// Only one rollover may run at a time in this process
+let rolloverRunning = false;
+
+const isValidSession = (session) => {
+  const m = SESSION_REGEX.exec(session || "");
+  return !!m && (Number(m[1]) + 1) % 100 === Number(m[2]);
+};
+
+const groupKey = (branch, year, section) => `${branch.toUpperCase()}-${year}-${section.toUpperCase()}`;
+
+// What a run record keeps of its plan, so a FAILED run can be retried as planned
+const storedPlan = (plan) => ({
+  oldGroupIds: plan.oldGroups.map((g) => g._id),
+  promote: plan.promote.map((p) => [p._id, p.year]),
+  graduateIds: plan.graduate.map((p) => p._id),
+});
+
+// Run record without the stored plan (API responses, audit)
+const publicRecord = (record) => {
+  if (!record) return record;
+  const { plan, ...rest } = record;
+  return rest;
+};
+
+/**
+ * Works out what a rollover would do without writing anything:
+ * active students in years 1..3 move up a year, final years graduate, every
+ * current YEAR / YEAR_SECTION group is archived and the next-year groups are
+ * created for the promoted students.
+ * With `stored` (a FAILED run's plan) the same students and groups are used,
+ * at the years they had before that run.
+ */
+const planRollover = async (session, stored = null) => {
+  let profiles;
+  let oldGroups;
+  let promote;
+  let graduate;
+
+  if (stored) {
+    const fromYear = new Map(stored.promote.map(([id, year]) => [id.toString(), year]));
+    const graduateIds = new Set(stored.graduateIds.map((id) => id.toString()));
+    [profiles, oldGroups] = await Promise.all([
+      StudentProfile.find({ _id: { $in: [...fromYear.keys(), ...graduateIds] } })
+        .select("userId branch year section")
+        .lean(),
+      AcademicGroup.find({ _id: { $in: stored.oldGroupIds } })
+        .select("name type branch year section archivedAt")
+        .lean(),
+    ]);
+    promote = profiles
+      .filter((p) => fromYear.has(p._id.toString()))
+      .map((p) => ({ ...p, year: fromYear.get(p._id.toString()) }));
+    graduate = profiles.filter((p) => graduateIds.has(p._id.toString()));
+    // Groups the failed run already archived carry the session suffix
+    const suffix = ` (${session})`;
+    oldGroups = oldGroups.map((g) =>
+      g.archivedAt && g.name.endsWith(suffix) ? { ...g, name: g.name.slice(0, -suffix.length) } : g
+    );
+  } else {
+    [profiles, oldGroups] = await Promise.all([
+      StudentProfile.find({ isActive: true }).select("userId branch year section").lean(),
+      AcademicGroup.find({ type: { $in: ["YEAR", "YEAR_SECTION"] }, archivedAt: null })
+        .select("name type branch year section")
+        .lean(),
+    ]);
+    promote = profiles.filter((p) => p.year < FINAL_YEAR);
+    graduate = profiles.filter((p) => p.year >= FINAL_YEAR);
+  }
+
+  const byYear = {};
+  promote.forEach((p) => {
+    const key = `${p.year}->${p.year + 1}`;
+    byYear[key] = (byYear[key] || 0) + 1;
+  });
+
+  // Next-year groups, keyed by BRANCH-YEAR-SECTION
+  const targets = new Map();
+  promote.forEach((p) => {
+    const key = groupKey(p.branch, p.year + 1, p.section);
+    if (!targets.has(key))
+      targets.set(key, { branch: p.branch.toUpperCase(), year: p.year + 1, section: p.section.toUpperCase() });
+  });
+  const groupsToCreate = [
+    ...new Set([...targets.values()].flatMap((t) => [`${t.branch}-${t.year}`, `${t.branch}-${t.year}-${t.section}`])),
+  ].sort();
+
+  return {
+    session,
+    profiles,
+    promote,
+    graduate,
+    oldGroups,
+    targets,
+    summary: {
+      session,
+      promoted: promote.length,
+      promotedByYear: byYear,
+      graduated: graduate.length,
+      groupsToArchive: oldGroups.map((g) => ({ name: g.name, archivedName: `${g.name} (${session})` })),
+      groupsToCreate,
+    },
+  };
+};
+
+/**
+ * Applies a plan: archive old groups → update profiles → create next-year
+ * groups → add memberships. Not transactional, but every step skips what is
+ * already done, so a FAILED run can be applied again with the same plan.
+ */
+const applyRollover = async (plan) => {
+  const now = new Date();
+  const oldGroupIds = plan.oldGroups.map((g) => g._id);
+
+  // 1. Archive — the session suffix frees the plain name (CSE-2-A) for the next cohort
+  if (plan.oldGroups.length)
+    await AcademicGroup.bulkWrite(
+      plan.oldGroups.map((g) => ({
+        updateOne: {
+          filter: { _id: g._id, archivedAt: null },
+          update: { $set: { archivedAt: now, academicSession: plan.session, name: `${g.name} (${plan.session})` } },
+        },
+      }))
+    );
+
+  // 2. Profiles — matched on the planned year so nobody moves up twice
+  if (plan.promote.length)
+    await StudentProfile.bulkWrite(
+      plan.promote.map((p) => ({
+        updateOne: { filter: { _id: p._id, year: p.year }, update: { $set: { year: p.year + 1 } } },
+      }))
+    );
+  if (plan.graduate.length)
+    await StudentProfile.updateMany(
+      { _id: { $in: plan.graduate.map((p) => p._id) }, isActive: true },
+      { $set: { isActive: false, graduatedAt: now } }
+    );
+
+  // 3. Next-year groups
+  const newGroups = new Map(); // BRANCH-YEAR-SECTION → { YEAR, YEAR_SECTION }
+  for (const [key, t] of plan.targets) {
+    const [yearGroup, sectionGroup] = await ensureStudentGroups(t.branch, t.year, t.section);
+    newGroups.set(key, { YEAR: yearGroup._id, YEAR_SECTION: sectionGroup._id });
+  }
+
+  // 4. Memberships — promoted students join the next-year groups as MEMBER.
+  //    Memberships of the archived groups stay, so members keep read access
+  const ops = plan.promote.flatMap((p) => {
+    const target = newGroups.get(groupKey(p.branch, p.year + 1, p.section));
+    return ["YEAR", "YEAR_SECTION"].map((type) => ({
+      updateOne: {
+        filter: { userId: p.userId, groupId: target[type] },
+        update: { $setOnInsert: { userId: p.userId, groupId: target[type], isSystemGenerated: true } },
+        upsert: true,
+      },
+    }));
+  });
+  let added = 0;
+  if (ops.length) added = (await GroupMembership.bulkWrite(ops, { ordered: false })).upsertedCount;
+
+  // 5. Teaching assignments stay as history; archived groups leave the faculty profiles
+  if (oldGroupIds.length)
+    await FacultyProfile.updateMany(
+      { assignedGroups: { $in: oldGroupIds } },
+      { $pull: { assignedGroups: { $in: oldGroupIds } } }
+    );
+
+  return { membershipsAdded: added };
+};
+
+// ─── POST /api/admin/students/rollover ───────────────────────────────────────
+// Body: { session: "2025-26" (the session being closed), preview?: true }
+// preview (query or body) only reports what would change
+exports.rolloverStudents = async (req, res) => {
+  try {
+    const preview = isTrue(req.query.preview ?? req.body?.preview);
+    const session = (req.body?.session ?? req.query.session ?? "").trim();
+
+    if (!isValidSession(session))
+      return res.status(400).json({ message: "session must look like 2025-26" });
+
+    const last = await getSetting(ROLLOVER_SETTING, null);
+    // A FAILED session may be run again — it resumes the plan it started with
+    const retry = last?.status === "FAILED" && last.session === session && last.plan ? last.plan : null;
+    if (last && session <= last.session && !retry)
+      return res.status(409).json({
+        message: `Rollover for ${last.session} was already run (${last.status})`,
+        lastRollover: publicRecord(last),
+      });
+
+    if (rolloverRunning)
+      return res.status(409).json({ message: "A rollover is already running" });
+
+    rolloverRunning = true;
+    try {
+      const plan = await planRollover(session, retry);
+      if (preview) return res.json({ preview: true, retry: !!retry, ...plan.summary });
+
+      const record = {
+        session,
+        status: "RUNNING",
+        startedAt: new Date(),
+        by: req.user.userId,
+        ...(retry && { retryOf: last.startedAt }),
+      };
+      await setSetting(ROLLOVER_SETTING, { ...record, plan: storedPlan(plan) }, req.user.userId);
+
+      let result;
+      try {
+        result = await applyRollover(plan);
+      } catch (err) {
+        await setSetting(
+          ROLLOVER_SETTING,
+          { ...record, plan: storedPlan(plan), status: "FAILED", error: err.message },
+          req.user.userId
+        );
+        throw err;
+      }
+
+      const completed = {
+        ...record,
+        status: "COMPLETED",
+        completedAt: new Date(),
+        promoted: plan.promote.length,
+        graduated: plan.graduate.length,
+        groupsArchived: plan.oldGroups.length,
+        groupsCreated: plan.summary.groupsToCreate.length,
+        ...result,
+      };
+      await setSetting(ROLLOVER_SETTING, completed, req.user.userId);
+
+      recordAudit(req, {
+        action: "roster.rollover",
+        targetType: "AcademicGroup",
+        after: completed,
+        meta: { promotedByYear: plan.summary.promotedByYear },
+      });
+
+      res.json({ preview: false, retry: !!retry, ...plan.summary, ...result });
+    } finally {
+      rolloverRunning = false;
+    }
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── GET /api/admin/students/rollover ────────────────────────────────────────
+exports.getLastRollover = async (req, res) => {
+  try {
+    res.json({ lastRollover: publicRecord(await getSetting(ROLLOVER_SETTING, null)) });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── Group membership reconciliation ─────────────────────────────────────────
+
+/**
+ * Compares every StudentProfile with the student's system-generated
+ * YEAR / YEAR_SECTION memberships. Active profiles should be in exactly
+ * BRANCH-YEAR and BRANCH-YEAR-SECTION; inactive profiles and users without a
+ * profile in none. Returns { checked, mismatches[], profileByUser }.
+ */
+const findGroupMismatches = async () => {
+  const [profiles, memberships, currentGroups] = await Promise.all([
+    StudentProfile.find().select("userId branch year section isActive").lean(),
+    GroupMembership.find({ isSystemGenerated: true }).select("userId groupId").lean(),
+    AcademicGroup.find({ type: { $in: ["YEAR", "YEAR_SECTION"] }, archivedAt: null }).select("name").lean(),
+  ]);
+
+  const groupIds = [...new Set(memberships.map((m) => m.groupId.toString()))];
+  const memberGroups = await AcademicGroup.find({ _id: { $in: groupIds } }).select("name type archivedAt").lean();
+  const groupById = new Map(memberGroups.map((g) => [g._id.toString(), g]));
+  const currentByName = new Map(currentGroups.map((g) => [g.name, g._id.toString()]));
+
+  const profileByUser = new Map(profiles.map((p) => [p.userId.toString(), p]));
+  const membershipsByUser = new Map();
+  memberships.forEach((m) => {
+    const group = groupById.get(m.groupId.toString());
+    // Only current YEAR / YEAR_SECTION memberships follow the profile —
+    // archived groups keep their members as history
+    if (group && (!["YEAR", "YEAR_SECTION"].includes(group.type) || group.archivedAt)) return;
+    const key = m.userId.toString();
+    if (!membershipsByUser.has(key)) membershipsByUser.set(key, []);
+    membershipsByUser.get(key).push({ groupId: m.groupId.toString(), name: group ? group.name : null });
+  });
+
+  const mismatches = [];
+  new Set([...profileByUser.keys(), ...membershipsByUser.keys()]).forEach((userId) => {
+    const profile = profileByUser.get(userId);
+    const actual = membershipsByUser.get(userId) || [];
+
+    const expected =
+      profile && profile.isActive
+        ? [`${profile.branch.toUpperCase()}-${profile.year}`, groupKey(profile.branch, profile.year, profile.section)]
+        : [];
+    const expectedIds = new Set(expected.map((name) => currentByName.get(name)).filter(Boolean));
+
+    const missing = expected.filter((name) => !actual.some((m) => m.groupId === currentByName.get(name)));
+    const extra = actual.filter((m) => !expectedIds.has(m.groupId)).map((m) => m.name || "(deleted group)");
+
+    if (missing.length || extra.length)
+      mismatches.push({
+        userId,
+        profile: profile
+          ? { branch: profile.branch, year: profile.year, section: profile.section, isActive: profile.isActive }
+          : null,
+        missing,
+        extra,
+      });
+  });
+
+  return { checked: profileByUser.size, mismatches, profileByUser };
+};
+
+const mismatchReport = ({ checked, mismatches }) => ({
+  checked,
+  mismatched: mismatches.length,
+  truncated: mismatches.length > MAX_REPORTED_MISMATCHES,
+  mismatches: mismatches.slice(0, MAX_REPORTED_MISMATCHES),
+});
+
+// ─── GET /api/admin/students/group-sync ──────────────────────────────────────
+// Report only
+exports.getGroupSyncReport = async (req, res) => {
+  try {
+    res.json(mismatchReport(await findGroupMismatches()));
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── POST /api/admin/students/group-sync ─────────────────────────────────────
+// Fixes every mismatch (one transaction per student) and notifies affected students
+exports.fixGroupSync = async (req, res) => {
+  try {
+    const found = await findGroupMismatches();
+    const io = req.app.get("io");
+
+    let fixed = 0;
+    const failures = [];
+    for (const { userId } of found.mismatches) {
+      const profile = found.profileByUser.get(userId) || null;
+      try {
+        const change = await withTransaction((session) => syncStudentGroups(userId, profile, session));
+        fixed++;
+        if (profile?.isActive)
+          announceGroupChange(io, userId, change).catch((err) =>
+            console.error("Group change notification failed:", err.message)
+          );
+      } catch (err) {
+        failures.push({ userId, error: err.message });
+      }
+    }
+
+    recordAudit(req, {
+      action: "roster.group_sync",
+      targetType: "GroupMembership",
+      meta: { checked: found.checked, mismatched: found.mismatches.length, fixed, failed: failures.length },
+    });
+
+    res.json({ ...mismatchReport(found), fixed, failed: failures.length, failures });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
@@ -0,0 +1,173 @@
+const TeachingAssignment = require("../models/TeachingAssignment");
+const AcademicGroup = require("../models/AcademicGroup");
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const { setSetting } = require("../utils/settings");
+const { SCOPE_SETTING, isFacultyScoped, refreshAssignedGroups } = require("../utils/teaching");
+const { escapeRegex } = require("../utils/regex");
+const { recordAudit } = require("../utils/audit");
+
+const POPULATE = [
+  { path: "facultyId", select: "name email role profilePicture" },
+  { path: "groupId", select: "name type branch year section archivedAt" },
+  { path: "assignedBy", select: "name" },
+];
+
+// ─── GET /api/admin/teaching-assignments ─────────────────────────────────────
+// Query: facultyId, groupId, term, subject, page, limit
+exports.listAssignments = async (req, res) => {
+  try {
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const { facultyId, groupId, term, subject } = req.query;
+
+    const filter = {};
+    if (facultyId) filter.facultyId = facultyId;
+    if (groupId) filter.groupId = groupId;
+    if (term) filter.term = term;
+    if (subject) filter.subject = { $regex: escapeRegex(subject), $options: "i" };
+
+    const [assignments, total] = await Promise.all([
+      TeachingAssignment.find(filter)
+        .populate(POPULATE)
+        .sort({ term: -1, subject: 1, createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      TeachingAssignment.countDocuments(filter),
+    ]);
+
+    res.json({
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      totalAssignments: total,
+      assignments,
+    });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid facultyId or groupId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── POST /api/admin/teaching-assignments ────────────────────────────────────
+// Body: { facultyId, groupId, subject, term: "2025-26" }
+exports.createAssignment = async (req, res) => {
+  try {
+    const { facultyId, groupId, subject, term } = req.body;
+    if (!facultyId || !groupId)
+      return res.status(400).json({ message: "facultyId and groupId are required" });
+    if (typeof subject !== "string" || !subject.trim())
+      return res.status(400).json({ message: "subject is required" });
+
+    const faculty = await User.findOne({ _id: facultyId, deletedAt: null }).select("name role");
+    if (!faculty) return res.status(404).json({ message: "User not found" });
+    if (faculty.role !== "FACULTY")
+      return res.status(400).json({ message: "Only faculty can be assigned to teach" });
+
+    const group = await AcademicGroup.findOne({ _id: groupId, isActive: true });
+    if (!group) return res.status(404).json({ message: "Group not found" });
+    if (group.archivedAt)
+      return res.status(400).json({ message: "Archived groups cannot get new teaching assignments" });
+
+    const assignment = await TeachingAssignment.create({
+      facultyId: faculty._id,
+      groupId: group._id,
+      subject: subject.trim(),
+      term: typeof term === "string" ? term.trim() : term,
+      assignedBy: req.user.userId,
+    });
+    await refreshAssignedGroups(faculty._id);
+    await assignment.populate(POPULATE);
+
+    recordAudit(req, {
+      action: "teaching.assign",
+      targetType: "TeachingAssignment",
+      targetId: assignment._id,
+      after: { facultyId: faculty._id, groupId: group._id, subject: assignment.subject, term: assignment.term },
+    });
+
+    await Notification.create({
+      targetUserId: faculty._id,
+      targetGroupId: group._id,
+      type: "GROUP",
+      payload: {
+        title: "New teaching assignment",
+        message: `You were assigned to teach ${assignment.subject} to ${group.name} (${assignment.term}).`,
+      },
+    });
+
+    res.status(201).json({ message: "Teaching assignment created", assignment });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ message: err.message });
+    if (err.code === 11000)
+      return res.status(409).json({ message: "This faculty member already teaches this subject to the group in this term" });
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid facultyId or groupId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── DELETE /api/admin/teaching-assignments/:assignmentId ────────────────────
+exports.deleteAssignment = async (req, res) => {
+  try {
+    const assignment = await TeachingAssignment.findByIdAndDelete(req.params.assignmentId);
+    if (!assignment)
+      return res.status(404).json({ message: "Teaching assignment not found" });
+
+    await refreshAssignedGroups(assignment.facultyId);
+
+    recordAudit(req, {
+      action: "teaching.unassign",
+      targetType: "TeachingAssignment",
+      targetId: assignment._id,
+      before: {
+        facultyId: assignment.facultyId,
+        groupId: assignment.groupId,
+        subject: assignment.subject,
+        term: assignment.term,
+      },
+    });
+
+    res.json({ message: "Teaching assignment removed" });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid assignmentId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── GET /api/admin/teaching-scope ───────────────────────────────────────────
+exports.getScopePolicy = async (req, res) => {
+  try {
+    res.json({ restrictFaculty: !!(await isFacultyScoped()) });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── PUT /api/admin/teaching-scope ───────────────────────────────────────────
+// Body: { restrictFaculty: true } — faculty moderate chat, delete others'
+// resources and upload only in the groups they teach
+exports.updateScopePolicy = async (req, res) => {
+  try {
+    const { restrictFaculty } = req.body;
+    if (typeof restrictFaculty !== "boolean")
+      return res.status(400).json({ message: "restrictFaculty must be a boolean" });
+
+    const previous = !!(await isFacultyScoped());
+    await setSetting(SCOPE_SETTING, restrictFaculty, req.user.userId);
+
+    recordAudit(req, {
+      action: "teaching.scope.update",
+      targetType: "Setting",
+      before: { restrictFaculty: previous },
+      after: { restrictFaculty },
+    });
+    res.json({ message: "Teaching scope updated", restrictFaculty });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
@@ -1,7 +1,12 @@
 const DiscussionThread = require("../models/DiscussionThread");
 const DiscussionReply = require("../models/DiscussionReply");
 const AcademicGroup = require("../models/AcademicGroup");
-const { isMember } = require("../utils/groupMembership");
+const { ARCHIVED_GROUP_MESSAGE, isMember, isGroupArchived } = require("../utils/groupMembership");
+const { hasPermission } = require("../utils/permissions");
+const { withFacultyProfile } = require("../utils/facultyProfile");
+
+// Replies show the author's faculty details (department, designation) when they have a FacultyProfile
+const REPLY_AUTHOR = withFacultyProfile("author", "email role");
 
 // ─── THREAD ENDPOINTS ─────────────────────────────────────────────────────────
 
@@ -15,6 +20,9 @@ exports.createThread = async (req, res) => {
     if (!member)
       return res.status(403).json({ message: "You are not a member of this group" });
 
+    if (group.archivedAt)
+      return res.status(403).json({ message: ARCHIVED_GROUP_MESSAGE });
+
     const { title, content, subject } = req.body;
     if (!title || !content)
       return res.status(400).json({ message: "Title and content are required" });
@@ -82,7 +90,7 @@ exports.getThread = async (req, res) => {
       return res.status(403).json({ message: "You are not a member of this group" });
 
     const replies = await DiscussionReply.find({ threadId: req.params.threadId })
-      .populate("author", "email role")
+      .populate(REPLY_AUTHOR)
       .sort({ createdAt: 1 });
 
     res.json({ thread, replies });
@@ -103,6 +111,9 @@ exports.replyToThread = async (req, res) => {
     if (!member)
       return res.status(403).json({ message: "You are not a member of this group" });
 
+    if (await isGroupArchived(thread.groupId))
+      return res.status(403).json({ message: ARCHIVED_GROUP_MESSAGE });
+
     const { content } = req.body;
     if (!content || !content.trim())
       return res.status(400).json({ message: "Reply content is required" });
@@ -113,7 +124,7 @@ exports.replyToThread = async (req, res) => {
       content: content.trim(),
     });
 
-    const populated = await reply.populate("author", "email role");
+    const populated = await reply.populate(REPLY_AUTHOR);
     res.status(201).json({ message: "Reply added", reply: populated });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -126,10 +137,9 @@ exports.resolveThread = async (req, res) => {
     const thread = await DiscussionThread.findById(req.params.threadId);
     if (!thread) return res.status(404).json({ message: "Thread not found" });
 
-    // Author OR faculty/admin can resolve
+    // Author OR thread:resolve:any (faculty/admin) can resolve
     const isAuthor = thread.author.toString() === req.user.userId;
-    const isPrivileged = req.user.role === "FACULTY" || req.user.role === "ADMIN";
-    if (!isAuthor && !isPrivileged)
+    if (!isAuthor && !(await hasPermission(req.user.role, "thread:resolve:any")))
       return res.status(403).json({ message: "Only the thread author or faculty/admin can resolve this" });
 
     thread.isResolved = true;
@@ -164,7 +174,7 @@ exports.acceptReply = async (req, res) => {
     reply.isAccepted = true;
     await reply.save();
 
-    const populated = await reply.populate("author", "email role");
+    const populated = await reply.populate(REPLY_AUTHOR);
     res.json({ message: "Reply accepted", reply: populated });
   } catch (error) {
     res.status(500).json({ error: error.message });
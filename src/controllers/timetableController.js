@@ -0,0 +1,213 @@
+const mongoose = require("mongoose");
+const AcademicGroup = require("../models/AcademicGroup");
+const TimetableEntry = require("../models/TimetableEntry");
+const { DAYS, TIME_REGEX } = require("../models/TimetableEntry");
+const User = require("../models/User");
+const { ARCHIVED_GROUP_MESSAGE, isMember } = require("../utils/groupMembership");
+const { hasPermission } = require("../utils/permissions");
+const { teachesGroup } = require("../utils/teaching");
+const { dayOf, findEntries, getUserTimetable, findClashes, timetableToIcs } = require("../utils/timetable");
+
+const sendIcs = (res, fileName, body) => {
+  res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+  res.send(body);
+};
+
+/**
+ * Merges body fields over `current` (the stored entry when editing) and
+ * validates the resulting slot. Returns { slot } or { error }.
+ */
+const parseSlot = (body, current = {}) => {
+  const slot = { ...current };
+  if (body.day !== undefined) slot.day = String(body.day).toUpperCase();
+  if (body.startTime !== undefined) slot.startTime = String(body.startTime).trim();
+  if (body.endTime !== undefined) slot.endTime = String(body.endTime).trim();
+  if (body.subject !== undefined) slot.subject = typeof body.subject === "string" ? body.subject.trim() : "";
+  if (body.room !== undefined) slot.room = typeof body.room === "string" ? body.room.trim().toUpperCase() || null : null;
+  if (body.facultyId !== undefined) slot.facultyId = body.facultyId || null;
+
+  if (!DAYS.includes(slot.day)) return { error: `day must be one of: ${DAYS.join(", ")}` };
+  if (!TIME_REGEX.test(slot.startTime || "") || !TIME_REGEX.test(slot.endTime || ""))
+    return { error: "startTime and endTime must be HH:MM (24h)" };
+  if (slot.endTime <= slot.startTime) return { error: "endTime must be after startTime" };
+  if (!slot.subject) return { error: "subject is required" };
+  if (slot.facultyId && !mongoose.Types.ObjectId.isValid(slot.facultyId)) return { error: "Invalid facultyId" };
+  return { slot };
+};
+
+const isActiveFaculty = (userId) => User.exists({ _id: userId, role: "FACULTY", deletedAt: null });
+
+/**
+ * Loads a group and checks the caller may edit its timetable: timetable:manage,
+ * or a teaching assignment in the group.
+ * Returns { group } or { status, message }.
+ */
+const loadEditableGroup = async (req, groupId) => {
+  const group = await AcademicGroup.findById(groupId);
+  if (!group || !group.isActive) return { status: 404, message: "Group not found" };
+  if (group.archivedAt) return { status: 403, message: ARCHIVED_GROUP_MESSAGE };
+  if (
+    !(await hasPermission(req.user.role, "timetable:manage")) &&
+    !(await teachesGroup(req.user.userId, group._id))
+  )
+    return { status: 403, message: "You can only edit the timetable of groups you teach" };
+  return { group };
+};
+
+/**
+ * Loads :groupId and checks the caller may read it.
+ * Returns { group } or { status, message }.
+ */
+const loadReadableGroup = async (req) => {
+  const group = await AcademicGroup.findById(req.params.groupId).select("name isActive archivedAt").lean();
+  if (!group || !group.isActive) return { status: 404, message: "Group not found" };
+  if (!(await isMember(req.user.userId, req.user.role, group._id)))
+    return { status: 403, message: "You are not a member of this group" };
+  return { group };
+};
+
+// ─── GET /api/timetable/me ───────────────────────────────────────────────────
+// Own week — groups the user belongs to plus slots they teach. Query: day (MON…SUN | today)
+exports.getMyTimetable = async (req, res) => {
+  try {
+    let day = req.query.day ? String(req.query.day).toUpperCase() : null;
+    if (day === "TODAY") day = dayOf();
+    if (day && !DAYS.includes(day))
+      return res.status(400).json({ message: `day must be one of: ${DAYS.join(", ")}, today` });
+
+    const entries = await getUserTimetable(req.user.userId, day);
+    res.json({ today: dayOf(), entries });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── GET /api/timetable/me/ics ───────────────────────────────────────────────
+exports.exportMyTimetable = async (req, res) => {
+  try {
+    const entries = await getUserTimetable(req.user.userId);
+    sendIcs(res, "timetable.ics", timetableToIcs("My timetable", entries));
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── GET /api/timetable/groups/:groupId ──────────────────────────────────────
+exports.getGroupTimetable = async (req, res) => {
+  try {
+    const { group, status, message } = await loadReadableGroup(req);
+    if (!group) return res.status(status).json({ message });
+
+    const entries = await findEntries({ groupId: group._id }, { currentOnly: false });
+    res.json({ group: { _id: group._id, name: group.name, isArchived: !!group.archivedAt }, entries });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid groupId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── GET /api/timetable/groups/:groupId/ics ──────────────────────────────────
+exports.exportGroupTimetable = async (req, res) => {
+  try {
+    const { group, status, message } = await loadReadableGroup(req);
+    if (!group) return res.status(status).json({ message });
+
+    const entries = await findEntries({ groupId: group._id }, { currentOnly: false });
+    const safeName = group.name.replace(/[^A-Za-z0-9-]+/g, "_");
+    sendIcs(res, `timetable_${safeName}.ics`, timetableToIcs(`${group.name} timetable`, entries));
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid groupId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── POST /api/timetable/groups/:groupId/entries ─────────────────────────────
+// Body: { day, startTime, endTime, subject, facultyId?, room? }
+// Rejected with 409 when it overlaps a slot of the same group, faculty member or room
+exports.createEntry = async (req, res) => {
+  try {
+    const { group, status, message } = await loadEditableGroup(req, req.params.groupId);
+    if (!group) return res.status(status).json({ message });
+
+    const { slot, error } = parseSlot(req.body, { facultyId: null, room: null });
+    if (error) return res.status(400).json({ message: error });
+    if (slot.facultyId && !(await isActiveFaculty(slot.facultyId)))
+      return res.status(400).json({ message: "facultyId must be an active faculty member" });
+
+    const clashes = await findClashes({ ...slot, groupId: group._id });
+    if (clashes.length) return res.status(409).json({ message: "Timetable clash", clashes });
+
+    const entry = await TimetableEntry.create({ ...slot, groupId: group._id, updatedBy: req.user.userId });
+    const [created] = await findEntries({ _id: entry._id });
+
+    res.status(201).json({ message: "Timetable entry added", entry: created });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ message: err.message });
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid groupId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── PUT /api/timetable/entries/:entryId ─────────────────────────────────────
+// Body: any of { day, startTime, endTime, subject, facultyId, room } — clash-checked like create
+exports.updateEntry = async (req, res) => {
+  try {
+    const entry = await TimetableEntry.findById(req.params.entryId);
+    if (!entry) return res.status(404).json({ message: "Timetable entry not found" });
+
+    const { group, status, message } = await loadEditableGroup(req, entry.groupId);
+    if (!group) return res.status(status).json({ message });
+
+    const fields = ["day", "startTime", "endTime", "subject", "facultyId", "room"];
+    if (!fields.some((f) => req.body[f] !== undefined))
+      return res.status(400).json({ message: "No updatable fields provided" });
+
+    const current = Object.fromEntries(fields.map((f) => [f, entry[f]]));
+    const { slot, error } = parseSlot(req.body, current);
+    if (error) return res.status(400).json({ message: error });
+    if (
+      slot.facultyId &&
+      String(slot.facultyId) !== String(entry.facultyId) &&
+      !(await isActiveFaculty(slot.facultyId))
+    )
+      return res.status(400).json({ message: "facultyId must be an active faculty member" });
+
+    const clashes = await findClashes({ ...slot, _id: entry._id, groupId: entry.groupId });
+    if (clashes.length) return res.status(409).json({ message: "Timetable clash", clashes });
+
+    entry.set({ ...slot, updatedBy: req.user.userId });
+    await entry.save();
+    const [updated] = await findEntries({ _id: entry._id });
+
+    res.json({ message: "Timetable entry updated", entry: updated });
+  } catch (err) {
+    if (err.name === "ValidationError")
+      return res.status(400).json({ message: err.message });
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid entryId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ─── DELETE /api/timetable/entries/:entryId ──────────────────────────────────
+exports.deleteEntry = async (req, res) => {
+  try {
+    const entry = await TimetableEntry.findById(req.params.entryId);
+    if (!entry) return res.status(404).json({ message: "Timetable entry not found" });
+
+    const { group, status, message } = await loadEditableGroup(req, entry.groupId);
+    if (!group) return res.status(status).json({ message });
+
+    await entry.deleteOne();
+    res.json({ message: "Timetable entry deleted" });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(400).json({ message: "Invalid entryId" });
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
@@ -0,0 +1,201 @@
+const User = require("../models/User");
+const bcrypt = require("bcrypt");
+const { generateSecret, matchTotpStep, buildOtpAuthUrl } = require("../utils/totp");
+const {
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  acceptTotp,
+  verifySecondFactor,
+  isTwoFactorRequired,
+} = require("../utils/twoFactor");
+const { findUserToken, consumeUserToken } = require("../utils/userToken");
+const { checkLoginAllowed, recordLoginFailure, clearLoginFailures } = require("../utils/loginThrottle");
+const { startSession, signAccessToken, setAccessCookie, tokenPayload } = require("../utils/session");
+
+const SECRET_FIELDS = "+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes";
+
+// ─── POST /api/auth/2fa/login ────────────────────────────────────────────────
+// Second login step: exchange the challengeToken from /login + a TOTP or recovery code for a session
+exports.completeLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode)
+      return res.status(400).json({ message: "code or recoveryCode is required" });
+
+    const challenge = await findUserToken(challengeToken, "TWO_FACTOR_CHALLENGE");
+    if (!challenge)
+      return res.status(401).json({ message: "Login challenge expired. Please log in again." });
+
+    const user = await User.findById(challenge.userId).select(SECRET_FIELDS);
+    if (!user || !user.twoFactorEnabled)
+      return res.status(401).json({ message: "Login challenge expired. Please log in again." });
+
+    const blocked = user.loginBlockReason();
+    if (blocked)
+      return res.status(403).json({ message: blocked, suspendedUntil: user.suspendedUntil });
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const throttled = await checkLoginAllowed(user.email, req.ip);
+    if (throttled)
+      return res.status(429).json({
+        message: throttled.reason,
+        lockedUntil: throttled.lockedUntil,
+        retryAfter: Math.ceil(throttled.retryAfterMs / 1000),
+      });
+
+    const method = await verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      const { attemptsRemaining, lockedUntil } = await recordLoginFailure(user.email, req.ip);
+      return res.status(400).json({ message: "Invalid code", attemptsRemaining, lockedUntil });
+    }
+
+    // Single use — a second request with the same challenge loses the race
+    if (!(await consumeUserToken(challengeToken, "TWO_FACTOR_CHALLENGE")))
+      return res.status(401).json({ message: "Login challenge expired. Please log in again." });
+
+    if (method === "recovery") await user.save();
+    await clearLoginFailures(user.email);
+    const { accessToken, refreshToken } = await startSession(res, req, user);
+
+    res.json({
+      message: "Logged in",
+      user: { id: user._id, email: user.email, role: user.role, name: user.name, profilePicture: user.profilePicture, isVerified: user.isVerified },
+      ...(method === "recovery" && { recoveryCodesRemaining: user.twoFactorRecoveryCodes.length }),
+      ...tokenPayload(req, accessToken, refreshToken),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// ─── GET /api/auth/2fa ───────────────────────────────────────────────────────
+exports.getStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select("+twoFactorRecoveryCodes");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json({
+      enabled: user.twoFactorEnabled,
+      required: await isTwoFactorRequired(user.role),
+      recoveryCodesRemaining: user.twoFactorEnabled ? user.twoFactorRecoveryCodes.length : 0,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// ─── POST /api/auth/2fa/setup ────────────────────────────────────────────────
+// Start enrollment: returns a new secret + otpauth:// URI (render as QR on the client)
+exports.setup = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select(SECRET_FIELDS);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (user.twoFactorEnabled)
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = encryptSecret(secret);
+    await user.save();
+
+    res.json({ secret, otpauthUrl: buildOtpAuthUrl(secret, user.email) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// ─── POST /api/auth/2fa/enable ───────────────────────────────────────────────
+// Finish enrollment by confirming a code from the app; returns recovery codes (shown once)
+exports.enable = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select(SECRET_FIELDS);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (user.twoFactorEnabled)
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+    if (!user.twoFactorPendingSecret)
+      return res.status(400).json({ message: "Call /api/auth/2fa/setup first" });
+
+    const step = matchTotpStep(decryptSecret(user.twoFactorPendingSecret), req.body.code);
+    if (step === null)
+      return res.status(400).json({ message: "Invalid code" });
+
+    const { codes, hashes } = generateRecoveryCodes();
+    // The enrolment code cannot be reused to log in
+    user.twoFactorLastStep = step;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorRecoveryCodes = hashes;
+    user.twoFactorEnabled = true;
+    await user.save();
+
+    // Drop the "setup required" flag from the current access token
+    const accessToken = signAccessToken(user, req.user.sessionId);
+    setAccessCookie(res, accessToken);
+
+    res.json({
+      message: "Two-factor authentication enabled",
+      recoveryCodes: codes,
+      ...(req.get("x-auth-mode") === "token" && { accessToken }),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// ─── POST /api/auth/2fa/disable ──────────────────────────────────────────────
+// Requires password + a current code (or recovery code); not allowed if the role requires 2FA
+exports.disable = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.userId).select(SECRET_FIELDS);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (!user.twoFactorEnabled)
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+
+    if (await isTwoFactorRequired(user.role))
+      return res.status(403).json({ message: "Two-factor authentication is required for your role" });
+
+    if (!password || !(await bcrypt.compare(password, user.password)))
+      return res.status(400).json({ message: "Password is incorrect" });
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode })))
+      return res.status(400).json({ message: "Invalid code" });
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorRecoveryCodes = [];
+    await user.save();
+
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// ─── POST /api/auth/2fa/recovery-codes ───────────────────────────────────────
+// Replace all recovery codes (requires a current TOTP code)
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select(SECRET_FIELDS);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (!user.twoFactorEnabled)
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+
+    if (!(await acceptTotp(user._id, decryptSecret(user.twoFactorSecret), req.body.code)))
+      return res.status(400).json({ message: "Invalid code" });
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save();
+
+    res.json({ message: "Recovery codes regenerated", recoveryCodes: codes });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -1,17 +1,91 @@
 const jwt = require("jsonwebtoken");
+const { getActiveSession } = require("../utils/session");
+const { canWrite } = require("../utils/emailPolicy");
+const { isApiKey, authenticateApiKey } = require("../utils/apiKey");
+const { isPermission, hasPermission } = require("../utils/permissions");
 
-exports.protect = (req, res, next) => {
-  const token = req.cookies?.token;
+/**
+ * Credential from `Authorization: Bearer <token>`, `X-API-Key`, or the token cookie.
+ */
+const getRequestToken = (req) => {
+  const header = req.get("authorization");
+  if (header && header.startsWith("Bearer ")) return header.slice(7).trim();
+  return req.get("x-api-key") || req.cookies?.token;
+};
+
+// Marks a route as callable with a personal API key holding `scope` — place before protect
+exports.allowApiKey = (scope) => {
+  return (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+  };
+};
+
+exports.protect = async (req, res, next) => {
+  const token = getRequestToken(req);
 
   if (!token)
     return res.status(401).json({ message: "Not authorized" });
 
+  if (isApiKey(token)) {
+    try {
+      if (!req.apiKeyScope)
+        return res.status(403).json({ message: "API keys cannot be used on this route" });
+
+      const auth = await authenticateApiKey(token, req.ip);
+      if (!auth)
+        return res.status(401).json({ message: "API key invalid" });
+
+      if (!auth.apiKey.scopes.includes(req.apiKeyScope))
+        return res.status(403).json({ message: `API key lacks scope ${req.apiKeyScope}` });
+
+      req.user = {
+        userId: auth.user._id.toString(),
+        role: auth.user.role,
+        apiKeyId: auth.apiKey._id.toString(),
+        scopes: auth.apiKey.scopes,
+      };
+      return next();
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+  }
+
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return res.status(401).json({ message: "Token invalid" });
+  }
+
+  try {
+    // Access tokens are tied to a Session — reject once it has been revoked
+    const session = await getActiveSession(decoded.sessionId);
+    if (!session)
+      return res.status(401).json({ message: "Session revoked" });
+
+    // Role requires 2FA but user has not enrolled — only /api/auth (setup, logout…) is reachable
+    if (decoded.twoFactorSetupRequired && !req.originalUrl.startsWith("/api/auth/"))
+      return res.status(403).json({
+        message: "Two-factor authentication setup required",
+        twoFactorSetupRequired: true,
+      });
+
     req.user = decoded;
     next();
   } catch (error) {
-    res.status(401).json({ message: "Token invalid" });
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Blocks unverified users when REQUIRE_EMAIL_VERIFICATION=true — follows protect
+exports.requireVerified = async (req, res, next) => {
+  try {
+    if (!(await canWrite(req.user.userId)))
+      return res.status(403).json({ message: "Please verify your email first" });
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
 };
 
@@ -22,4 +96,20 @@ exports.authorize = (...roles) => {
 
     next();
   };
-};
\ No newline at end of file
+};
+
+// Permission guard (see src/utils/permissions.js) — follows protect
+exports.authorize.can = (permission) => {
+  // Fail at startup on a typo rather than denying every request
+  if (!isPermission(permission)) throw new Error(`Unknown permission: ${permission}`);
+
+  return async (req, res, next) => {
+    try {
+      if (!(await hasPermission(req.user.role, permission)))
+        return res.status(403).json({ message: "Access denied" });
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+};
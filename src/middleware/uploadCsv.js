@@ -0,0 +1,20 @@
+const multer = require("multer");
+const path = require("path");
+
+// CSV uploads are parsed straight from memory — nothing is written to disk
+const CSV_MIME_TYPES = ["text/csv", "application/csv", "application/vnd.ms-excel", "text/plain"];
+
+const fileFilter = (_req, file, cb) => {
+  if (CSV_MIME_TYPES.includes(file.mimetype) || path.extname(file.originalname).toLowerCase() === ".csv")
+    cb(null, true);
+  else cb(new Error("Only CSV files are allowed."), false);
+};
+
+// 1 MB limit
+const uploadCsv = multer({
+  storage: multer.memoryStorage(),
+  fileFilter,
+  limits: { fileSize: 1 * 1024 * 1024 },
+});
+
+module.exports = uploadCsv;
@@ -1,18 +1,31 @@
 const mongoose = require("mongoose");
 
+// YEAR / YEAR_SECTION follow student profiles; ELECTIVE / STUDY are created by users
+const ACADEMIC_GROUP_TYPES = ["YEAR", "YEAR_SECTION"];
+const CUSTOM_GROUP_TYPES = ["ELECTIVE", "STUDY"];
+// OPEN — anyone may join, APPROVAL — join requests are reviewed, INVITE_ONLY — members are invited
+const JOIN_POLICIES = ["OPEN", "APPROVAL", "INVITE_ONLY"];
+
+const isAcademic = function () {
+  return ACADEMIC_GROUP_TYPES.includes(this.type);
+};
+
 const academicGroupSchema = new mongoose.Schema(
   {
+    // Required for academic groups; optional audience hint for elective / study groups
     branch: {
       type: String,
-      required: true,
+      required: isAcademic,
       uppercase: true,
       trim: true,
+      default: null,
     },
     year: {
       type: Number,
-      required: true,
+      required: isAcademic,
       min: 1,
       max: 4,
+      default: null,
     },
     section: {
       type: String,
@@ -23,25 +36,62 @@ const academicGroupSchema = new mongoose.Schema(
     },
     // YEAR = year-wide group e.g. CSE-2
     // YEAR_SECTION = section group e.g. CSE-2-A
+    // ELECTIVE / STUDY = user-created, membership managed through join policies
     type: {
       type: String,
-      enum: ["YEAR", "YEAR_SECTION"],
+      enum: [...ACADEMIC_GROUP_TYPES, ...CUSTOM_GROUP_TYPES],
       required: true,
       default: "YEAR_SECTION",
     },
-    // Auto-generated unique name e.g. CSE-2 or CSE-2-A
+    // Auto-generated for academic groups (e.g. CSE-2 or CSE-2-A), chosen by the creator otherwise
     name: {
       type: String,
       required: true,
       unique: true,
       trim: true,
     },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description must be 500 characters or fewer"],
+      default: "",
+    },
+    // Elective / study groups only
+    joinPolicy: {
+      type: String,
+      enum: JOIN_POLICIES,
+      default: null,
+    },
+    // Owner of an elective / study group; null for academic groups
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
     isActive: {
       type: Boolean,
       default: true,
     },
+    // Set by the academic year rollover — archived groups are read-only history.
+    // Their name gets the session appended (e.g. CSE-2-A (2025-26)) so the
+    // next cohort can reuse CSE-2-A.
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+    academicSession: {
+      type: String,
+      default: null,
+    },
   },
   { timestamps: true }
 );
 
+academicGroupSchema.index({ branch: 1, year: 1, section: 1, type: 1, archivedAt: 1 });
+academicGroupSchema.index({ type: 1, isActive: 1 });
+academicGroupSchema.index({ createdBy: 1 });
+
 module.exports = mongoose.model("AcademicGroup", academicGroupSchema);
+module.exports.ACADEMIC_GROUP_TYPES = ACADEMIC_GROUP_TYPES;
+module.exports.CUSTOM_GROUP_TYPES = CUSTOM_GROUP_TYPES;
+module.exports.JOIN_POLICIES = JOIN_POLICIES;
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+const API_KEY_SCOPES = ["resources:read", "resources:write", "quiz:read", "quiz:write"];
+
+// Personal API key for scripts/automation. Only the SHA-256 hash is stored.
+const apiKeySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Key name is required"],
+      trim: true,
+      maxlength: 100,
+    },
+    // First characters of the key, shown in listings to tell keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      validate: {
+        validator: (arr) => arr.length >= 1,
+        message: "At least one scope is required",
+      },
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: null,
+    },
+    // null = never expires
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+apiKeySchema.index({ userId: 1, revokedAt: 1 });
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
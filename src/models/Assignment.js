@@ -0,0 +1,101 @@
+const mongoose = require("mongoose");
+
+// FILE — a PDF upload, TEXT — typed answer only, ANY — either or both
+const SUBMISSION_MODES = ["FILE", "TEXT", "ANY"];
+
+const rubricCriterionSchema = new mongoose.Schema({
+  criterion: {
+    type: String,
+    required: [true, "Rubric criterion is required"],
+    trim: true,
+    maxlength: [200, "Rubric criterion must be 200 characters or fewer"],
+  },
+  maxPoints: {
+    type: Number,
+    required: true,
+    min: [0.5, "Rubric points must be at least 0.5"],
+    max: [1000, "Rubric points must be 1000 or fewer"],
+  },
+});
+
+// Work set for a group by faculty (assignment:create); students of the group submit
+const assignmentSchema = new mongoose.Schema(
+  {
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AcademicGroup",
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    title: {
+      type: String,
+      required: [true, "Title is required"],
+      trim: true,
+      maxlength: [200, "Title must be 200 characters or fewer"],
+    },
+    instructions: {
+      type: String,
+      trim: true,
+      maxlength: [5000, "Instructions must be 5000 characters or fewer"],
+      default: "",
+    },
+    subject: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Subject must be 100 characters or fewer"],
+      default: "General",
+    },
+    dueAt: {
+      type: Date,
+      required: [true, "Due date is required"],
+    },
+    // Graded per criterion when set; maxScore is then the sum of its points
+    rubric: {
+      type: [rubricCriterionSchema],
+      default: [],
+    },
+    maxScore: {
+      type: Number,
+      required: true,
+      min: [1, "maxScore must be at least 1"],
+      max: [1000, "maxScore must be 1000 or fewer"],
+    },
+    submissionMode: {
+      type: String,
+      enum: SUBMISSION_MODES,
+      default: "ANY",
+    },
+    // Late work — accepted after dueAt until lateUntil (null = no cutoff),
+    // losing latePenaltyPercent of maxScore per started day
+    allowLate: {
+      type: Boolean,
+      default: false,
+    },
+    lateUntil: {
+      type: Date,
+      default: null,
+    },
+    latePenaltyPercent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0,
+    },
+    // Students may replace an ungraded submission while submissions are open
+    allowResubmission: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+assignmentSchema.index({ groupId: 1, dueAt: -1 });
+assignmentSchema.index({ createdBy: 1 });
+
+module.exports = mongoose.model("Assignment", assignmentSchema);
+module.exports.SUBMISSION_MODES = SUBMISSION_MODES;
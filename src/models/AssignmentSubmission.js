@@ -0,0 +1,118 @@
+const mongoose = require("mongoose");
+
+// SUBMITTED — awaiting grading, GRADED — final, RETURNED — sent back for resubmission
+const SUBMISSION_STATUSES = ["SUBMITTED", "GRADED", "RETURNED"];
+
+const fileSchema = new mongoose.Schema(
+  {
+    fileName: { type: String, required: true },
+    filePath: { type: String, required: true },
+    fileSize: { type: Number, required: true },
+    mimeType: { type: String, default: "application/pdf" },
+  },
+  { _id: false }
+);
+
+// One per student per assignment — resubmitting replaces the work and keeps
+// a summary of the earlier attempt in history
+const assignmentSubmissionSchema = new mongoose.Schema(
+  {
+    assignmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Assignment",
+      required: true,
+    },
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AcademicGroup",
+      required: true,
+    },
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [20000, "Text must be 20000 characters or fewer"],
+      default: "",
+    },
+    file: {
+      type: fileSchema,
+      default: null,
+    },
+    submittedAt: {
+      type: Date,
+      required: true,
+    },
+    attempt: {
+      type: Number,
+      default: 1,
+    },
+    isLate: {
+      type: Boolean,
+      default: false,
+    },
+    daysLate: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: SUBMISSION_STATUSES,
+      default: "SUBMITTED",
+    },
+    // Grading — score = rawScore - latePenalty (never below 0)
+    rubricScores: [
+      {
+        _id: false,
+        criterionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+        points: { type: Number, required: true, min: 0 },
+      },
+    ],
+    rawScore: { type: Number, default: null },
+    latePenalty: { type: Number, default: 0 },
+    score: { type: Number, default: null },
+    feedback: {
+      type: String,
+      trim: true,
+      maxlength: [5000, "Feedback must be 5000 characters or fewer"],
+      default: "",
+    },
+    gradedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    gradedAt: {
+      type: Date,
+      default: null,
+    },
+    // RETURNED only — resubmissions accepted until then (null = the assignment's own window)
+    resubmitBy: {
+      type: Date,
+      default: null,
+    },
+    history: [
+      {
+        _id: false,
+        attempt: Number,
+        submittedAt: Date,
+        isLate: Boolean,
+        fileName: String,
+        status: String,
+        score: Number,
+        feedback: String,
+        gradedAt: Date,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+assignmentSubmissionSchema.index({ assignmentId: 1, studentId: 1 }, { unique: true });
+assignmentSubmissionSchema.index({ studentId: 1 });
+
+module.exports = mongoose.model("AssignmentSubmission", assignmentSubmissionSchema);
+module.exports.SUBMISSION_STATUSES = SUBMISSION_STATUSES;
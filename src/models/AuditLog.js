@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+// Append-only record of a privileged action (written via utils/audit.js)
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      role: { type: String, default: null },
+      // Snapshot — stays readable if the account is later renamed or deleted
+      email: { type: String, default: null },
+    },
+    // Dotted verb, e.g. "club.member.kick", "chat.message.delete"
+    action: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    target: {
+      type: { type: String, default: null }, // model name, e.g. "Event"
+      id: { type: mongoose.Schema.Types.ObjectId, default: null },
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Extra context that is not part of the target (filters used, parent ids…)
+    meta: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+      default: null,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ "actor.userId": 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ "target.type": 1, "target.id": 1 });
+
+// Entries can only be inserted — block every update / delete path
+const rejectChange = function () {
+  throw new Error("AuditLog is append-only");
+};
+
+auditLogSchema.pre("save", function () {
+  if (!this.isNew) rejectChange();
+});
+auditLogSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace",
+   "deleteOne", "deleteMany", "findOneAndDelete"],
+  { document: true, query: true },
+  rejectChange
+);
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
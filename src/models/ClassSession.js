@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+const ATTENDANCE_STATUSES = ["PRESENT", "ABSENT", "LATE", "EXCUSED"];
+
+// One lecture / lab of a subject for a group, with the attendance taken in it
+const classSessionSchema = new mongoose.Schema(
+  {
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AcademicGroup",
+      required: true,
+    },
+    subject: {
+      type: String,
+      required: [true, "Subject is required"],
+      trim: true,
+      maxlength: [100, "Subject must be 100 characters or fewer"],
+    },
+    heldAt: {
+      type: Date,
+      required: true,
+    },
+    topic: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Topic must be 200 characters or fewer"],
+      default: null,
+    },
+    takenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // One entry per student member of the group when attendance was taken
+    records: [
+      {
+        _id: false,
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        status: { type: String, enum: ATTENDANCE_STATUSES, required: true },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// Same group / subject cannot have two sessions starting at the same time
+classSessionSchema.index(
+  { groupId: 1, subject: 1, heldAt: 1 },
+  { unique: true, collation: { locale: "en", strength: 2 } }
+);
+classSessionSchema.index({ "records.userId": 1 });
+
+module.exports = mongoose.model("ClassSession", classSessionSchema);
+module.exports.ATTENDANCE_STATUSES = ATTENDANCE_STATUSES;
@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+
+const DAYS = ["MON", "TUE", "WED", "THU", "FRI", "SAT", "SUN"];
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/; // 24h HH:MM
+
+const officeHourSchema = new mongoose.Schema(
+  {
+    day: {
+      type: String,
+      enum: DAYS,
+      required: [true, "Office hour day is required"],
+    },
+    start: {
+      type: String,
+      required: [true, "Office hour start is required"],
+      match: [TIME_REGEX, "Office hours use 24h HH:MM times"],
+    },
+    end: {
+      type: String,
+      required: [true, "Office hour end is required"],
+      match: [TIME_REGEX, "Office hours use 24h HH:MM times"],
+    },
+    location: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+officeHourSchema.pre("validate", function () {
+  if (this.start && this.end && this.start >= this.end)
+    this.invalidate("end", "Office hour end must be after start");
+});
+
+const facultyProfileSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    department: {
+      type: String,
+      required: [true, "Department is required"],
+      trim: true,
+      maxlength: 100,
+    },
+    // e.g. Professor, Assistant Professor, Lab Instructor
+    designation: {
+      type: String,
+      required: [true, "Designation is required"],
+      trim: true,
+      maxlength: 100,
+    },
+    subjects: {
+      type: [String],
+      default: [],
+    },
+    // Groups the faculty member teaches — maintained by admins (faculty:manage)
+    assignedGroups: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "AcademicGroup",
+      },
+    ],
+    officeHours: {
+      type: [officeHourSchema],
+      default: [],
+    },
+    // Public contact details — separate from the login email
+    contact: {
+      email: { type: String, trim: true, lowercase: true, maxlength: 200, default: null },
+      phone: { type: String, trim: true, maxlength: 30, default: null },
+      office: { type: String, trim: true, maxlength: 100, default: null },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+facultyProfileSchema.index({ department: 1 });
+facultyProfileSchema.index({ assignedGroups: 1 });
+
+module.exports = mongoose.model("FacultyProfile", facultyProfileSchema);
+module.exports.OFFICE_HOUR_DAYS = DAYS;
@@ -0,0 +1,106 @@
+const mongoose = require("mongoose");
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    fileName: { type: String, required: true },
+    filePath: { type: String, required: true },
+    fileSize: { type: Number, required: true },
+    mimeType: { type: String, default: "application/pdf" },
+  },
+  { _id: false }
+);
+
+// Announcements are posted by faculty / admin (announcement:post) or a group's class reps
+const groupAnnouncementSchema = new mongoose.Schema(
+  {
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AcademicGroup",
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    title: {
+      type: String,
+      required: [true, "Title is required"],
+      trim: true,
+      maxlength: [150, "Title must be 150 characters or fewer"],
+    },
+    body: {
+      type: String,
+      required: [true, "Body is required"],
+      trim: true,
+      maxlength: [5000, "Body must be 5000 characters or fewer"],
+    },
+    attachments: {
+      type: [attachmentSchema],
+      default: [],
+    },
+    // Members only see it from publishAt on; publishedAt is set once it went out
+    publishAt: {
+      type: Date,
+      default: Date.now,
+    },
+    publishedAt: {
+      type: Date,
+      default: null,
+    },
+    // Claimed by a publisher while it sends the notifications; a stale claim
+    // (publisher crashed) is taken over on a later run
+    publishingAt: {
+      type: Date,
+      default: null,
+    },
+    isPinned: {
+      type: Boolean,
+      default: false,
+    },
+    pinnedAt: {
+      type: Date,
+      default: null,
+    },
+    pinnedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // 0 .. MAX_PINNED - 1 while pinned — unique per group, so the pin limit
+    // holds under concurrent pins
+    pinSlot: {
+      type: Number,
+      default: null,
+    },
+    // One entry per member who marked it as read
+    acknowledgements: [
+      {
+        _id: false,
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        acknowledgedAt: { type: Date, default: Date.now },
+      },
+    ],
+    ackCount: {
+      type: Number,
+      default: 0,
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Feed: pinned first, then newest
+groupAnnouncementSchema.index({ groupId: 1, isPinned: -1, publishAt: -1 });
+// One announcement per pin slot
+groupAnnouncementSchema.index(
+  { groupId: 1, pinSlot: 1 },
+  { unique: true, partialFilterExpression: { pinSlot: { $type: "number" } } }
+);
+// Scheduled publisher
+groupAnnouncementSchema.index({ publishedAt: 1, publishAt: 1 });
+
+module.exports = mongoose.model("GroupAnnouncement", groupAnnouncementSchema);
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+// A join request (user → group) or an invite (group → user) for an elective / study group
+const groupJoinRequestSchema = new mongoose.Schema(
+  {
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AcademicGroup",
+      required: true,
+    },
+    // The user who would join
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // REQUEST = asked to join (reviewed by the group owner)
+    // INVITE  = invited by the owner (answered by the invitee)
+    kind: {
+      type: String,
+      enum: ["REQUEST", "INVITE"],
+      required: true,
+    },
+    // APPROVED / REJECTED = request reviewed or invite accepted / declined
+    status: {
+      type: String,
+      enum: ["PENDING", "APPROVED", "REJECTED", "CANCELLED"],
+      default: "PENDING",
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Message must be 300 characters or fewer"],
+      default: null,
+    },
+    // Requester or inviter
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// At most one open request / invite per user per group
+groupJoinRequestSchema.index(
+  { groupId: 1, userId: 1 },
+  { unique: true, partialFilterExpression: { status: "PENDING" } }
+);
+groupJoinRequestSchema.index({ userId: 1, status: 1 });
+
+module.exports = mongoose.model("GroupJoinRequest", groupJoinRequestSchema);
@@ -1,5 +1,9 @@
 const mongoose = require("mongoose");
 
+// MEMBER — regular member; MODERATOR — moderates the group chat;
+// CLASS_REP — moderates and posts announcements for the group
+const GROUP_MEMBER_ROLES = ["MEMBER", "CLASS_REP", "MODERATOR"];
+
 const groupMembershipSchema = new mongoose.Schema(
   {
     userId: {
@@ -12,17 +16,24 @@ const groupMembershipSchema = new mongoose.Schema(
       ref: "AcademicGroup",
       required: true,
     },
-    // System-generated groups cannot be left by students
+    // true for academic (YEAR / YEAR_SECTION) memberships, which cannot be left;
+    // false for elective / study group members
     isSystemGenerated: {
       type: Boolean,
       default: true,
     },
+    role: {
+      type: String,
+      enum: GROUP_MEMBER_ROLES,
+      default: "MEMBER",
+    },
   },
   { timestamps: true }
 );
 
 // Unique membership per user per group
 groupMembershipSchema.index({ userId: 1, groupId: 1 }, { unique: true });
-
+groupMembershipSchema.index({ groupId: 1, role: 1 });
 
 module.exports = mongoose.model("GroupMembership", groupMembershipSchema);
+module.exports.GROUP_MEMBER_ROLES = GROUP_MEMBER_ROLES;
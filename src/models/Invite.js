@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+
+const inviteSchema = new mongoose.Schema(
+  {
+    // Short code shared with the invitee, e.g. 7F3A9C21D4
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    // Role granted to whoever registers with this code
+    role: {
+      type: String,
+      enum: ["ADMIN", "FACULTY", "STUDENT"],
+      required: true,
+    },
+    // Optional — when set, only this email can redeem the code
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: "",
+    },
+    maxUses: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    uses: {
+      type: Number,
+      default: 0,
+    },
+    usedBy: [
+      {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        usedAt: { type: Date, default: Date.now },
+        _id: false,
+      },
+    ],
+    // null = never expires
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Invite", inviteSchema);
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// Failed-login counter for one account (by email) or one client IP
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    // "account:<email>" or "ip:<address>"
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    scope: {
+      type: String,
+      enum: ["ACCOUNT", "IP"],
+      required: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    // Failures older than the window are forgotten
+    windowStart: {
+      type: Date,
+      default: Date.now,
+    },
+    lastFailureAt: {
+      type: Date,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // MongoDB removes the record once it no longer matters
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
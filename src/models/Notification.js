@@ -12,10 +12,10 @@ const notificationSchema = new mongoose.Schema(
       ref: "AcademicGroup",
       default: null,
     },
-    // Supported types: QUIZ, EVENT, CLUB — expand as needed
+    // Supported types: QUIZ, EVENT, CLUB, GROUP, ANNOUNCEMENT, ATTENDANCE, ASSIGNMENT — expand as needed
     type: {
       type: String,
-      enum: ["QUIZ", "EVENT", "CLUB"],
+      enum: ["QUIZ", "EVENT", "CLUB", "GROUP", "ANNOUNCEMENT", "ATTENDANCE", "ASSIGNMENT"],
       required: true,
     },
     // Flexible payload — shape depends on type
@@ -35,6 +35,16 @@ const notificationSchema = new mongoose.Schema(
         ref: "Club",
         default: null,
       },
+      announcementId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "GroupAnnouncement",
+        default: null,
+      },
+      assignmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Assignment",
+        default: null,
+      },
       title: { type: String, default: null },
       message: { type: String, default: null },
       createdBy: {
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // SHA-256 of the current refresh token (raw token only ever lives in the cookie)
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Hash of the token this one replaced — presenting it again (after the
+    // grace window) means the refresh token was stolen, so the session is revoked
+    previousTokenHash: {
+      type: String,
+      default: null,
+    },
+    // When refreshTokenHash last replaced previousTokenHash — the previous token
+    // is still accepted for a few seconds so parallel refreshes don't look like theft
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+// MongoDB removes expired sessions automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+// One user vouching for one skill on a student's profile
+const skillEndorsementSchema = new mongoose.Schema(
+  {
+    // The endorsed student
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // As listed on the profile when endorsed
+    skill: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Lowercased skill — endorsements match profile skills case-insensitively
+    skillKey: {
+      type: String,
+      required: true,
+    },
+    endorsedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Role at the time of endorsing — FACULTY endorsements are badged
+    endorserRole: {
+      type: String,
+      enum: ["STUDENT", "FACULTY", "ADMIN"],
+      required: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [280, "Note must be 280 characters or fewer"],
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+skillEndorsementSchema.index({ userId: 1, skillKey: 1, endorsedBy: 1 }, { unique: true });
+skillEndorsementSchema.index({ endorsedBy: 1 });
+
+module.exports = mongoose.model("SkillEndorsement", skillEndorsementSchema);
@@ -3,6 +3,46 @@ const mongoose = require("mongoose");
 const DRIVE_URL_REGEX = /^https:\/\/drive\.google\.com\/.+/;
 const SECTION_REGEX = /^[A-Z]$/;
 
+// Who may see a field: signed-in users, FACULTY / ADMIN (profile:view:any), or only the student
+const PROFILE_VISIBILITY = ["EVERYONE", "STAFF", "NOBODY"];
+
+// Per-field defaults — name, branch, year and section are always visible
+const PRIVACY_DEFAULTS = {
+  email: "STAFF",
+  rollNumber: "STAFF",
+  resumeLink: "STAFF",
+  portfolioLink: "STAFF",
+  skills: "EVERYONE",
+  interests: "EVERYONE",
+};
+
+const privacySchema = new mongoose.Schema(
+  {
+    ...Object.fromEntries(
+      Object.entries(PRIVACY_DEFAULTS).map(([field, level]) => [
+        field,
+        { type: String, enum: PROFILE_VISIBILITY, default: level },
+      ])
+    ),
+    // false hides the student from other students' directory searches (staff still see them)
+    listed: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { _id: false }
+);
+
+// Per-skill endorsement totals — maintained by utils/endorsements, never edited directly
+const endorsementSummarySchema = new mongoose.Schema(
+  {
+    skill: { type: String, required: true },
+    count: { type: Number, default: 0 },
+    facultyCount: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
 const studentProfileSchema = new mongoose.Schema(
   {
     userId: {
@@ -54,13 +94,34 @@ const studentProfileSchema = new mongoose.Schema(
       match: [DRIVE_URL_REGEX, "Portfolio must be a valid Google Drive URL"],
       default: null,
     },
+    // Only skills still listed above are counted; shown / hidden with skills
+    endorsements: {
+      type: [endorsementSummarySchema],
+      default: [],
+    },
+    endorsementCount: {
+      type: Number,
+      default: 0,
+    },
     isActive: {
       type: Boolean,
       default: true,
     },
+    privacy: {
+      type: privacySchema,
+      default: () => ({}),
+    },
+    // Set when the rollover graduates a final-year student (profile is deactivated)
+    graduatedAt: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true }
 );
 
+studentProfileSchema.index({ endorsementCount: -1 });
 
 module.exports = mongoose.model("StudentProfile", studentProfileSchema);
+module.exports.PROFILE_VISIBILITY = PROFILE_VISIBILITY;
+module.exports.PRIVACY_DEFAULTS = PRIVACY_DEFAULTS;
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+const TERM_REGEX = /^\d{4}-\d{2}$/; // academic session, e.g. 2025-26
+
+// A faculty member teaching a subject to a group in a term — maintained by admins (faculty:manage)
+const teachingAssignmentSchema = new mongoose.Schema(
+  {
+    facultyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AcademicGroup",
+      required: true,
+    },
+    subject: {
+      type: String,
+      required: [true, "Subject is required"],
+      trim: true,
+      maxlength: [100, "Subject must be 100 characters or fewer"],
+    },
+    term: {
+      type: String,
+      required: [true, "Term is required"],
+      trim: true,
+      match: [TERM_REGEX, "term must look like 2025-26"],
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// One assignment per faculty / group / subject / term — subject compared case-insensitively
+teachingAssignmentSchema.index(
+  { facultyId: 1, groupId: 1, subject: 1, term: 1 },
+  { unique: true, collation: { locale: "en", strength: 2 } }
+);
+teachingAssignmentSchema.index({ groupId: 1, term: 1 });
+
+module.exports = mongoose.model("TeachingAssignment", teachingAssignmentSchema);
+module.exports.TERM_REGEX = TERM_REGEX;
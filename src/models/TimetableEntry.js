@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+
+const DAYS = ["MON", "TUE", "WED", "THU", "FRI", "SAT", "SUN"];
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/; // 24h HH:MM
+
+// One weekly slot of a group's timetable — repeats every week on `day`
+const timetableEntrySchema = new mongoose.Schema(
+  {
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AcademicGroup",
+      required: true,
+    },
+    day: {
+      type: String,
+      enum: DAYS,
+      required: [true, "Day is required"],
+    },
+    startTime: {
+      type: String,
+      required: [true, "startTime is required"],
+      match: [TIME_REGEX, "startTime must be HH:MM (24h)"],
+    },
+    endTime: {
+      type: String,
+      required: [true, "endTime is required"],
+      match: [TIME_REGEX, "endTime must be HH:MM (24h)"],
+    },
+    subject: {
+      type: String,
+      required: [true, "Subject is required"],
+      trim: true,
+      maxlength: [100, "Subject must be 100 characters or fewer"],
+    },
+    // Null when not yet decided, or after the faculty account was deleted
+    facultyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Stored uppercase so "lab-2" and "LAB-2" are the same room for clash checks
+    room: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      maxlength: [50, "Room must be 50 characters or fewer"],
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+timetableEntrySchema.index({ groupId: 1, day: 1, startTime: 1 });
+timetableEntrySchema.index({ day: 1, facultyId: 1 });
+timetableEntrySchema.index({ day: 1, room: 1 });
+
+module.exports = mongoose.model("TimetableEntry", timetableEntrySchema);
+module.exports.DAYS = DAYS;
+module.exports.TIME_REGEX = TIME_REGEX;
@@ -26,9 +26,95 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Set once the user clicks the emailed verification link
+    isVerified: {
+      type: Boolean,
+      default: false,
+    },
+    // TOTP two-factor auth — secrets are AES-encrypted, recovery codes hashed
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+      default: null,
+    },
+    // Set during enrollment until the first code is confirmed
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+      default: null,
+    },
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false,
+      default: [],
+    },
+    // Time step of the last accepted TOTP code — it and earlier codes are refused
+    twoFactorLastStep: {
+      type: Number,
+      select: false,
+      default: null,
+    },
+    // Admin moderation — suspended users cannot log in or refresh
+    isSuspended: {
+      type: Boolean,
+      default: false,
+    },
+    suspendedUntil: {
+      type: Date, // null = until lifted manually
+      default: null,
+    },
+    suspensionReason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: null,
+    },
+    // Soft delete — account kept for authored content, login disabled
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    // Self-service deletion request — personal data is purged and authored
+    // content anonymised once deletionScheduledFor passes (can be cancelled until then)
+    deletionRequestedAt: {
+      type: Date,
+      default: null,
+    },
+    deletionScheduledFor: {
+      type: Date,
+      default: null,
+    },
+    anonymisedAt: {
+      type: Date,
+      default: null,
+    },
   },
-  { timestamps: true }
+  // Virtuals are serialised so populated facultyProfile shows up in responses
+  { timestamps: true, toJSON: { virtuals: ["facultyProfile"] }, toObject: { virtuals: ["facultyProfile"] } }
 );
 
+userSchema.index({ deletionScheduledFor: 1 });
+
+// FACULTY details — only present when populated (see utils/facultyProfile.js)
+userSchema.virtual("facultyProfile", {
+  ref: "FacultyProfile",
+  localField: "_id",
+  foreignField: "userId",
+  justOne: true,
+});
+
+/**
+ * Returns a reason string if the account may not sign in, else null.
+ */
+userSchema.methods.loginBlockReason = function () {
+  if (this.deletedAt) return "Account deleted";
+  if (this.isSuspended && (!this.suspendedUntil || this.suspendedUntil > new Date()))
+    return "Account suspended";
+  return null;
+};
 
 module.exports = mongoose.model("User", userSchema);
\ No newline at end of file
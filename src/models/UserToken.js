@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// Single-use tokens sent to a user out-of-band (email links).
+// Only the SHA-256 hash is stored; the raw token lives in the link.
+const userTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["PASSWORD_RESET", "EMAIL_VERIFICATION", "TWO_FACTOR_CHALLENGE"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+userTokenSchema.index({ userId: 1, type: 1 });
+// MongoDB removes expired tokens automatically
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("UserToken", userTokenSchema);
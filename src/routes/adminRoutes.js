@@ -0,0 +1,54 @@
+const express = require("express");
+const router = express.Router();
+const adminController = require("../controllers/adminController");
+const rosterController = require("../controllers/rosterController");
+const teachingController = require("../controllers/teachingController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const uploadCsv = require("../middleware/uploadCsv");
+
+const canManageUsers = authorize.can("user:manage");
+const canManageSecurity = authorize.can("security:manage");
+const canManagePermissions = authorize.can("permission:manage");
+const canReadAudit = authorize.can("audit:read");
+const canManageRoster = authorize.can("roster:manage");
+const canManageFaculty = authorize.can("faculty:manage");
+
+// ─── USER MANAGEMENT ───────────────────────────────────────────────────────
+router.get("/users", protect, canManageUsers, adminController.listUsers);
+router.get("/users/:userId", protect, canManageUsers, adminController.getUser);
+router.patch("/users/:userId/role", protect, canManageUsers, adminController.changeRole);
+router.patch("/users/:userId/suspend", protect, canManageUsers, adminController.suspendUser);
+router.patch("/users/:userId/unsuspend", protect, canManageUsers, adminController.unsuspendUser);
+router.post("/users/:userId/logout", protect, canManageUsers, adminController.forceLogout);
+router.post("/users/:userId/unlock", protect, canManageUsers, adminController.unlockUser);
+router.delete("/users/:userId/two-factor", protect, canManageSecurity, adminController.resetTwoFactor);
+router.delete("/users/:userId", protect, canManageUsers, adminController.deleteUser);
+
+// ─── STUDENT ROSTER ────────────────────────────────────────────────────────
+router.post("/students/import", protect, canManageRoster, uploadCsv.single("file"), rosterController.importStudents);
+router.get("/students/rollover", protect, canManageRoster, rosterController.getLastRollover);
+router.post("/students/rollover", protect, canManageRoster, rosterController.rolloverStudents);
+router.get("/students/group-sync", protect, canManageRoster, rosterController.getGroupSyncReport);
+router.post("/students/group-sync", protect, canManageRoster, rosterController.fixGroupSync);
+
+// ─── TEACHING ASSIGNMENTS ──────────────────────────────────────────────────
+router.get("/teaching-assignments", protect, canManageFaculty, teachingController.listAssignments);
+router.post("/teaching-assignments", protect, canManageFaculty, teachingController.createAssignment);
+router.delete("/teaching-assignments/:assignmentId", protect, canManageFaculty, teachingController.deleteAssignment);
+router.get("/teaching-scope", protect, canManageFaculty, teachingController.getScopePolicy);
+router.put("/teaching-scope", protect, canManageFaculty, teachingController.updateScopePolicy);
+
+// ─── SECURITY POLICY ───────────────────────────────────────────────────────
+router.get("/security/two-factor", protect, canManageSecurity, adminController.getTwoFactorPolicy);
+router.put("/security/two-factor", protect, canManageSecurity, adminController.updateTwoFactorPolicy);
+
+// ─── PERMISSIONS ───────────────────────────────────────────────────────────
+router.get("/permissions", protect, canManagePermissions, adminController.getPermissions);
+router.put("/permissions/:role", protect, canManagePermissions, adminController.updateRolePermissions);
+router.delete("/permissions/:role", protect, canManagePermissions, adminController.resetRolePermissions);
+
+// ─── AUDIT LOG ─────────────────────────────────────────────────────────────
+router.get("/audit-logs", protect, canReadAudit, adminController.listAuditLogs);
+router.get("/audit-logs/export", protect, canReadAudit, adminController.exportAuditLogsCsv);
+
+module.exports = router;
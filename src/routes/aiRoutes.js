@@ -35,7 +35,7 @@ router.post("/doubt-assist/:threadId", protect, aiController.doubtAssist);
 // ─── RESOURCE RECOMMENDATIONS ─────────────────────────────────────────────
 // GET  /api/ai/recommendations  — personalised resources from student profile
 
-router.get("/recommendations", protect, authorize("STUDENT"), aiController.getRecommendations);
+router.get("/recommendations", protect, authorize.can("ai:recommendations"), aiController.getRecommendations);
 
 // ─── PERFORMANCE-BASED STUDY SUGGESTIONS ──────────────────────────────────
 // POST /api/ai/study-suggestions
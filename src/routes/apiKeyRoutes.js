@@ -0,0 +1,11 @@
+const express = require("express");
+const router = express.Router();
+const apiKeyController = require("../controllers/apiKeyController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+
+// Personal API keys — FACULTY / ADMIN (keys themselves cannot manage keys)
+router.post("/", protect, authorize.can("apikey:manage"), apiKeyController.createKey);
+router.get("/", protect, authorize.can("apikey:manage"), apiKeyController.listKeys);
+router.delete("/:keyId", protect, authorize.can("apikey:manage"), apiKeyController.revokeKey);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require("express");
+const router = express.Router();
+const assignmentController = require("../controllers/assignmentController");
+const { protect, authorize, requireVerified } = require("../middleware/authMiddleware");
+const upload = require("../middleware/upload");
+
+const canRead = authorize.can("group:read");
+const canCreate = authorize.can("assignment:create");
+const submission = "/:assignmentId/submissions/:submissionId";
+
+// Faculty / Admin — set and manage assignments (creator, group faculty or assignment:manage checked in the controller)
+router.post("/", protect, requireVerified, canCreate, assignmentController.createAssignment);
+router.put("/:assignmentId", protect, canCreate, assignmentController.updateAssignment);
+router.delete("/:assignmentId", protect, canCreate, assignmentController.deleteAssignment);
+
+// Group members — assignment list and details
+router.get("/group/:groupId", protect, canRead, assignmentController.listAssignments);
+router.get("/:assignmentId", protect, canRead, assignmentController.getAssignment);
+
+// Students — submit / resubmit (PDF and / or text)
+router.post(
+  "/:assignmentId/submissions",
+  protect,
+  requireVerified,
+  authorize.can("assignment:submit"),
+  upload.single("file"),
+  assignmentController.submitAssignment
+);
+
+// Grading — own submission readable by its student
+router.get("/:assignmentId/submissions", protect, canCreate, assignmentController.listSubmissions);
+router.get("/:assignmentId/export", protect, canCreate, assignmentController.exportSubmissionsCsv);
+router.get(submission, protect, canRead, assignmentController.getSubmission);
+router.get(`${submission}/file`, protect, canRead, assignmentController.downloadSubmissionFile);
+router.put(`${submission}/grade`, protect, canCreate, assignmentController.gradeSubmission);
+
+module.exports = router;
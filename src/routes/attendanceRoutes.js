@@ -0,0 +1,23 @@
+const express = require("express");
+const router = express.Router();
+const attendanceController = require("../controllers/attendanceController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+
+const canMark = authorize.can("attendance:mark");
+const canView = authorize.can("attendance:view:any");
+
+// Students — own percentages per subject
+router.get("/me", protect, authorize.can("attendance:own"), attendanceController.getMyAttendance);
+
+// Faculty / Admin — taking attendance (taker or attendance:manage checked in the controller)
+router.post("/sessions", protect, canMark, attendanceController.createSession);
+router.get("/sessions/:sessionId", protect, canView, attendanceController.getSession);
+router.put("/sessions/:sessionId", protect, canMark, attendanceController.updateSession);
+router.delete("/sessions/:sessionId", protect, canMark, attendanceController.deleteSession);
+
+// Faculty / Admin — group reports
+router.get("/groups/:groupId/sessions", protect, canView, attendanceController.listSessions);
+router.get("/groups/:groupId/summary", protect, canView, attendanceController.getGroupSummary);
+router.get("/groups/:groupId/export", protect, canView, attendanceController.exportGroupCsv);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const authController = require("../controllers/authController");
+const twoFactorController = require("../controllers/twoFactorController");
 const { protect } = require("../middleware/authMiddleware");
 const uploadImage = require("../middleware/uploadImage");
 
@@ -8,6 +9,29 @@ router.post("/register", authController.register);
 router.post("/login", authController.login);
 router.get("/me", protect, authController.getMe);
 router.post("/logout", authController.logout);
+router.post("/refresh", authController.refresh);
+
+// Email verification
+router.post("/verify-email", authController.verifyEmail);
+router.post("/resend-verification", protect, authController.resendVerification);
+
+// Password
+router.post("/forgot-password", authController.forgotPassword);
+router.post("/reset-password", authController.resetPassword);
+router.patch("/password", protect, authController.changePassword);
+
+// Two-factor authentication (TOTP)
+router.post("/2fa/login", twoFactorController.completeLogin);
+router.get("/2fa", protect, twoFactorController.getStatus);
+router.post("/2fa/setup", protect, twoFactorController.setup);
+router.post("/2fa/enable", protect, twoFactorController.enable);
+router.post("/2fa/disable", protect, twoFactorController.disable);
+router.post("/2fa/recovery-codes", protect, twoFactorController.regenerateRecoveryCodes);
+
+// Sessions (devices)
+router.get("/sessions", protect, authController.listSessions);
+router.delete("/sessions", protect, authController.revokeAllSessions);
+router.delete("/sessions/:sessionId", protect, authController.revokeSession);
 
 // Profile picture
 router.patch("/profile-picture", protect, uploadImage("profile_pictures").single("image"), authController.uploadProfilePicture);
@@ -8,7 +8,7 @@ const uploadImage = require("../middleware/uploadImage");
 router.post(
   "/",
   protect,
-  authorize("FACULTY", "ADMIN"),
+  authorize.can("club:lead"),
   uploadImage("club_logos").single("logo"),
   clubController.createClub
 );
@@ -23,19 +23,19 @@ router.get("/:clubId", protect, clubController.getClub);
 router.patch(
   "/:clubId",
   protect,
-  authorize("FACULTY", "ADMIN"),
+  authorize.can("club:lead"),
   uploadImage("club_logos").single("logo"),
   clubController.updateClub
 );
 
 // Delete club — leader / ADMIN
-router.delete("/:clubId", protect, authorize("FACULTY", "ADMIN"), clubController.deleteClub);
+router.delete("/:clubId", protect, authorize.can("club:lead"), clubController.deleteClub);
 
-// Join club — STUDENT
-router.post("/:clubId/join", protect, authorize("STUDENT"), clubController.joinClub);
+// Join club — club:join (STUDENT)
+router.post("/:clubId/join", protect, authorize.can("club:join"), clubController.joinClub);
 
-// Leave club — STUDENT
-router.post("/:clubId/leave", protect, authorize("STUDENT"), clubController.leaveClub);
+// Leave club — club:join (STUDENT)
+router.post("/:clubId/leave", protect, authorize.can("club:join"), clubController.leaveClub);
 
 // Members list — any authenticated user
 router.get("/:clubId/members", protect, clubController.getMembers);
@@ -44,7 +44,7 @@ router.get("/:clubId/members", protect, clubController.getMembers);
 router.patch(
   "/:clubId/members/:userId",
   protect,
-  authorize("FACULTY", "ADMIN"),
+  authorize.can("club:lead"),
   clubController.promoteMember
 );
 
@@ -52,7 +52,7 @@ router.patch(
 router.delete(
   "/:clubId/members/:userId",
   protect,
-  authorize("FACULTY", "ADMIN"),
+  authorize.can("club:lead"),
   clubController.kickMember
 );
 
@@ -60,7 +60,7 @@ router.delete(
 router.patch(
   "/:clubId/transfer",
   protect,
-  authorize("FACULTY", "ADMIN"),
+  authorize.can("club:lead"),
   clubController.transferLeadership
 );
 
@@ -8,7 +8,7 @@ const uploadImage = require("../middleware/uploadImage");
 router.post(
   "/",
   protect,
-  authorize("FACULTY", "ADMIN"),
+  authorize.can("event:create"),
   uploadImage("event_posters").single("poster"),
   eventController.createEvent
 );
@@ -23,7 +23,7 @@ router.get("/:eventId", protect, eventController.getEvent);
 router.patch(
   "/:eventId",
   protect,
-  authorize("FACULTY", "ADMIN"),
+  authorize.can("event:create"),
   uploadImage("event_posters").single("poster"),
   eventController.updateEvent
 );
@@ -32,6 +32,6 @@ router.patch(
 router.patch("/:eventId/rsvp", protect, eventController.toggleRsvp);
 
 // Delete event — organizer or ADMIN
-router.delete("/:eventId", protect, authorize("FACULTY", "ADMIN"), eventController.deleteEvent);
+router.delete("/:eventId", protect, authorize.can("event:create"), eventController.deleteEvent);
 
 module.exports = router;
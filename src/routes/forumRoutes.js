@@ -1,20 +1,20 @@
 const express = require("express");
 const router = express.Router();
-const { protect } = require("../middleware/authMiddleware");
+const { protect, requireVerified } = require("../middleware/authMiddleware");
 const fc = require("../controllers/forumController");
 
 // Forum CRUD
-router.post("/", protect, fc.createForum);
+router.post("/", protect, requireVerified, fc.createForum);
 router.get("/", protect, fc.listForums);
 router.get("/:forumId", protect, fc.getForum);
-router.put("/:forumId", protect, fc.editForum);
+router.put("/:forumId", protect, requireVerified, fc.editForum);
 router.delete("/:forumId", protect, fc.deleteForum);
 
 // Replies
 router.get("/:forumId/replies", protect, fc.getReplies);
-router.post("/:forumId/replies", protect, fc.addReply);
+router.post("/:forumId/replies", protect, requireVerified, fc.addReply);
 router.get("/replies/:replyId/children", protect, fc.getChildReplies);
-router.put("/replies/:replyId", protect, fc.editReply);
+router.put("/replies/:replyId", protect, requireVerified, fc.editReply);
 router.delete("/replies/:replyId", protect, fc.deleteReply);
 
 // Like / Dislike — forums
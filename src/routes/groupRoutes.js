@@ -1,18 +1,66 @@
 const express = require("express");
 const router = express.Router();
 const groupController = require("../controllers/groupController");
-const { protect, authorize } = require("../middleware/authMiddleware");
+const announcementController = require("../controllers/announcementController");
+const { protect, authorize, requireVerified } = require("../middleware/authMiddleware");
+const upload = require("../middleware/upload");
 
-// My groups — students get their membership groups; faculty/admin get all active groups
-router.get("/my", protect, authorize("STUDENT", "FACULTY", "ADMIN"), groupController.getMyGroup);
-router.get("/:groupId/open", protect, authorize("STUDENT", "FACULTY", "ADMIN"), groupController.openGroup);
+// My groups — membership groups, or all active groups with group:access:any (faculty/admin)
+router.get("/my", protect, authorize.can("group:read"), groupController.getMyGroup);
 
-// Admin / Faculty
-router.get("/", protect, authorize("ADMIN", "FACULTY"), groupController.listGroups);
-router.get("/:groupId/members", protect, authorize("ADMIN", "FACULTY"), groupController.getGroupMembers);
+// Elective / study groups — create, discover, invitations (before /:groupId routes)
+const canCreate = authorize.can("group:create");
+const canJoin = authorize.can("group:join");
+
+router.post("/", protect, requireVerified, canCreate, groupController.createGroup);
+router.get("/discover", protect, canJoin, groupController.discoverGroups);
+router.get("/invites", protect, canJoin, groupController.getMyInvites);
+router.post("/invites/:requestId/accept", protect, canJoin, groupController.acceptInvite);
+router.post("/invites/:requestId/decline", protect, canJoin, groupController.declineInvite);
+
+router.get("/:groupId/open", protect, authorize.can("group:read"), groupController.openGroup);
+
+// All groups — group:list (faculty/admin)
+router.get("/", protect, authorize.can("group:list"), groupController.listGroups);
+
+// Rosters — own groups, or any group with group:list (enforced in controller)
+router.get("/:groupId/members", protect, authorize.can("group:read"), groupController.getGroupMembers);
+
+// Elective / study group membership and management — owner / group:manage:any checked in the controller
+// Member roles — group:roles, or the owner of an elective / study group (enforced in controller)
+router.patch("/:groupId/members/:userId/role", protect, requireVerified, canCreate, groupController.setMemberRole);
+router.patch("/:groupId", protect, canCreate, groupController.updateGroup);
+router.delete("/:groupId", protect, canCreate, groupController.deleteGroup);
+router.post("/:groupId/join", protect, requireVerified, canJoin, groupController.joinGroup);
+router.delete("/:groupId/join", protect, canJoin, groupController.cancelJoinRequest);
+router.post("/:groupId/leave", protect, canJoin, groupController.leaveGroup);
+router.get("/:groupId/requests", protect, canCreate, groupController.listJoinRequests);
+router.post("/:groupId/requests/:requestId/approve", protect, canCreate, groupController.approveJoinRequest);
+router.post("/:groupId/requests/:requestId/reject", protect, canCreate, groupController.rejectJoinRequest);
+router.post("/:groupId/invites", protect, canCreate, groupController.inviteMembers);
 
 // REST Chat — send & get messages (faculty/admin can participate and moderate)
-router.post("/:groupId/chat", protect, authorize("STUDENT", "FACULTY", "ADMIN"), groupController.sendMessage);
-router.get("/:groupId/chat", protect, authorize("STUDENT", "FACULTY", "ADMIN"), groupController.getMessages);
+router.post("/:groupId/chat", protect, requireVerified, authorize.can("chat:send"), groupController.sendMessage);
+router.get("/:groupId/chat", protect, authorize.can("group:read"), groupController.getMessages);
+
+// Announcements — posting / pinning needs announcement:post or CLASS_REP in the group (enforced in controller)
+const canRead = authorize.can("group:read");
+const announcement = "/:groupId/announcements/:announcementId";
+
+router.get("/:groupId/announcements", protect, canRead, announcementController.listAnnouncements);
+router.post(
+  "/:groupId/announcements",
+  protect,
+  requireVerified,
+  canRead,
+  upload.array("attachments", 5),
+  announcementController.createAnnouncement
+);
+router.patch(announcement, protect, canRead, announcementController.updateAnnouncement);
+router.delete(announcement, protect, canRead, announcementController.deleteAnnouncement);
+router.patch(`${announcement}/pin`, protect, canRead, announcementController.pinAnnouncement);
+router.post(`${announcement}/ack`, protect, canRead, announcementController.acknowledgeAnnouncement);
+router.get(`${announcement}/acknowledgements`, protect, canRead, announcementController.getAcknowledgementReport);
+router.get(`${announcement}/attachments/:index`, protect, canRead, announcementController.downloadAttachment);
 
 module.exports = router;
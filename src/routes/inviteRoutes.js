@@ -0,0 +1,14 @@
+const express = require("express");
+const router = express.Router();
+const inviteController = require("../controllers/inviteController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+
+// Public — lets the signup form show which role a code grants
+router.get("/check/:code", inviteController.checkInvite);
+
+// Admin — manage invite codes
+router.post("/", protect, authorize.can("invite:manage"), inviteController.createInvite);
+router.get("/", protect, authorize.can("invite:manage"), inviteController.listInvites);
+router.delete("/:inviteId", protect, authorize.can("invite:manage"), inviteController.revokeInvite);
+
+module.exports = router;
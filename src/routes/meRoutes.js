@@ -0,0 +1,13 @@
+const express = require("express");
+const router = express.Router();
+const meController = require("../controllers/meController");
+const { protect } = require("../middleware/authMiddleware");
+
+// Privacy — any authenticated user, own data only
+router.get("/export", protect, meController.exportMyData);
+
+router.get("/deletion-request", protect, meController.getDeletionRequest);
+router.post("/deletion-request", protect, meController.requestDeletion);
+router.delete("/deletion-request", protect, meController.cancelDeletion);
+
+module.exports = router;
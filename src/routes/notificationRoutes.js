@@ -3,18 +3,18 @@ const router = express.Router();
 const notificationController = require("../controllers/notificationController");
 const { protect, authorize } = require("../middleware/authMiddleware");
 
-const allRoles = authorize("STUDENT", "FACULTY", "ADMIN");
+const canRead = authorize.can("notification:read");
 
 // GET  /api/notifications                          — paginated list
-router.get("/", protect, allRoles, notificationController.getMyNotifications);
+router.get("/", protect, canRead, notificationController.getMyNotifications);
 
 // GET  /api/notifications/unread-count             — badge count
-router.get("/unread-count", protect, allRoles, notificationController.getUnreadCount);
+router.get("/unread-count", protect, canRead, notificationController.getUnreadCount);
 
 // PATCH /api/notifications/read-all               — mark everything read
-router.patch("/read-all", protect, allRoles, notificationController.markAllAsRead);
+router.patch("/read-all", protect, canRead, notificationController.markAllAsRead);
 
 // PATCH /api/notifications/:notificationId/read   — mark single as read
-router.patch("/:notificationId/read", protect, allRoles, notificationController.markAsRead);
+router.patch("/:notificationId/read", protect, canRead, notificationController.markAsRead);
 
 module.exports = router;
@@ -1,6 +1,8 @@
 const express = require("express");
 const router = express.Router();
 const profileController = require("../controllers/profileController");
+const facultyProfileController = require("../controllers/facultyProfileController");
+const endorsementController = require("../controllers/endorsementController");
 const { protect, authorize } = require("../middleware/authMiddleware");
 const uploadImage = require("../middleware/uploadImage");
 
@@ -13,13 +15,39 @@ router.put(
 );
 
 // Student routes
-router.post("/", protect, authorize("STUDENT"), profileController.createProfile);
-router.get("/me", protect, authorize("STUDENT"), profileController.getMyProfile);
-router.put("/", protect, authorize("STUDENT"), profileController.updateProfile);
+router.post("/", protect, authorize.can("profile:own"), profileController.createProfile);
+router.get("/me", protect, authorize.can("profile:own"), profileController.getMyProfile);
+router.put("/", protect, authorize.can("profile:own"), profileController.updateProfile);
+router.put("/privacy", protect, authorize.can("profile:own"), profileController.updatePrivacy);
+
+// Directory — every role
+router.get("/directory", protect, authorize.can("profile:directory"), profileController.searchDirectory);
+
+// Skill endorsements — every role
+const canEndorse = authorize.can("profile:endorse");
+
+router.get("/endorsements/:userId", protect, authorize.can("profile:directory"), endorsementController.listEndorsements);
+router.post("/endorsements/:userId", protect, canEndorse, endorsementController.endorseSkill);
+router.delete("/endorsements/:userId/:skill", protect, canEndorse, endorsementController.withdrawEndorsement);
 
 // Faculty / Admin routes
-router.get("/export/csv", protect, authorize("FACULTY", "ADMIN"), profileController.exportStudentsCsv);
-router.get("/filter", protect, authorize("FACULTY", "ADMIN"), profileController.filterProfiles);
-router.get("/view/:id", protect, authorize("FACULTY", "ADMIN"), profileController.viewProfile);
+router.get("/export", protect, authorize.can("profile:export"), profileController.exportStudents);
+router.get("/export/csv", protect, authorize.can("profile:export"), profileController.exportStudents); // format defaults to csv
+router.get("/filter", protect, authorize.can("profile:view:any"), profileController.filterProfiles);
+router.get("/view/:id", protect, authorize.can("profile:view:any"), profileController.viewProfile);
+
+// Faculty profiles — own profile (faculty), directory (all roles), any profile (admin)
+const canOwnFaculty = authorize.can("faculty:profile:own");
+const canManageFaculty = authorize.can("faculty:manage");
+const canBrowse = authorize.can("profile:directory");
+
+router.post("/faculty", protect, canOwnFaculty, facultyProfileController.createProfile);
+router.get("/faculty/me", protect, canOwnFaculty, facultyProfileController.getMyProfile);
+router.put("/faculty", protect, canOwnFaculty, facultyProfileController.updateMyProfile);
+router.delete("/faculty", protect, canOwnFaculty, facultyProfileController.deleteMyProfile);
+router.get("/faculty", protect, canBrowse, facultyProfileController.listProfiles);
+router.get("/faculty/:profileId", protect, canBrowse, facultyProfileController.getProfile);
+router.put("/faculty/:profileId", protect, canManageFaculty, facultyProfileController.updateProfile);
+router.delete("/faculty/:profileId", protect, canManageFaculty, facultyProfileController.deleteProfile);
 
 module.exports = router;
\ No newline at end of file
@@ -1,21 +1,21 @@
 const express = require("express");
 const router = express.Router();
 const quizController = require("../controllers/quizController");
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, authorize, requireVerified, allowApiKey } = require("../middleware/authMiddleware");
 
 // Any authenticated member can create a quiz for their group
-router.post("/", protect, authorize("STUDENT", "FACULTY", "ADMIN"), quizController.createQuiz);
+router.post("/", allowApiKey("quiz:write"), protect, requireVerified, authorize.can("quiz:create"), quizController.createQuiz);
 
-// Start a quiz — creator, faculty, or admin (role check is enforced in controller)
-router.post("/:quizId/start", protect, authorize("STUDENT", "FACULTY", "ADMIN"), quizController.startQuiz);
+// Start a quiz — creator, or quiz:start:any (faculty/admin) — enforced in controller
+router.post("/:quizId/start", protect, authorize.can("quiz:participate"), quizController.startQuiz);
 
 // Get quiz metadata (correctIndex hidden for non-ended quizzes)
-router.get("/:quizId", protect, authorize("STUDENT", "FACULTY", "ADMIN"), quizController.getQuiz);
+router.get("/:quizId", allowApiKey("quiz:read"), protect, authorize.can("quiz:participate"), quizController.getQuiz);
 
 // Get final results and leaderboard (only available after ENDED)
-router.get("/:quizId/results", protect, authorize("STUDENT", "FACULTY", "ADMIN"), quizController.getQuizResults);
+router.get("/:quizId/results", allowApiKey("quiz:read"), protect, authorize.can("quiz:participate"), quizController.getQuizResults);
 
 // List quizzes for a group
-router.get("/group/:groupId", protect, authorize("STUDENT", "FACULTY", "ADMIN"), quizController.listGroupQuizzes);
+router.get("/group/:groupId", allowApiKey("quiz:read"), protect, authorize.can("quiz:participate"), quizController.listGroupQuizzes);
 
 module.exports = router;
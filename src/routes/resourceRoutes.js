@@ -1,26 +1,27 @@
 const express = require("express");
 const router = express.Router();
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, authorize, allowApiKey } = require("../middleware/authMiddleware");
 const upload = require("../middleware/upload");
 const rc = require("../controllers/resourceController");
 
 // Faculty / Admin upload a PDF resource
 router.post(
   "/upload",
+  allowApiKey("resources:write"),
   protect,
-  authorize("FACULTY", "ADMIN"),
+  authorize.can("resource:upload"),
   upload.single("file"),
   rc.upload
 );
 
 // List resources for a group (all authenticated members)
-router.get("/group/:groupId", protect, rc.list);
+router.get("/group/:groupId", allowApiKey("resources:read"), protect, rc.list);
 
 // Get single resource metadata
-router.get("/:resourceId", protect, rc.get);
+router.get("/:resourceId", allowApiKey("resources:read"), protect, rc.get);
 
 // Download PDF file
-router.get("/:resourceId/download", protect, rc.download);
+router.get("/:resourceId/download", allowApiKey("resources:read"), protect, rc.download);
 
 // Delete resource (uploader or FACULTY / ADMIN)
 router.delete("/:resourceId", protect, rc.remove);
@@ -1,22 +1,22 @@
 const express = require("express");
 const router = express.Router();
 const threadController = require("../controllers/threadController");
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, authorize, requireVerified } = require("../middleware/authMiddleware");
 
 // Thread endpoints
-router.post("/:groupId", protect, authorize("STUDENT"), threadController.createThread);
-router.get("/:groupId", protect, authorize("STUDENT", "FACULTY", "ADMIN"), threadController.getThreads);
+router.post("/:groupId", protect, requireVerified, authorize.can("thread:create"), threadController.createThread);
+router.get("/:groupId", protect, authorize.can("group:read"), threadController.getThreads);
 
 // Single thread + replies
-router.get("/thread/:threadId", protect, authorize("STUDENT", "FACULTY", "ADMIN"), threadController.getThread);
+router.get("/thread/:threadId", protect, authorize.can("group:read"), threadController.getThread);
 
 // Reply to thread
-router.post("/thread/:threadId/reply", protect, authorize("STUDENT", "FACULTY", "ADMIN"), threadController.replyToThread);
+router.post("/thread/:threadId/reply", protect, requireVerified, authorize.can("thread:reply"), threadController.replyToThread);
 
-// Mark resolved
-router.put("/thread/:threadId/resolve", protect, authorize("STUDENT", "FACULTY", "ADMIN"), threadController.resolveThread);
+// Mark resolved (author, or thread:resolve:any — enforced in controller)
+router.put("/thread/:threadId/resolve", protect, threadController.resolveThread);
 
 // Accept a reply (thread author only — enforced in controller)
-router.put("/reply/:replyId/accept", protect, authorize("STUDENT"), threadController.acceptReply);
+router.put("/reply/:replyId/accept", protect, authorize.can("thread:accept"), threadController.acceptReply);
 
 module.exports = router;
@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const timetableController = require("../controllers/timetableController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+
+const canRead = authorize.can("group:read");
+const canEdit = authorize.can("timetable:edit");
+
+// Own week and calendar feed
+router.get("/me", protect, canRead, timetableController.getMyTimetable);
+router.get("/me/ics", protect, canRead, timetableController.exportMyTimetable);
+
+// Group timetables — members, or group:access:any (enforced in controller)
+router.get("/groups/:groupId", protect, canRead, timetableController.getGroupTimetable);
+router.get("/groups/:groupId/ics", protect, canRead, timetableController.exportGroupTimetable);
+
+// Editing — timetable:manage, or faculty teaching the group (enforced in controller)
+router.post("/groups/:groupId/entries", protect, canEdit, timetableController.createEntry);
+router.put("/entries/:entryId", protect, canEdit, timetableController.updateEntry);
+router.delete("/entries/:entryId", protect, canEdit, timetableController.deleteEntry);
+
+module.exports = router;
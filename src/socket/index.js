@@ -4,7 +4,18 @@ const GroupChatMessage = require("../models/GroupChatMessage");
 const AcademicGroup = require("../models/AcademicGroup");
 const DiscussionThread = require("../models/DiscussionThread");
 const DiscussionReply = require("../models/DiscussionReply");
-const { getStudentGroups, isMember } = require("../utils/groupMembership");
+const {
+  ARCHIVED_GROUP_MESSAGE,
+  getStudentGroups,
+  isMember,
+  isGroupArchived,
+  canModerateChat,
+} = require("../utils/groupMembership");
+const { getActiveSession } = require("../utils/session");
+const { canWrite } = require("../utils/emailPolicy");
+const { hasPermission } = require("../utils/permissions");
+const { recordAudit } = require("../utils/audit");
+const { withFacultyProfile } = require("../utils/facultyProfile");
 const buildQuizHandler = require("./quizHandler");
 
 module.exports = (io) => {
@@ -13,16 +24,23 @@ module.exports = (io) => {
   // Store on `io` so the REST controller can reach startQuizSession via app.get()
   io._quizHandler = quizHandler;
   // ─── Auth middleware for Socket.IO ─────────────────────────────────────────
-  io.use((socket, next) => {
+  io.use(async (socket, next) => {
     try {
+      // Browsers send the cookie; mobile clients / scripts pass { auth: { token } }
       const rawCookies = socket.handshake.headers.cookie || "";
       const cookies = cookie.parse(rawCookies);
-      const token = cookies.token;
+      const token = socket.handshake.auth?.token || cookies.token;
 
       if (!token) return next(new Error("Not authorized: no token"));
 
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      socket.user = decoded; // { userId, role }
+
+      const session = await getActiveSession(decoded.sessionId);
+      if (!session) return next(new Error("Not authorized: session revoked"));
+      if (decoded.twoFactorSetupRequired)
+        return next(new Error("Not authorized: two-factor setup required"));
+
+      socket.user = decoded; // { userId, role, sessionId }
       next();
     } catch {
       next(new Error("Not authorized: invalid token"));
@@ -32,6 +50,10 @@ module.exports = (io) => {
   io.on("connection", (socket) => {
     console.log(`Socket connected: ${socket.user.userId}`);
 
+    // Private rooms so revoking a session (or all of a user's sessions) can drop live sockets
+    socket.join(`session:${socket.user.sessionId}`);
+    socket.join(`user:${socket.user.userId}`);
+
     // Register quiz socket event handlers for this socket
     quizHandler.registerHandlers(socket);
 
@@ -41,12 +63,13 @@ module.exports = (io) => {
         const group = await AcademicGroup.findById(groupId);
         if (!group) return socket.emit("error", { message: "Group not found" });
 
-        // Students must be a member via GroupMembership; faculty/admin can join any
-        if (socket.user.role === "STUDENT") {
-          const member = await isMember(socket.user.userId, socket.user.role, groupId);
-          if (!member)
-            return socket.emit("error", { message: "You are not a member of this group" });
-        }
+        if (!(await hasPermission(socket.user.role, "group:read")))
+          return socket.emit("error", { message: "Access denied" });
+
+        // Must be a member via GroupMembership; group:access:any (faculty/admin) can join any
+        const member = await isMember(socket.user.userId, socket.user.role, groupId);
+        if (!member)
+          return socket.emit("error", { message: "You are not a member of this group" });
 
         socket.join(groupId);
         socket.emit("joinedGroup", { groupId, groupName: group.name });
@@ -65,10 +88,19 @@ module.exports = (io) => {
     // ── sendMessage ───────────────────────────────────────────────────────────
     socket.on("sendMessage", async ({ groupId, message, image }) => {
       try {
+        if (!(await hasPermission(socket.user.role, "chat:send")))
+          return socket.emit("error", { message: "Access denied" });
+
+        if (!(await canWrite(socket.user.userId)))
+          return socket.emit("error", { message: "Please verify your email first" });
+
         const member = await isMember(socket.user.userId, socket.user.role, groupId);
         if (!member)
           return socket.emit("error", { message: "You are not a member of this group" });
 
+        if (await isGroupArchived(groupId))
+          return socket.emit("error", { message: ARCHIVED_GROUP_MESSAGE });
+
         if ((!message || !message.trim()) && !image)
           return socket.emit("error", { message: "Message or image is required" });
 
@@ -91,12 +123,21 @@ module.exports = (io) => {
     // ── editMessage (optional advanced) ───────────────────────────────────────
     socket.on("editMessage", async ({ messageId, message }) => {
       try {
+        if (!(await hasPermission(socket.user.role, "chat:edit")))
+          return socket.emit("error", { message: "Access denied" });
+
+        if (!(await canWrite(socket.user.userId)))
+          return socket.emit("error", { message: "Please verify your email first" });
+
         const msg = await GroupChatMessage.findById(messageId);
         if (!msg) return socket.emit("error", { message: "Message not found" });
 
         if (msg.sender.toString() !== socket.user.userId)
           return socket.emit("error", { message: "You can only edit your own messages" });
 
+        if (await isGroupArchived(msg.groupId))
+          return socket.emit("error", { message: ARCHIVED_GROUP_MESSAGE });
+
         if (!message || !message.trim())
           return socket.emit("error", { message: "Message cannot be empty" });
 
@@ -118,13 +159,20 @@ module.exports = (io) => {
         if (!msg) return socket.emit("error", { message: "Message not found" });
 
         const isOwner = msg.sender.toString() === socket.user.userId;
-        const isModerator = socket.user.role === "FACULTY" || socket.user.role === "ADMIN";
-        if (!isOwner && !isModerator)
+        if (!isOwner && !(await canModerateChat(socket.user.userId, socket.user.role, msg.groupId)))
           return socket.emit("error", { message: "You can only delete your own messages" });
 
         const groupId = msg.groupId.toString();
         await msg.deleteOne();
         io.to(groupId).emit("messageDeleted", { messageId });
+
+        if (!isOwner)
+          recordAudit(socket, {
+            action: "chat.message.delete",
+            targetType: "GroupChatMessage",
+            targetId: msg._id,
+            before: { groupId: msg.groupId, sender: msg.sender, message: msg.message, image: msg.image, createdAt: msg.createdAt },
+          });
       } catch (err) {
         socket.emit("error", { message: err.message });
       }
@@ -133,6 +181,12 @@ module.exports = (io) => {
     // ── createThread ──────────────────────────────────────────────────────────
     socket.on("createThread", async ({ groupId, title, content, subject }) => {
       try {
+        if (!(await hasPermission(socket.user.role, "thread:create")))
+          return socket.emit("error", { message: "Access denied" });
+
+        if (!(await canWrite(socket.user.userId)))
+          return socket.emit("error", { message: "Please verify your email first" });
+
         if (!groupId || !title?.trim() || !content?.trim())
           return socket.emit("error", { message: "groupId, title, and content are required" });
 
@@ -140,6 +194,9 @@ module.exports = (io) => {
         if (!member)
           return socket.emit("error", { message: "You are not a member of this group" });
 
+        if (await isGroupArchived(groupId))
+          return socket.emit("error", { message: ARCHIVED_GROUP_MESSAGE });
+
         const thread = await DiscussionThread.create({
           groupId,
           author: socket.user.userId,
@@ -158,6 +215,12 @@ module.exports = (io) => {
     // ── replyToThread ─────────────────────────────────────────────────────────
     socket.on("replyToThread", async ({ threadId, content }) => {
       try {
+        if (!(await hasPermission(socket.user.role, "thread:reply")))
+          return socket.emit("error", { message: "Access denied" });
+
+        if (!(await canWrite(socket.user.userId)))
+          return socket.emit("error", { message: "Please verify your email first" });
+
         if (!threadId || !content?.trim())
           return socket.emit("error", { message: "threadId and content are required" });
 
@@ -170,13 +233,16 @@ module.exports = (io) => {
         if (!member)
           return socket.emit("error", { message: "You are not a member of this group" });
 
+        if (await isGroupArchived(groupId))
+          return socket.emit("error", { message: ARCHIVED_GROUP_MESSAGE });
+
         const reply = await DiscussionReply.create({
           threadId,
           author: socket.user.userId,
           content: content.trim(),
         });
 
-        const populated = await reply.populate("author", "email role");
+        const populated = await reply.populate(withFacultyProfile("author", "email role"));
         io.to(groupId).emit("newReply", { threadId, reply: populated });
       } catch (err) {
         socket.emit("error", { message: err.message });
@@ -197,9 +263,9 @@ module.exports = (io) => {
         if (!member)
           return socket.emit("error", { message: "You are not a member of this group" });
 
-        // Only the thread author, FACULTY, or ADMIN can resolve
+        // Only the thread author or thread:resolve:any (FACULTY / ADMIN) can resolve
         const isAuthor = thread.author.toString() === socket.user.userId;
-        if (!isAuthor && socket.user.role === "STUDENT")
+        if (!isAuthor && !(await hasPermission(socket.user.role, "thread:resolve:any")))
           return socket.emit("error", { message: "Only the thread author can mark it resolved" });
 
         thread.isResolved = true;
@@ -218,8 +284,8 @@ module.exports = (io) => {
     // ── acceptReply ───────────────────────────────────────────────────────────
     socket.on("acceptReply", async ({ replyId }) => {
       try {
-        if (socket.user.role !== "STUDENT")
-          return socket.emit("error", { message: "Only students can accept replies" });
+        if (!(await hasPermission(socket.user.role, "thread:accept")))
+          return socket.emit("error", { message: "Access denied" });
 
         if (!replyId)
           return socket.emit("error", { message: "replyId is required" });
@@ -64,6 +64,7 @@
 
 const Quiz = require("../models/Quiz");
 const { isMember } = require("../utils/groupMembership");
+const { hasPermission } = require("../utils/permissions");
 
 const BETWEEN_QUESTIONS_MS = 3_000; // pause between question-result and next question
 
@@ -144,6 +145,9 @@ module.exports = (io) => {
         if (!quizId)
           return socket.emit("quiz:error", { message: "quizId is required." });
 
+        if (!(await hasPermission(socket.user.role, "quiz:participate")))
+          return socket.emit("quiz:error", { message: "Access denied" });
+
         const quiz = await Quiz.findById(quizId);
         if (!quiz)
           return socket.emit("quiz:error", { message: "Quiz not found." });
@@ -206,10 +210,9 @@ module.exports = (io) => {
         if (session.locked)
           return socket.emit("quiz:error", { message: "Quiz is already locked and running." });
 
-        // Only the quiz creator, FACULTY, or ADMIN may lock
+        // Only the quiz creator or quiz:start:any (FACULTY / ADMIN) may lock
         const isCreator = socket.user.userId === session.creatorId;
-        const isModerator = socket.user.role === "FACULTY" || socket.user.role === "ADMIN";
-        if (!isCreator && !isModerator)
+        if (!isCreator && !(await hasPermission(socket.user.role, "quiz:start:any")))
           return socket.emit("quiz:error", { message: "Only the quiz creator, faculty, or admin can lock the quiz." });
 
         session.locked = true;
@@ -0,0 +1,155 @@
+const User = require("../models/User");
+const StudentProfile = require("../models/StudentProfile");
+const FacultyProfile = require("../models/FacultyProfile");
+const GroupMembership = require("../models/GroupMembership");
+const ClubMembership = require("../models/ClubMembership");
+const AiDoubtChat = require("../models/AiDoubtChat");
+const Roadmap = require("../models/Roadmap");
+const StudyPlan = require("../models/StudyPlan");
+const Notification = require("../models/Notification");
+const UserToken = require("../models/UserToken");
+const Session = require("../models/Session");
+const ApiKey = require("../models/ApiKey");
+const ForumThread = require("../models/ForumThread");
+const ForumReply = require("../models/ForumMessage");
+const Event = require("../models/Event");
+const SkillEndorsement = require("../models/SkillEndorsement");
+const GroupJoinRequest = require("../models/GroupJoinRequest");
+const TeachingAssignment = require("../models/TeachingAssignment");
+const GroupAnnouncement = require("../models/GroupAnnouncement");
+const ClassSession = require("../models/ClassSession");
+const TimetableEntry = require("../models/TimetableEntry");
+const bcrypt = require("bcrypt");
+const crypto = require("crypto");
+const cloudinary = require("../config/cloudinary");
+const { revokeSessions } = require("./session");
+const { clearLoginFailures } = require("./loginThrottle");
+const { removeEndorsementsBy } = require("./endorsements");
+const { removeSubmissionsBy } = require("./assignments");
+
+/**
+ * Returns the active clubs a user currently leads (must be transferred before deletion).
+ */
+const getLedClubIds = async (userId) => {
+  const led = await ClubMembership.find({ userId, role: "LEADER" })
+    .populate({ path: "clubId", match: { isActive: true }, select: "_id" })
+    .lean();
+  return led.filter((m) => m.clubId).map((m) => m.clubId._id);
+};
+
+/**
+ * Removes a user's memberships, teaching assignments (timetable slots they
+ * teach lose their faculty), endorsements given, pending group join
+ * requests / invites, AI chat and auth state.
+ *   soft — keeps the User (marked deletedAt) and deactivates the Student / FacultyProfile
+ *   hard — also deletes the User, profiles, endorsements received, group join
+ *          requests, attendance records, assignment submissions, roadmaps,
+ *          study plans and notifications
+ * Authored content (chat messages, threads, forum posts) is left in place.
+ */
+const removeUserAccount = async (io, userId, { hard = false } = {}) => {
+  await revokeSessions(io, { userId });
+
+  await Promise.all([
+    GroupMembership.deleteMany({ userId }),
+    ClubMembership.deleteMany({ userId }),
+    AiDoubtChat.deleteMany({ userId }),
+    UserToken.deleteMany({ userId }),
+    ApiKey.deleteMany({ userId }),
+    removeEndorsementsBy(userId),
+    GroupJoinRequest.updateMany({ userId, status: "PENDING" }, { $set: { status: "CANCELLED" } }),
+    TeachingAssignment.deleteMany({ facultyId: userId }),
+    TimetableEntry.updateMany({ facultyId: userId }, { $set: { facultyId: null } }),
+  ]);
+
+  if (!hard) {
+    await Promise.all([
+      StudentProfile.updateOne({ userId }, { $set: { isActive: false } }),
+      FacultyProfile.updateOne({ userId }, { $set: { isActive: false } }),
+      User.updateOne({ _id: userId }, { $set: { deletedAt: new Date() } }),
+    ]);
+    return;
+  }
+
+  await Promise.all([
+    StudentProfile.deleteMany({ userId }),
+    FacultyProfile.deleteMany({ userId }),
+    SkillEndorsement.deleteMany({ userId }),
+    GroupJoinRequest.deleteMany({ userId }),
+    ClassSession.updateMany({ "records.userId": userId }, { $pull: { records: { userId } } }),
+    removeSubmissionsBy(userId),
+    Roadmap.deleteMany({ userId }),
+    StudyPlan.deleteMany({ userId }),
+    Notification.deleteMany({ targetUserId: userId }),
+    Session.deleteMany({ userId }),
+  ]);
+  await User.deleteOne({ _id: userId });
+};
+
+/**
+ * Privacy deletion: purges personal records and scrubs the User so authored
+ * content (chat, threads, forum posts, quizzes, resources, events, announcements,
+ * assignments) stays in place but now belongs to an anonymous "Deleted user".
+ * Likes, RSVPs, announcement acknowledgements and assignment submissions are removed.
+ */
+const anonymiseUserAccount = async (io, userId) => {
+  const user = await User.findById(userId);
+  if (!user) return;
+
+  await removeUserAccount(io, userId);
+
+  const reacted = { $or: [{ likes: userId }, { dislikes: userId }] };
+  const unreact = { $pull: { likes: userId, dislikes: userId } };
+
+  await Promise.all([
+    StudentProfile.deleteMany({ userId }),
+    FacultyProfile.deleteMany({ userId }),
+    SkillEndorsement.deleteMany({ userId }),
+    GroupJoinRequest.deleteMany({ userId }),
+    ClassSession.updateMany({ "records.userId": userId }, { $pull: { records: { userId } } }),
+    removeSubmissionsBy(userId),
+    Roadmap.deleteMany({ userId }),
+    StudyPlan.deleteMany({ userId }),
+    Notification.deleteMany({ targetUserId: userId }),
+    Session.deleteMany({ userId }),
+    clearLoginFailures(user.email),
+    ForumThread.updateMany(reacted, unreact),
+    ForumReply.updateMany(reacted, unreact),
+    Event.updateMany({ rsvps: userId }, { $pull: { rsvps: userId } }),
+    GroupAnnouncement.updateMany(
+      { "acknowledgements.userId": userId },
+      { $pull: { acknowledgements: { userId } }, $inc: { ackCount: -1 } }
+    ),
+  ]);
+
+  if (user.profilePicture) {
+    const publicId = user.profilePicture.split("/").slice(-2).join("/").split(".")[0];
+    await cloudinary.uploader.destroy(`collegehub/${publicId}`).catch(() => {});
+  }
+
+  // Unusable credentials — the account can never sign in again
+  const password = await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10);
+
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        email: `deleted-${user._id}@deleted.invalid`,
+        password,
+        name: "Deleted user",
+        profilePicture: null,
+        isVerified: false,
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorPendingSecret: null,
+        twoFactorRecoveryCodes: [],
+        suspensionReason: null,
+        deletedAt: user.deletedAt || new Date(),
+        deletionScheduledFor: null,
+        anonymisedAt: new Date(),
+      },
+    }
+  );
+};
+
+module.exports = { getLedClubIds, removeUserAccount, anonymiseUserAccount };
@@ -0,0 +1,38 @@
+const User = require("../models/User");
+const { getLedClubIds, anonymiseUserAccount } = require("./accountCleanup");
+
+const GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+const GRACE_MS = GRACE_DAYS * 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+/**
+ * Anonymises every account whose deletion grace period has passed.
+ * Users who lead active clubs are skipped (and retried next run) until
+ * leadership is transferred. Returns the number of accounts purged.
+ */
+const purgeDueDeletions = async (io) => {
+  const due = await User.find({ deletionScheduledFor: { $ne: null, $lte: new Date() } })
+    .select("_id")
+    .lean();
+
+  let purged = 0;
+  for (const { _id } of due) {
+    if ((await getLedClubIds(_id)).length) {
+      console.error(`Account deletion postponed for ${_id}: user still leads active clubs`);
+      continue;
+    }
+    await anonymiseUserAccount(io, _id);
+    purged++;
+  }
+  return purged;
+};
+
+const startDeletionPurge = (io) => {
+  const run = () =>
+    purgeDueDeletions(io).catch((err) => console.error("Account deletion purge failed:", err.message));
+
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+  setTimeout(run, 60 * 1000).unref(); // first run once the DB is connected
+};
+
+module.exports = { GRACE_DAYS, GRACE_MS, purgeDueDeletions, startDeletionPurge };
@@ -0,0 +1,124 @@
+const GroupAnnouncement = require("../models/GroupAnnouncement");
+const GroupMembership = require("../models/GroupMembership");
+const Notification = require("../models/Notification");
+
+const PUBLISH_INTERVAL_MS = 60 * 1000; // scheduled announcements go out within a minute
+const PUBLISH_LEASE_MS = 5 * 60 * 1000; // a publisher claim older than this is abandoned
+
+const AUTHOR_FIELDS = "name role profilePicture";
+
+/**
+ * Response shape of an announcement: attachment paths and the acknowledgement
+ * list are dropped; `acknowledged` tells whether `viewerId` marked it as read.
+ */
+const toPublicAnnouncement = (announcement, viewerId) => {
+  const { acknowledgements = [], attachments = [], publishingAt, pinSlot, ...rest } =
+    typeof announcement.toObject === "function" ? announcement.toObject() : announcement;
+
+  return {
+    ...rest,
+    attachments: attachments.map(({ filePath, ...a }, index) => ({ ...a, index })),
+    isScheduled: !rest.publishedAt,
+    acknowledged: !!viewerId && acknowledgements.some((a) => a.userId.toString() === viewerId.toString()),
+  };
+};
+
+/**
+ * Publishes the announcement once: notifies every member but the author, then
+ * marks it published and broadcasts newAnnouncement to the group room.
+ * Notifications go out before publishedAt is set, so a failed insert leaves
+ * the announcement for the next publisher run (members already notified are
+ * skipped). Returns the published announcement, or null if it already went
+ * out or another publisher is on it.
+ */
+const publishAnnouncement = async (io, announcementId) => {
+  const now = new Date();
+  const claimed = await GroupAnnouncement.findOneAndUpdate(
+    {
+      _id: announcementId,
+      publishedAt: null,
+      $or: [{ publishingAt: null }, { publishingAt: { $lte: new Date(now - PUBLISH_LEASE_MS) } }],
+    },
+    { $set: { publishingAt: now } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  try {
+    const [memberships, notified] = await Promise.all([
+      GroupMembership.find({ groupId: claimed.groupId, userId: { $ne: claimed.author } })
+        .select("userId")
+        .lean(),
+      Notification.distinct("targetUserId", { "payload.announcementId": claimed._id }),
+    ]);
+    const skip = new Set(notified.map((id) => id.toString()));
+    const recipients = memberships.filter((m) => !skip.has(m.userId.toString()));
+
+    if (recipients.length)
+      await Notification.insertMany(
+        recipients.map((m) => ({
+          targetUserId: m.userId,
+          targetGroupId: claimed.groupId,
+          type: "ANNOUNCEMENT",
+          payload: {
+            announcementId: claimed._id,
+            title: claimed.title,
+            createdBy: claimed.author,
+          },
+        }))
+      );
+  } catch (err) {
+    await GroupAnnouncement.updateOne({ _id: claimed._id, publishingAt: now }, { $set: { publishingAt: null } });
+    throw err;
+  }
+
+  const announcement = await GroupAnnouncement.findOneAndUpdate(
+    { _id: claimed._id, publishedAt: null, publishingAt: now },
+    { $set: { publishedAt: new Date(), publishingAt: null } },
+    { new: true }
+  ).populate("author", AUTHOR_FIELDS);
+  if (!announcement) return null; // deleted, or the claim went stale and was taken over
+
+  if (io)
+    io.to(announcement.groupId.toString()).emit("newAnnouncement", {
+      announcement: toPublicAnnouncement(announcement),
+    });
+
+  return announcement;
+};
+
+/**
+ * Publishes every scheduled announcement whose publishAt has passed.
+ * Returns the number published.
+ */
+const publishDueAnnouncements = async (io) => {
+  const due = await GroupAnnouncement.find({ publishedAt: null, publishAt: { $lte: new Date() } })
+    .select("_id")
+    .lean();
+
+  let published = 0;
+  for (const { _id } of due) {
+    // One failed announcement must not hold up the rest — it is retried next run
+    const announcement = await publishAnnouncement(io, _id).catch((err) => {
+      console.error(`Publishing announcement ${_id} failed:`, err.message);
+      return null;
+    });
+    if (announcement) published++;
+  }
+  return published;
+};
+
+const startAnnouncementPublisher = (io) => {
+  const run = () =>
+    publishDueAnnouncements(io).catch((err) => console.error("Announcement publisher failed:", err.message));
+
+  setInterval(run, PUBLISH_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  AUTHOR_FIELDS,
+  toPublicAnnouncement,
+  publishAnnouncement,
+  publishDueAnnouncements,
+  startAnnouncementPublisher,
+};
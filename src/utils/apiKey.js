@@ -0,0 +1,42 @@
+const crypto = require("crypto");
+const ApiKey = require("../models/ApiKey");
+const User = require("../models/User");
+const { hashToken } = require("./session");
+
+// Keys look like chk_<64 hex chars>; the prefix tells them apart from JWTs
+const API_KEY_PREFIX = "chk_";
+
+const isApiKey = (token) => typeof token === "string" && token.startsWith(API_KEY_PREFIX);
+
+/**
+ * Returns { key, prefix, keyHash } — `key` is shown to the user once.
+ */
+const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString("hex")}`;
+  return { key, prefix: key.slice(0, 12), keyHash: hashToken(key) };
+};
+
+/**
+ * Resolves a raw key to { apiKey, user } if the key is live and its owner may
+ * still sign in, else null. Records last use (fire-and-forget).
+ */
+const authenticateApiKey = async (key, ip) => {
+  const apiKey = await ApiKey.findOne({
+    keyHash: hashToken(key),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  }).lean();
+  if (!apiKey) return null;
+
+  const user = await User.findById(apiKey.userId);
+  if (!user || user.loginBlockReason()) return null;
+
+  ApiKey.updateOne(
+    { _id: apiKey._id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: ip || null } }
+  ).catch((err) => console.error("API key usage update error:", err.message));
+
+  return { apiKey, user };
+};
+
+module.exports = { isApiKey, generateApiKey, authenticateApiKey };
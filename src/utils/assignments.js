@@ -0,0 +1,145 @@
+const fs = require("fs");
+const path = require("path");
+const AssignmentSubmission = require("../models/AssignmentSubmission");
+const GroupMembership = require("../models/GroupMembership");
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Started days past the due date (0 when on time)
+const daysLateAt = (dueAt, at) => Math.max(Math.ceil((at - dueAt) / DAY_MS), 0);
+
+/**
+ * Returns true once the assignment takes no more work under its normal window:
+ * past dueAt without late work, or past lateUntil.
+ */
+const isSubmissionClosed = (assignment, now = new Date()) =>
+  now > assignment.dueAt && (!assignment.allowLate || (!!assignment.lateUntil && now > assignment.lateUntil));
+
+/**
+ * Whether a student may (re)submit now, given their current submission (or null).
+ * Returns { isLate, daysLate } or { status, message }.
+ */
+const checkSubmissionWindow = (assignment, submission, now = new Date()) => {
+  if (submission?.status === "GRADED")
+    return { status: 409, message: "This submission has been graded and cannot be changed" };
+  if (submission?.status === "SUBMITTED" && !assignment.allowResubmission)
+    return { status: 409, message: "You have already submitted this assignment" };
+
+  // Work sent back with its own deadline is on time until then
+  if (submission?.status === "RETURNED" && submission.resubmitBy) {
+    if (now > submission.resubmitBy)
+      return { status: 403, message: "The resubmission deadline has passed" };
+    return { isLate: false, daysLate: 0 };
+  }
+
+  if (now <= assignment.dueAt) return { isLate: false, daysLate: 0 };
+  if (isSubmissionClosed(assignment, now))
+    return { status: 403, message: "Submissions are closed for this assignment" };
+  return { isLate: true, daysLate: daysLateAt(assignment.dueAt, now) };
+};
+
+/**
+ * Validates a grade against the assignment: rubricScores [{ criterionId, points }]
+ * covering every criterion when it has a rubric, a plain score otherwise.
+ * Returns { rubricScores, rawScore, latePenalty, score } or { error }.
+ */
+const computeGrade = (assignment, submission, { rubricScores, score }) => {
+  let rawScore;
+  let scores = [];
+
+  if (assignment.rubric.length) {
+    if (!Array.isArray(rubricScores))
+      return { error: "rubricScores is required for assignments with a rubric" };
+    const given = new Map(rubricScores.map((r) => [String(r?.criterionId), Number(r?.points)]));
+    for (const c of assignment.rubric) {
+      const points = given.get(c._id.toString());
+      if (points === undefined || Number.isNaN(points))
+        return { error: `Missing points for criterion: ${c.criterion}` };
+      if (points < 0 || points > c.maxPoints)
+        return { error: `Points for "${c.criterion}" must be between 0 and ${c.maxPoints}` };
+      scores.push({ criterionId: c._id, points });
+    }
+    if (given.size !== assignment.rubric.length)
+      return { error: "rubricScores contains unknown criteria" };
+    rawScore = round2(scores.reduce((sum, s) => sum + s.points, 0));
+  } else {
+    rawScore = Number(score);
+    if (score === undefined || score === null || score === "" || Number.isNaN(rawScore))
+      return { error: "score is required" };
+    if (rawScore < 0 || rawScore > assignment.maxScore)
+      return { error: `score must be between 0 and ${assignment.maxScore}` };
+  }
+
+  const latePenalty = submission.isLate
+    ? round2((assignment.maxScore * assignment.latePenaltyPercent * submission.daysLate) / 100)
+    : 0;
+
+  return {
+    rubricScores: scores,
+    rawScore,
+    latePenalty,
+    score: round2(Math.max(rawScore - latePenalty, 0)),
+  };
+};
+
+const removeSubmissionFile = (file) => {
+  if (file?.filePath) fs.unlink(path.resolve(file.filePath), () => {});
+};
+
+// Current student members of the group (deleted accounts excluded)
+const getGroupStudentIds = async (groupId) => {
+  const memberships = await GroupMembership.find({ groupId }).select("userId").lean();
+  const students = await User.find({
+    _id: { $in: memberships.map((m) => m.userId) },
+    role: "STUDENT",
+    deletedAt: null,
+  })
+    .select("_id")
+    .lean();
+  return students.map((u) => u._id);
+};
+
+/**
+ * Tells the group's students about a new assignment (type ASSIGNMENT).
+ */
+const notifyNewAssignment = async (assignment, groupName) => {
+  const studentIds = await getGroupStudentIds(assignment.groupId);
+  if (!studentIds.length) return;
+
+  await Notification.insertMany(
+    studentIds.map((userId) => ({
+      targetUserId: userId,
+      targetGroupId: assignment.groupId,
+      type: "ASSIGNMENT",
+      payload: {
+        assignmentId: assignment._id,
+        title: assignment.title,
+        message: `New assignment in ${groupName}, due ${assignment.dueAt.toISOString()}`,
+        createdBy: assignment.createdBy,
+      },
+    }))
+  );
+};
+
+/**
+ * Deletes a student's submissions and their files (account deletion).
+ */
+const removeSubmissionsBy = async (studentId) => {
+  const submissions = await AssignmentSubmission.find({ studentId }).select("file").lean();
+  submissions.forEach((s) => removeSubmissionFile(s.file));
+  await AssignmentSubmission.deleteMany({ studentId });
+};
+
+module.exports = {
+  isSubmissionClosed,
+  checkSubmissionWindow,
+  computeGrade,
+  removeSubmissionFile,
+  getGroupStudentIds,
+  notifyNewAssignment,
+  removeSubmissionsBy,
+};
@@ -0,0 +1,106 @@
+const ClassSession = require("../models/ClassSession");
+const Notification = require("../models/Notification");
+
+const LOW_ATTENDANCE_PERCENT = Number(process.env.LOW_ATTENDANCE_PERCENT) || 75;
+// No alerts until this many sessions of the subject were held for the student
+const ALERT_MIN_SESSIONS = 4;
+
+// LATE counts as attended; EXCUSED sessions do not count as held
+const ATTENDED_STATUSES = ["PRESENT", "LATE"];
+
+const percentage = (held, attended) => (held ? Math.round((attended / held) * 1000) / 10 : null);
+
+const isLow = ({ held, attended }) =>
+  held >= ALERT_MIN_SESSIONS && percentage(held, attended) < LOW_ATTENDANCE_PERCENT;
+
+/**
+ * Per student, group and subject attendance over the sessions matching
+ * `match` (optionally only for `userIds`).
+ * Returns [{ userId, groupId, subject, held, attended, excused, percentage, isLow }].
+ */
+const attendanceStats = async (match, userIds = null) => {
+  const recordMatch = userIds ? [{ $match: { "records.userId": { $in: userIds } } }] : [];
+
+  const rows = await ClassSession.aggregate([
+    { $match: userIds ? { ...match, "records.userId": { $in: userIds } } : match },
+    { $unwind: "$records" },
+    ...recordMatch,
+    {
+      $group: {
+        _id: { userId: "$records.userId", groupId: "$groupId", subject: { $toLower: "$subject" } },
+        subject: { $first: "$subject" },
+        held: { $sum: { $cond: [{ $eq: ["$records.status", "EXCUSED"] }, 0, 1] } },
+        attended: { $sum: { $cond: [{ $in: ["$records.status", ATTENDED_STATUSES] }, 1, 0] } },
+        excused: { $sum: { $cond: [{ $eq: ["$records.status", "EXCUSED"] }, 1, 0] } },
+      },
+    },
+    { $sort: { "_id.subject": 1 } },
+  ]).option({ collation: { locale: "en", strength: 2 } }); // subject matches case-insensitively
+
+  return rows.map((r) => ({
+    userId: r._id.userId,
+    groupId: r._id.groupId,
+    subject: r.subject,
+    held: r.held,
+    attended: r.attended,
+    excused: r.excused,
+    percentage: percentage(r.held, r.attended),
+    isLow: isLow(r),
+  }));
+};
+
+// What one record adds to a student's totals
+const contribution = (status) => ({
+  held: status && status !== "EXCUSED" ? 1 : 0,
+  attended: ATTENDED_STATUSES.includes(status) ? 1 : 0,
+});
+
+/**
+ * Notifies students of the session whose attendance in its subject has just
+ * dropped below LOW_ATTENDANCE_PERCENT. `previous` maps userId → status before
+ * a re-mark (empty for a new session), so students already below are not told again.
+ */
+const sendLowAttendanceAlerts = async (session, previous = new Map(), groupName = null) => {
+  const userIds = session.records.map((r) => r.userId);
+  if (!userIds.length) return;
+
+  const stats = await attendanceStats(
+    { groupId: session.groupId, subject: session.subject },
+    userIds
+  );
+  const statusOf = new Map(session.records.map((r) => [r.userId.toString(), r.status]));
+
+  const alerts = stats.filter((s) => {
+    if (!s.isLow) return false;
+    const now = contribution(statusOf.get(s.userId.toString()));
+    const before = contribution(previous.get(s.userId.toString()));
+    return !isLow({
+      held: s.held - now.held + before.held,
+      attended: s.attended - now.attended + before.attended,
+    });
+  });
+  if (!alerts.length) return;
+
+  await Notification.insertMany(
+    alerts.map((s) => ({
+      targetUserId: s.userId,
+      targetGroupId: session.groupId,
+      type: "ATTENDANCE",
+      payload: {
+        title: "Low attendance",
+        message:
+          `Your attendance in ${session.subject}${groupName ? ` (${groupName})` : ""} is ${s.percentage}% ` +
+          `(${s.attended}/${s.held}) — below the required ${LOW_ATTENDANCE_PERCENT}%.`,
+      },
+    }))
+  );
+};
+
+module.exports = {
+  LOW_ATTENDANCE_PERCENT,
+  ALERT_MIN_SESSIONS,
+  ATTENDED_STATUSES,
+  percentage,
+  attendanceStats,
+  sendLowAttendanceAlerts,
+};
@@ -0,0 +1,32 @@
+const AuditLog = require("../models/AuditLog");
+const User = require("../models/User");
+
+/**
+ * Appends an AuditLog entry for the current actor.
+ * `source` is the Express req or a Socket.IO socket — both carry `.user`.
+ * Never throws: a failed write is logged and the action itself goes ahead.
+ */
+const recordAudit = async (source, { action, targetType = null, targetId = null, before = null, after = null, meta = null }) => {
+  try {
+    const { userId, role } = source.user || {};
+    const headers = source.handshake ? source.handshake.headers : source.headers;
+    const ip = source.handshake ? source.handshake.address : source.ip;
+
+    const actor = userId ? await User.findById(userId).select("email").lean() : null;
+
+    await AuditLog.create({
+      actor: { userId: userId || null, role: role || null, email: actor?.email || null },
+      action,
+      target: { type: targetType, id: targetId },
+      before,
+      after,
+      meta,
+      ip: ip || null,
+      userAgent: headers?.["user-agent"]?.slice(0, 500) || null,
+    });
+  } catch (err) {
+    console.error(`Audit log failed (${action}):`, err.message);
+  }
+};
+
+module.exports = { recordAudit };
@@ -1,19 +1,20 @@
 const ClubMembership = require("../models/ClubMembership");
+const { hasPermission } = require("./permissions");
 
 /**
  * Returns the ClubMembership doc if user belongs to the club, else null.
- * FACULTY / ADMIN always bypass.
+ * Roles with club:manage (ADMIN by default) always bypass.
  */
 const isClubMember = async (userId, role, clubId) => {
-  if (role === "FACULTY" || role === "ADMIN") return { role: "ADMIN" };
+  if (await hasPermission(role, "club:manage")) return { role: "ADMIN" };
   return ClubMembership.findOne({ userId, clubId });
 };
 
 /**
- * Returns true if user is the club LEADER or CO_LEADER, or is ADMIN.
+ * Returns true if user is the club LEADER or CO_LEADER, or has club:manage.
  */
 const isClubLeader = async (userId, role, clubId) => {
-  if (role === "ADMIN") return true;
+  if (await hasPermission(role, "club:manage")) return true;
   const m = await ClubMembership.findOne({ userId, clubId });
   return m && (m.role === "LEADER" || m.role === "CO_LEADER");
 };
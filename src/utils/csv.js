@@ -0,0 +1,69 @@
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a CSV cell if it contains a comma, quote, or newline. Text that a
+// spreadsheet would read as a formula gets a leading ' (numbers are left alone)
+const escapeCsv = (val) => {
+  if (val === null || val === undefined) return "";
+  let str = String(val);
+  if (typeof val === "string" && FORMULA_PREFIX.test(str)) str = "'" + str;
+  if (str.includes(",") || str.includes('"') || str.includes("\n") || str.includes("\r")) {
+    return '"' + str.replace(/"/g, '""') + '"';
+  }
+  return str;
+};
+
+/**
+ * Builds a CSV document from a header list and rows of raw values.
+ */
+const toCsv = (headers, rows) =>
+  [headers.map(escapeCsv).join(","), ...rows.map((row) => row.map(escapeCsv).join(","))].join("\r\n");
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF) into rows
+ * of strings. A leading BOM and blank lines are skipped.
+ */
+const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== "") rows.push(row);
+    row = [];
+    field = "";
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) endRow();
+
+  return rows;
+};
+
+module.exports = { escapeCsv, toCsv, parseCsv };
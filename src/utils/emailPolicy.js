@@ -0,0 +1,43 @@
+const User = require("../models/User");
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Allowed signup domains from ALLOWED_EMAIL_DOMAINS (comma-separated).
+ * Empty list = any domain is accepted.
+ */
+const getAllowedDomains = () =>
+  (process.env.ALLOWED_EMAIL_DOMAINS || "")
+    .split(",")
+    .map((d) => d.trim().toLowerCase().replace(/^@/, ""))
+    .filter(Boolean);
+
+/**
+ * Returns an error message if the email is malformed or outside the allowed domains, else null.
+ * Subdomains of an allowed domain are accepted (cse.college.edu matches college.edu).
+ */
+const validateSignupEmail = (email) => {
+  if (!email || typeof email !== "string" || !EMAIL_REGEX.test(email.trim()))
+    return "A valid email is required";
+
+  const allowed = getAllowedDomains();
+  if (!allowed.length) return null;
+
+  const domain = email.trim().toLowerCase().split("@")[1];
+  const ok = allowed.some((d) => domain === d || domain.endsWith(`.${d}`));
+  return ok ? null : `Email must belong to one of: ${allowed.join(", ")}`;
+};
+
+// REQUIRE_EMAIL_VERIFICATION=true blocks unverified users from write routes
+const isVerificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION === "true";
+
+/**
+ * True if the user may write content (verification disabled, or user verified).
+ */
+const canWrite = async (userId) => {
+  if (!isVerificationRequired()) return true;
+  const user = await User.findById(userId).select("isVerified").lean();
+  return !!user?.isVerified;
+};
+
+module.exports = { getAllowedDomains, validateSignupEmail, isVerificationRequired, canWrite };
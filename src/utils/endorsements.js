@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+const StudentProfile = require("../models/StudentProfile");
+const SkillEndorsement = require("../models/SkillEndorsement");
+
+const skillKey = (skill) => String(skill || "").trim().toLowerCase();
+
+/**
+ * Recounts a student's endorsements into StudentProfile.endorsements /
+ * endorsementCount. Endorsements of skills no longer on the profile are kept
+ * but not counted, so re-adding the skill brings them back.
+ * Returns the updated profile, or null if the student has none.
+ */
+const refreshEndorsementSummary = async (userId) => {
+  const profile = await StudentProfile.findOne({ userId }).select("skills").lean();
+  if (!profile) return null;
+
+  const counts = await SkillEndorsement.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)) } },
+    {
+      $group: {
+        _id: "$skillKey",
+        count: { $sum: 1 },
+        facultyCount: { $sum: { $cond: [{ $eq: ["$endorserRole", "FACULTY"] }, 1, 0] } },
+      },
+    },
+  ]);
+  const byKey = new Map(counts.map((c) => [c._id, c]));
+
+  const seen = new Set();
+  const endorsements = [];
+  (profile.skills || []).forEach((skill) => {
+    const key = skillKey(skill);
+    if (seen.has(key) || !byKey.has(key)) return;
+    seen.add(key);
+    const { count, facultyCount } = byKey.get(key);
+    endorsements.push({ skill, count, facultyCount });
+  });
+  endorsements.sort((a, b) => b.count - a.count);
+
+  return StudentProfile.findOneAndUpdate(
+    { userId },
+    { $set: { endorsements, endorsementCount: endorsements.reduce((sum, e) => sum + e.count, 0) } },
+    { new: true }
+  );
+};
+
+/**
+ * Deletes the endorsements a user gave and recounts the students who received them.
+ */
+const removeEndorsementsBy = async (userId) => {
+  const recipients = await SkillEndorsement.distinct("userId", { endorsedBy: userId });
+  if (!recipients.length) return;
+
+  await SkillEndorsement.deleteMany({ endorsedBy: userId });
+  for (const recipient of recipients) await refreshEndorsementSummary(recipient);
+};
+
+module.exports = { skillKey, refreshEndorsementSummary, removeEndorsementsBy };
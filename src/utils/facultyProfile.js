@@ -0,0 +1,15 @@
+// Fields shown next to a faculty member wherever they appear as author / organizer / uploader
+const FACULTY_SUMMARY_FIELDS = "department designation subjects";
+
+/**
+ * Populate spec for a User reference that also pulls in the user's
+ * FacultyProfile summary (null for students and faculty without a profile).
+ * Usage: query.populate(withFacultyProfile("organizer", "name email role"))
+ */
+const withFacultyProfile = (path, select) => ({
+  path,
+  select,
+  populate: { path: "facultyProfile", select: `userId ${FACULTY_SUMMARY_FIELDS}`, match: { isActive: true } },
+});
+
+module.exports = { FACULTY_SUMMARY_FIELDS, withFacultyProfile };
@@ -1,6 +1,20 @@
 const StudentProfile = require("../models/StudentProfile");
 const AcademicGroup = require("../models/AcademicGroup");
+const { CUSTOM_GROUP_TYPES } = require("../models/AcademicGroup");
 const GroupMembership = require("../models/GroupMembership");
+const Notification = require("../models/Notification");
+const { hasPermission } = require("./permissions");
+const { withinTeachingScope } = require("./teaching");
+
+const ARCHIVED_GROUP_MESSAGE = "This group is archived and read-only";
+// What each GroupMembership.role may do inside its own group
+const GROUP_ROLE_RIGHTS = {
+  MEMBER: [],
+  MODERATOR: ["moderate"],
+  CLASS_REP: ["moderate", "announce"],
+};
+// Group types whose membership follows the student profile
+const PROFILE_GROUP_TYPES = ["YEAR", "YEAR_SECTION"];
 
 /**
  * Returns the YEAR_SECTION AcademicGroup for a student (backward compat).
@@ -14,6 +28,7 @@ const getStudentGroup = async (userId) => {
     section: profile.section.toUpperCase(),
     type: "YEAR_SECTION",
     isActive: true,
+    archivedAt: null,
   });
 };
 
@@ -29,12 +44,199 @@ const getStudentGroups = async (userId) => {
 
 /**
  * Returns true if user belongs to a group.
- * FACULTY / ADMIN always bypass (read-only access to all groups).
+ * Roles with group:access:any (FACULTY / ADMIN by default) always bypass.
  */
 const isMember = async (userId, role, groupId) => {
-  if (role === "FACULTY" || role === "ADMIN") return true;
+  if (await hasPermission(role, "group:access:any")) return true;
   const membership = await GroupMembership.findOne({ userId, groupId });
   return !!membership;
 };
 
-module.exports = { getStudentGroup, getStudentGroups, isMember };
+/**
+ * Returns the user's GroupMembership.role in the group, or null if not a member.
+ */
+const getMemberRole = async (userId, groupId) => {
+  const membership = await GroupMembership.findOne({ userId, groupId }).select("role").lean();
+  return membership ? membership.role || "MEMBER" : null;
+};
+
+/**
+ * Returns true if the user's member role grants `right` ("moderate" | "announce") in the group.
+ */
+const hasGroupRight = async (userId, groupId, right) => {
+  const role = await getMemberRole(userId, groupId);
+  return !!role && GROUP_ROLE_RIGHTS[role].includes(right);
+};
+
+/**
+ * Returns true if the user may delete others' chat messages in the group:
+ * chat:moderate (FACULTY / ADMIN by default; faculty limited to groups they
+ * teach when the teaching scope is on) or a MODERATOR / CLASS_REP member.
+ */
+const canModerateChat = async (userId, role, groupId) =>
+  ((await hasPermission(role, "chat:moderate")) && (await withinTeachingScope(userId, role, groupId))) ||
+  hasGroupRight(userId, groupId, "moderate");
+
+/**
+ * Returns true if the user may post and pin announcements in the group:
+ * announcement:post (FACULTY / ADMIN by default) or a CLASS_REP member.
+ */
+const canAnnounce = async (userId, role, groupId) =>
+  (await hasPermission(role, "announcement:post")) || hasGroupRight(userId, groupId, "announce");
+
+/**
+ * Returns true if the user may manage an elective / study group (settings,
+ * join requests, invites): its creator, or roles with group:manage:any.
+ * Academic groups are managed by the system, never by users.
+ */
+const canManageGroup = async (userId, role, group) => {
+  if (!group || !CUSTOM_GROUP_TYPES.includes(group.type)) return false;
+  if (group.createdBy && group.createdBy.toString() === userId.toString()) return true;
+  return hasPermission(role, "group:manage:any");
+};
+
+/**
+ * Returns true if the group was archived by a year rollover (no new content allowed).
+ */
+const isGroupArchived = async (groupId) =>
+  !!(await AcademicGroup.exists({ _id: groupId, archivedAt: { $ne: null } }));
+
+/**
+ * Finds or creates the current (non-archived) YEAR group (e.g. CSE-2) and YEAR_SECTION group (e.g. CSE-2-A).
+ * Returns [yearGroup, sectionGroup]. Pass `session` to run inside a transaction.
+ */
+const ensureStudentGroups = async (branch, year, section, session = null) => {
+  const B = branch.toUpperCase();
+  const S = section.toUpperCase();
+
+  const upserts = [
+    () =>
+      AcademicGroup.findOneAndUpdate(
+        { branch: B, year, type: "YEAR", archivedAt: null },
+        { $setOnInsert: { branch: B, year, type: "YEAR", name: `${B}-${year}` } },
+        { upsert: true, new: true, session }
+      ),
+    () =>
+      AcademicGroup.findOneAndUpdate(
+        { branch: B, year, section: S, type: "YEAR_SECTION", archivedAt: null },
+        { $setOnInsert: { branch: B, year, section: S, type: "YEAR_SECTION", name: `${B}-${year}-${S}` } },
+        { upsert: true, new: true, session }
+      ),
+  ];
+
+  // A transaction cannot run operations in parallel
+  if (!session) return Promise.all(upserts.map((upsert) => upsert()));
+  const groups = [];
+  for (const upsert of upserts) groups.push(await upsert());
+  return groups;
+};
+
+/**
+ * Auto-creates the student's year / section groups and enrolls them in both
+ * (upsert — safe to call again). Returns [yearGroup, sectionGroup].
+ */
+const enrollStudentInGroups = async (userId, branch, year, section) => {
+  const groups = await ensureStudentGroups(branch, year, section);
+
+  await Promise.all(
+    groups.map((group) =>
+      GroupMembership.updateOne(
+        { userId, groupId: group._id },
+        { $setOnInsert: { userId, groupId: group._id, isSystemGenerated: true } },
+        { upsert: true }
+      )
+    )
+  );
+
+  return groups;
+};
+
+/**
+ * Moves a student's system-generated memberships of current YEAR /
+ * YEAR_SECTION groups to the groups matching `profile` (branch / year /
+ * section). Inactive or missing profiles keep none. Memberships of archived
+ * groups and other group types are left alone.
+ * Returns { added: [group], removed: [group | { _id, name: null }] }.
+ */
+const syncStudentGroups = async (userId, profile, session = null) => {
+  const targets =
+    profile && profile.isActive !== false
+      ? await ensureStudentGroups(profile.branch, profile.year, profile.section, session)
+      : [];
+  const targetIds = new Set(targets.map((g) => g._id.toString()));
+
+  const memberships = await GroupMembership.find({ userId, isSystemGenerated: true }).session(session).lean();
+  const groups = await AcademicGroup.find({ _id: { $in: memberships.map((m) => m.groupId) } })
+    .select("name type archivedAt")
+    .session(session)
+    .lean();
+  const groupById = new Map(groups.map((g) => [g._id.toString(), g]));
+
+  // Stale: current profile groups that no longer match, or groups that no
+  // longer exist. Archived groups keep their members as history
+  const removed = memberships
+    .filter((m) => {
+      const group = groupById.get(m.groupId.toString());
+      if (!group) return true;
+      return PROFILE_GROUP_TYPES.includes(group.type) && !group.archivedAt && !targetIds.has(group._id.toString());
+    })
+    .map((m) => groupById.get(m.groupId.toString()) || { _id: m.groupId, name: null });
+
+  const current = new Set(memberships.map((m) => m.groupId.toString()));
+  const added = targets.filter((g) => !current.has(g._id.toString()));
+
+  if (removed.length)
+    await GroupMembership.deleteMany({ userId, groupId: { $in: removed.map((g) => g._id) } }, { session });
+  if (added.length)
+    await GroupMembership.insertMany(
+      added.map((g) => ({ userId, groupId: g._id, isSystemGenerated: true })),
+      { session }
+    );
+
+  return { added, removed };
+};
+
+/**
+ * Tells the student about a syncStudentGroups() change: GROUP notification,
+ * and live sockets leave the rooms of groups they were removed from.
+ */
+const announceGroupChange = async (io, userId, { added, removed }) => {
+  if (!added.length && !removed.length) return;
+
+  if (io && removed.length)
+    io.in(`user:${userId}`).socketsLeave(removed.map((g) => g._id.toString()));
+
+  const names = (list) => list.map((g) => g.name).filter(Boolean).join(", ");
+  const parts = [];
+  if (added.length) parts.push(`added to ${names(added)}`);
+  if (removed.length && names(removed)) parts.push(`removed from ${names(removed)}`);
+  if (!parts.length) return; // only dangling memberships were cleaned up
+
+  await Notification.create({
+    targetUserId: userId,
+    targetGroupId: added.find((g) => g.type === "YEAR_SECTION")?._id || null,
+    type: "GROUP",
+    payload: {
+      title: "Your groups changed",
+      message: `You were ${parts.join(" and ")}.`,
+    },
+  });
+};
+
+module.exports = {
+  ARCHIVED_GROUP_MESSAGE,
+  GROUP_ROLE_RIGHTS,
+  getStudentGroup,
+  getStudentGroups,
+  isMember,
+  getMemberRole,
+  hasGroupRight,
+  canModerateChat,
+  canAnnounce,
+  canManageGroup,
+  isGroupArchived,
+  ensureStudentGroups,
+  enrollStudentInGroups,
+  syncStudentGroups,
+  announceGroupChange,
+};
@@ -0,0 +1,118 @@
+const { zonedParts, offsetAt, offsetTransitions } = require("./timezone");
+
+const VTIMEZONE_YEARS = 5; // offset changes listed ahead — long past any one timetable
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// iCalendar TEXT value: backslash, semicolon, comma and newlines are escaped
+const escapeIcs = (val) =>
+  String(val ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Wall-clock date-time of `d` in `timeZone`
+const formatZoned = (d, timeZone) => {
+  const p = zonedParts(d, timeZone);
+  return `${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}00`;
+};
+
+const formatUtc = (d) => d.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// UTC offset in minutes as ±HHMM
+const formatOffset = (minutes) =>
+  `${minutes < 0 ? "-" : "+"}${pad(Math.floor(Math.abs(minutes) / 60))}${pad(Math.abs(minutes) % 60)}`;
+
+const vtimezoneCache = new Map();
+
+/**
+ * VTIMEZONE lines for `timeZone`, from January 1 of `year` through
+ * VTIMEZONE_YEARS more: the offset in force then, and one observance per
+ * offset change (DAYLIGHT when it moves to a higher offset than the zone's lowest).
+ * Observance starts are local times in the offset being left, as RFC 5545 wants.
+ */
+const vtimezoneLines = (timeZone, year) => {
+  const key = `${timeZone}:${year}`;
+  if (vtimezoneCache.has(key)) return vtimezoneCache.get(key);
+
+  const from = new Date(Date.UTC(year, 0, 1));
+  const to = new Date(Date.UTC(year + VTIMEZONE_YEARS + 1, 0, 1));
+  const initial = offsetAt(from, timeZone);
+  const transitions = offsetTransitions(timeZone, from, to);
+  const standard = Math.min(initial, ...transitions.map((t) => t.offsetTo));
+
+  const observance = (start, offsetFrom, offsetTo) => [
+    offsetTo > standard ? "BEGIN:DAYLIGHT" : "BEGIN:STANDARD",
+    `DTSTART:${formatUtc(new Date(+start + offsetFrom * 60 * 1000)).slice(0, -1)}`,
+    `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+    `TZOFFSETTO:${formatOffset(offsetTo)}`,
+    offsetTo > standard ? "END:DAYLIGHT" : "END:STANDARD",
+  ];
+
+  const lines = [
+    "BEGIN:VTIMEZONE",
+    `TZID:${timeZone}`,
+    ...observance(from, initial, initial),
+    ...transitions.flatMap((t) => observance(t.at, t.offsetFrom, t.offsetTo)),
+    "END:VTIMEZONE",
+  ];
+  vtimezoneCache.set(key, lines);
+  return lines;
+};
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch, "utf8") > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+/**
+ * Builds an iCalendar (RFC 5545) document from
+ * [{ uid, start, end, summary, location?, description?, rrule? }] events.
+ * start / end are Dates written as wall-clock times in `timeZone` (an IANA
+ * name). The calendar carries a VTIMEZONE with the zone's offset changes, so
+ * clients convert the times correctly and weekly events keep their hour
+ * across DST changes.
+ */
+const toIcs = ({ name, timeZone, events }, generatedAt = new Date()) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//CollegeHub//Timetable//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcs(name)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+    ...vtimezoneLines(timeZone, zonedParts(generatedAt, timeZone).year),
+  ];
+
+  events.forEach((e) => {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${e.uid}`,
+      `DTSTAMP:${formatUtc(generatedAt)}`,
+      `DTSTART;TZID=${timeZone}:${formatZoned(e.start, timeZone)}`,
+      `DTEND;TZID=${timeZone}:${formatZoned(e.end, timeZone)}`
+    );
+    if (e.rrule) lines.push(`RRULE:${e.rrule}`);
+    lines.push(`SUMMARY:${escapeIcs(e.summary)}`);
+    if (e.location) lines.push(`LOCATION:${escapeIcs(e.location)}`);
+    if (e.description) lines.push(`DESCRIPTION:${escapeIcs(e.description)}`);
+    lines.push("END:VEVENT");
+  });
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+module.exports = { escapeIcs, toIcs };
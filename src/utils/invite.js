@@ -0,0 +1,55 @@
+const crypto = require("crypto");
+const Invite = require("../models/Invite");
+
+const generateInviteCode = () => crypto.randomBytes(5).toString("hex").toUpperCase();
+
+/**
+ * Query matching an invite that can still be redeemed (optionally by `email`).
+ */
+const redeemableFilter = (code, email) => {
+  const now = new Date();
+  const filter = {
+    code: String(code).trim().toUpperCase(),
+    revokedAt: null,
+    $expr: { $lt: ["$uses", "$maxUses"] },
+    $and: [{ $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] }],
+  };
+  if (email !== undefined)
+    filter.$and.push({ $or: [{ email: null }, { email: String(email).trim().toLowerCase() }] });
+  return filter;
+};
+
+/**
+ * Returns the invite if it can still be redeemed by `email`, else null (read-only).
+ */
+const findRedeemableInvite = (code, email) => {
+  if (!code) return null;
+  return Invite.findOne(redeemableFilter(code, email));
+};
+
+/**
+ * Atomically reserves one use of an invite. Returns the invite or null.
+ * Call recordInviteUse() once the user exists, or releaseInvite() if signup fails.
+ */
+const claimInvite = (code, email) => {
+  if (!code) return null;
+  return Invite.findOneAndUpdate(
+    redeemableFilter(code, email),
+    { $inc: { uses: 1 } },
+    { new: true }
+  );
+};
+
+const recordInviteUse = (inviteId, userId) =>
+  Invite.updateOne({ _id: inviteId }, { $push: { usedBy: { userId, usedAt: new Date() } } });
+
+const releaseInvite = (inviteId) =>
+  Invite.updateOne({ _id: inviteId, uses: { $gt: 0 } }, { $inc: { uses: -1 } });
+
+module.exports = {
+  generateInviteCode,
+  findRedeemableInvite,
+  claimInvite,
+  recordInviteUse,
+  releaseInvite,
+};
@@ -0,0 +1,121 @@
+const LoginAttempt = require("../models/LoginAttempt");
+
+/**
+ * Login brute-force protection
+ *
+ *  - Per account (email): after 2 failures each further attempt must wait
+ *    1s, 2s, 4s … (max 30s); after LOGIN_MAX_ATTEMPTS failures the account
+ *    is locked for LOGIN_LOCKOUT_MINUTES.
+ *  - Per IP: after LOGIN_IP_MAX_ATTEMPTS failures the IP is locked for the same period.
+ *  - Failures older than the lockout window are forgotten; a successful login
+ *    clears the account counter.
+ */
+
+const MAX_ACCOUNT_FAILURES = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const MAX_IP_FAILURES = Number(process.env.LOGIN_IP_MAX_ATTEMPTS) || 50;
+const LOCKOUT_MS = (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const MAX_DELAY_MS = 30 * 1000;
+
+const accountKey = (email) => `account:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip || "unknown"}`;
+
+const delayFor = (failures) =>
+  failures < 2 ? 0 : Math.min(1000 * 2 ** (failures - 2), MAX_DELAY_MS);
+
+/**
+ * Returns null if a login attempt may proceed, else { lockedUntil, retryAfterMs, reason }.
+ */
+const checkLoginAllowed = async (email, ip) => {
+  const now = Date.now();
+  const records = await LoginAttempt.find({ key: { $in: [accountKey(email), ipKey(ip)] } }).lean();
+
+  for (const r of records) {
+    if (r.lockedUntil && r.lockedUntil.getTime() > now)
+      return {
+        reason: r.scope === "IP" ? "Too many failed attempts from this network" : "Account temporarily locked",
+        lockedUntil: r.lockedUntil,
+        retryAfterMs: r.lockedUntil.getTime() - now,
+      };
+
+    if (r.scope === "ACCOUNT" && r.lastFailureAt) {
+      const nextAt = r.lastFailureAt.getTime() + delayFor(r.failures);
+      if (nextAt > now)
+        return {
+          reason: "Too many attempts, slow down",
+          lockedUntil: null,
+          retryAfterMs: nextAt - now,
+        };
+    }
+  }
+  return null;
+};
+
+// Atomic so concurrent failures all count and two first failures don't race on the unique key
+const bump = async (key, scope, maxFailures) => {
+  const now = new Date();
+
+  // Start a new window once the old one has run out
+  await LoginAttempt.updateOne(
+    { key, windowStart: { $lte: new Date(now.getTime() - LOCKOUT_MS) } },
+    { $set: { failures: 0, windowStart: now, lockedUntil: null } }
+  );
+
+  const increment = () =>
+    LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + 2 * LOCKOUT_MS) },
+        $setOnInsert: { scope, windowStart: now, lockedUntil: null },
+      },
+      { upsert: true, new: true }
+    );
+
+  let record;
+  try {
+    record = await increment();
+  } catch (error) {
+    // Lost the insert race — the record exists now, so just increment it
+    if (error.code !== 11000) throw error;
+    record = await increment();
+  }
+
+  if (record.failures >= maxFailures) {
+    const lockedUntil = new Date(now.getTime() + LOCKOUT_MS);
+    await LoginAttempt.updateOne({ key }, { $max: { lockedUntil } });
+    record.lockedUntil = record.lockedUntil > lockedUntil ? record.lockedUntil : lockedUntil;
+  }
+  return record;
+};
+
+/**
+ * Records a failed login for the account and IP.
+ * Returns { attemptsRemaining, lockedUntil } for the account.
+ */
+const recordLoginFailure = async (email, ip) => {
+  const [account] = await Promise.all([
+    bump(accountKey(email), "ACCOUNT", MAX_ACCOUNT_FAILURES),
+    bump(ipKey(ip), "IP", MAX_IP_FAILURES),
+  ]);
+
+  return {
+    attemptsRemaining: Math.max(MAX_ACCOUNT_FAILURES - account.failures, 0),
+    lockedUntil: account.lockedUntil,
+  };
+};
+
+// Successful login — forget the account's failures
+const clearLoginFailures = (email) => LoginAttempt.deleteOne({ key: accountKey(email) });
+
+/**
+ * Admin unlock: clears the account lock and, if given, the IP lock.
+ * Returns the number of records removed.
+ */
+const unlockLogin = async (email, ip) => {
+  const keys = [accountKey(email)];
+  if (ip) keys.push(ipKey(ip));
+  const result = await LoginAttempt.deleteMany({ key: { $in: keys } });
+  return result.deletedCount;
+};
+
+module.exports = { checkLoginAllowed, recordLoginFailure, clearLoginFailures, unlockLogin };
@@ -0,0 +1,74 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Mail transports
+ *
+ * A transport is any object with an async `send({ to, from, subject, text, html })`.
+ * Pick one with MAIL_TRANSPORT (default "console"):
+ *
+ *   console — prints the message to stdout (local development)
+ *   file    — writes each message as JSON into MAIL_OUTBOX_DIR (default ./mail-outbox)
+ *
+ * A real provider (SMTP, SES, ...) can be plugged in with setTransport().
+ */
+
+const consoleTransport = {
+  async send(message) {
+    console.log(
+      `\n── MAIL ─────────────────────────\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n─────────────────────────────────\n`
+    );
+  },
+};
+
+const fileTransport = (dir) => ({
+  async send(message) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${Math.round(Math.random() * 1e6)}.json`);
+    await fs.promises.writeFile(
+      file,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  },
+});
+
+const buildTransport = () => {
+  switch ((process.env.MAIL_TRANSPORT || "console").toLowerCase()) {
+    case "file":
+      return fileTransport(
+        path.resolve(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "../../mail-outbox"))
+      );
+    case "console":
+      return consoleTransport;
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${process.env.MAIL_TRANSPORT}`);
+  }
+};
+
+let transport = null;
+
+const setTransport = (t) => {
+  transport = t;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!transport) transport = buildTransport();
+  return transport.send({
+    to,
+    from: process.env.MAIL_FROM || "CollegeHub <no-reply@collegehub.local>",
+    subject,
+    text,
+    html: html || null,
+  });
+};
+
+/**
+ * Builds a link into the frontend, e.g. clientUrl("/reset-password", { token }).
+ */
+const clientUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.CLIENT_URL || "http://localhost:5173");
+  Object.entries(params).forEach(([k, v]) => url.searchParams.set(k, v));
+  return url.toString();
+};
+
+module.exports = { sendMail, setTransport, clientUrl };
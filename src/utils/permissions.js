@@ -0,0 +1,183 @@
+const { getSetting, setSetting } = require("./settings");
+
+const ROLES = ["STUDENT", "FACULTY", "ADMIN"];
+const SETTING_KEY = "rolePermissions";
+const CACHE_TTL_MS = 30 * 1000;
+
+const ALL = ROLES;
+const STUDENT = ["STUDENT"];
+const FACULTY = ["FACULTY"];
+const STAFF = ["FACULTY", "ADMIN"];
+const ADMIN = ["ADMIN"];
+
+/**
+ * Central permission registry: permission → { description, roles (defaults) }.
+ * Admins can override the role mapping (PUT /api/admin/permissions/:role);
+ * routes check with authorize.can(), controllers / sockets with hasPermission().
+ */
+const PERMISSIONS = {
+  // Groups
+  "group:read":            { roles: ALL,     description: "Open own groups and read their chat" },
+  "group:list":            { roles: STAFF,   description: "List all groups and their members" },
+  "group:roles":           { roles: STAFF,   description: "Appoint class representatives and moderators in any group" },
+  "group:access:any":      { roles: STAFF,   description: "Access any group without being a member" },
+  "group:create":          { roles: ALL,     description: "Create elective and study groups" },
+  "group:join":            { roles: ALL,     description: "Join, request to join and leave elective and study groups" },
+  "group:manage:any":      { roles: ADMIN,   description: "Manage or delete any elective or study group" },
+
+  // Group chat
+  "chat:send":             { roles: ALL,     description: "Send group chat messages and images" },
+  "chat:edit":             { roles: STUDENT, description: "Edit own chat messages" },
+  "chat:moderate":         { roles: STAFF,   description: "Delete any chat message" },
+
+  // Group announcements (class reps also post in their own group)
+  "announcement:post":     { roles: STAFF,   description: "Post and pin announcements in accessible groups" },
+  "announcement:manage":   { roles: ADMIN,   description: "Edit or delete any announcement" },
+
+  // Discussion threads
+  "thread:create":         { roles: STUDENT, description: "Start discussion threads" },
+  "thread:reply":          { roles: ALL,     description: "Reply to discussion threads" },
+  "thread:accept":         { roles: STUDENT, description: "Accept a reply on own thread" },
+  "thread:resolve:any":    { roles: STAFF,   description: "Resolve any thread" },
+
+  // Quizzes
+  "quiz:create":           { roles: ALL,     description: "Create quizzes and start own quizzes" },
+  "quiz:participate":      { roles: ALL,     description: "View, join and see results of group quizzes" },
+  "quiz:start:any":        { roles: STAFF,   description: "Start or lock any quiz in an accessible group" },
+
+  // Resources
+  "resource:upload":       { roles: STAFF,   description: "Upload academic resources" },
+  "resource:delete:any":   { roles: STAFF,   description: "Delete any academic resource" },
+
+  // Attendance
+  "attendance:mark":       { roles: STAFF,   description: "Take and correct attendance for class sessions" },
+  "attendance:view:any":   { roles: STAFF,   description: "View and export group attendance" },
+  "attendance:own":        { roles: STUDENT, description: "View own attendance" },
+  "attendance:manage":     { roles: ADMIN,   description: "Correct or delete any class session" },
+
+  // Assignments (faculty grade the ones they set or teach the group of)
+  "assignment:create":     { roles: STAFF,   description: "Set assignments and grade submissions" },
+  "assignment:submit":     { roles: STUDENT, description: "Submit assignments in own groups" },
+  "assignment:manage":     { roles: ADMIN,   description: "Edit, grade or delete any assignment" },
+
+  // Timetables (faculty edit the groups they teach)
+  "timetable:edit":        { roles: STAFF,   description: "Edit the weekly timetable of groups they teach" },
+  "timetable:manage":      { roles: ADMIN,   description: "Edit the weekly timetable of any group" },
+
+  // Forums
+  "forum:moderate":        { roles: STAFF,   description: "Delete any forum or reply" },
+
+  // Events
+  "event:create":          { roles: STAFF,   description: "Create events and manage own events" },
+  "event:manage:any":      { roles: ADMIN,   description: "Update or delete any event" },
+
+  // Clubs
+  "club:lead":             { roles: STAFF,   description: "Create clubs and manage clubs they lead" },
+  "club:join":             { roles: STUDENT, description: "Join and leave clubs" },
+  "club:manage":           { roles: ADMIN,   description: "Manage any club and its members" },
+
+  // Profiles
+  "profile:own":           { roles: STUDENT, description: "Create and edit own student profile" },
+  "profile:view:any":      { roles: STAFF,   description: "Search and view student profiles" },
+  "profile:export":        { roles: STAFF,   description: "Export student data" },
+  "profile:directory":     { roles: ALL,     description: "Search the student and faculty directories" },
+  "profile:endorse":       { roles: ALL,     description: "Endorse skills on other students' profiles" },
+  "faculty:profile:own":   { roles: FACULTY, description: "Create and edit own faculty profile" },
+  "faculty:manage":        { roles: ADMIN,   description: "Edit any faculty profile and manage teaching assignments" },
+  "teaching:scoped":       { roles: FACULTY, description: "Teach groups — limited to taught groups while the teaching scope policy is on" },
+
+  // Misc
+  "ai:recommendations":    { roles: STUDENT, description: "Get AI resource recommendations" },
+  "notification:read":     { roles: ALL,     description: "Read own notifications" },
+  "apikey:manage":         { roles: STAFF,   description: "Create and revoke personal API keys" },
+
+  // Administration
+  "invite:manage":         { roles: ADMIN,   description: "Create and revoke invite codes" },
+  "user:manage":           { roles: ADMIN,   description: "Manage user accounts" },
+  "roster:manage":         { roles: ADMIN,   description: "Bulk-import students and run roster maintenance" },
+  "security:manage":       { roles: ADMIN,   description: "Change security policies" },
+  "permission:manage":     { roles: ADMIN,   description: "Change the role → permission mapping" },
+  "audit:read":            { roles: ADMIN,   description: "Query and export the audit log" },
+};
+
+// Cannot be removed from ADMIN, otherwise nobody could undo the change
+const LOCKED = { ADMIN: ["permission:manage"] };
+
+const isPermission = (permission) => Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+const getDefaultPermissions = (role) =>
+  Object.keys(PERMISSIONS).filter((p) => PERMISSIONS[p].roles.includes(role));
+
+// Overrides are read on every permission check — keep them in memory briefly
+let cache = null;
+
+const getOverrides = async () => {
+  if (cache && cache.expiresAt > Date.now()) return cache.value;
+  const value = await getSetting(SETTING_KEY, {});
+  cache = { value: value || {}, expiresAt: Date.now() + CACHE_TTL_MS };
+  return cache.value;
+};
+
+/**
+ * Effective permissions per role: { STUDENT: [...], FACULTY: [...], ADMIN: [...] }.
+ * Roles without an override use the registry defaults.
+ */
+const getRolePermissions = async () => {
+  const overrides = await getOverrides();
+  const result = {};
+  ROLES.forEach((role) => {
+    result[role] = Array.isArray(overrides[role])
+      ? overrides[role].filter(isPermission)
+      : getDefaultPermissions(role);
+  });
+  return result;
+};
+
+const hasPermission = async (role, permission) => {
+  if (!isPermission(permission)) throw new Error(`Unknown permission: ${permission}`);
+  if (!ROLES.includes(role)) return false;
+  const permissions = await getRolePermissions();
+  return permissions[role].includes(permission);
+};
+
+/**
+ * Returns an error message if `permissions` is not a valid list for `role`, else null.
+ */
+const validateRolePermissions = (role, permissions) => {
+  if (!Array.isArray(permissions)) return "permissions must be an array";
+
+  const unknown = permissions.filter((p) => !isPermission(p));
+  if (unknown.length) return `Unknown permissions: ${unknown.join(", ")}`;
+
+  const missing = (LOCKED[role] || []).filter((p) => !permissions.includes(p));
+  if (missing.length) return `${role} must keep: ${missing.join(", ")}`;
+
+  return null;
+};
+
+/**
+ * Replaces the permission list of `role` (validate first). Pass null to restore
+ * the defaults. Returns the new effective mapping.
+ */
+const setRolePermissions = async (role, permissions, updatedBy = null) => {
+  const overrides = { ...(await getSetting(SETTING_KEY, {})) };
+
+  if (permissions === null) delete overrides[role];
+  else overrides[role] = [...new Set(permissions)];
+
+  await setSetting(SETTING_KEY, overrides, updatedBy);
+  cache = null;
+  return getRolePermissions();
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  LOCKED,
+  isPermission,
+  getDefaultPermissions,
+  getRolePermissions,
+  hasPermission,
+  validateRolePermissions,
+  setRolePermissions,
+};
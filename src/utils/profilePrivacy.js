@@ -0,0 +1,73 @@
+const StudentProfile = require("../models/StudentProfile");
+const { PRIVACY_DEFAULTS } = require("../models/StudentProfile");
+const { hasPermission } = require("./permissions");
+
+const PRIVATE_FIELDS = Object.keys(PRIVACY_DEFAULTS);
+
+/**
+ * Effective privacy settings of a profile (stored values over the defaults).
+ */
+const getPrivacy = (profile) => ({ ...PRIVACY_DEFAULTS, listed: true, ...(profile?.privacy || {}) });
+
+/**
+ * Visibility levels the viewer may NOT see. Staff = profile:view:any.
+ */
+const hiddenLevels = (isStaff) => (isStaff ? ["NOBODY"] : ["STAFF", "NOBODY"]);
+
+const viewerIsStaff = (role) => hasPermission(role, "profile:view:any");
+
+/**
+ * Returns a plain copy of `profile` without the fields the viewer may not see.
+ * Works on documents and lean objects; a populated `userId` loses its email
+ * when email is hidden, and hidden skills take their endorsement totals along.
+ * The owner always sees everything.
+ */
+const applyPrivacy = (profile, { isStaff = false, viewerId = null } = {}) => {
+  const obj = typeof profile.toObject === "function" ? profile.toObject() : { ...profile };
+  const ownerId = (obj.userId?._id || obj.userId)?.toString();
+  if (viewerId && ownerId === viewerId.toString()) return obj;
+
+  const privacy = getPrivacy(obj);
+  const hidden = hiddenLevels(isStaff);
+
+  PRIVATE_FIELDS.forEach((field) => {
+    if (!hidden.includes(privacy[field])) return;
+    if (field === "email") {
+      if (obj.userId && typeof obj.userId === "object" && "email" in obj.userId)
+        obj.userId = { ...obj.userId, email: null };
+    } else {
+      obj[field] = Array.isArray(obj[field]) ? [] : null;
+    }
+    // Endorsement totals would reveal the hidden skills
+    if (field === "skills" && "endorsements" in obj) {
+      obj.endorsements = [];
+      obj.endorsementCount = 0;
+    }
+  });
+
+  delete obj.privacy;
+  return obj;
+};
+
+/**
+ * Copies of populated user objects with `email` set to null where the viewer
+ * may not see it: students by their privacy.email setting, users without a
+ * student profile unless the viewer is staff. Own email is always shown.
+ */
+const hideUserEmails = async (users, { isStaff = false, viewerId = null } = {}) => {
+  const ids = users.filter((u) => u?._id).map((u) => u._id);
+  const profiles = await StudentProfile.find({ userId: { $in: ids } }).select("userId privacy").lean();
+  const privacyByUser = new Map(profiles.map((p) => [p.userId.toString(), getPrivacy(p)]));
+  const hidden = hiddenLevels(isStaff);
+
+  return users.map((u) => {
+    if (!u?._id || !("email" in u)) return u;
+    const id = u._id.toString();
+    if (viewerId && id === viewerId.toString()) return u;
+    const privacy = privacyByUser.get(id);
+    const visible = privacy ? !hidden.includes(privacy.email) : isStaff;
+    return visible ? u : { ...u, email: null };
+  });
+};
+
+module.exports = { PRIVATE_FIELDS, getPrivacy, hiddenLevels, viewerIsStaff, applyPrivacy, hideUserEmails };
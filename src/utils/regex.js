@@ -0,0 +1,7 @@
+/**
+ * Escapes user input for use inside a RegExp / $regex, so it matches literally.
+ * Non-strings (e.g. repeated query params) are converted with String().
+ */
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+module.exports = { escapeRegex };
@@ -0,0 +1,133 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+
+const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000; // 15 minutes
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const REFRESH_REUSE_GRACE_MS = 30 * 1000; // 30 seconds
+
+const cookieOptions = (maxAge, path = "/") => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "strict",
+  maxAge,
+  path,
+});
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+/**
+ * `claims` carries extra flags, e.g. { twoFactorSetupRequired: true }.
+ */
+const signAccessToken = (user, sessionId, claims = {}) =>
+  jwt.sign(
+    { userId: user._id, role: user.role, sessionId, ...claims },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.floor(ACCESS_TOKEN_TTL_MS / 1000) }
+  );
+
+const setAccessCookie = (res, accessToken) => {
+  res.cookie("token", accessToken, cookieOptions(ACCESS_TOKEN_TTL_MS));
+};
+
+/**
+ * Sets the short-lived access token cookie and the refresh token cookie.
+ * The refresh cookie is scoped to /api/auth so it is only sent to refresh/logout.
+ */
+const setAuthCookies = (res, accessToken, refreshToken) => {
+  setAccessCookie(res, accessToken);
+  res.cookie("refreshToken", refreshToken, cookieOptions(REFRESH_TOKEN_TTL_MS, "/api/auth"));
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie("token", { path: "/" });
+  res.clearCookie("refreshToken", { path: "/api/auth" });
+};
+
+/**
+ * Clients that cannot use cookies (mobile apps, scripts) send `X-Auth-Mode: token`
+ * to also receive the tokens in the JSON body.
+ */
+const tokenPayload = (req, accessToken, refreshToken) =>
+  req.get("x-auth-mode") === "token" ? { accessToken, refreshToken } : {};
+
+/**
+ * Creates a new Session for the user and sets both auth cookies.
+ * Returns { session, accessToken, refreshToken }.
+ */
+const startSession = async (res, req, user, claims = {}) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.get("user-agent")?.slice(0, 500) || null,
+    ip: req.ip || null,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+
+  const accessToken = signAccessToken(user, session._id, claims);
+  setAuthCookies(res, accessToken, refreshToken);
+  return { session, accessToken, refreshToken };
+};
+
+/**
+ * Returns the Session doc if it exists, is not revoked and has not expired, else null.
+ */
+const getActiveSession = async (sessionId) => {
+  if (!sessionId) return null;
+  return Session.findOne({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+/**
+ * True while the session's previous refresh token is inside the reuse grace
+ * window — e.g. two tabs refreshing with the same cookie at once.
+ */
+const isRecentlyRotated = (session) =>
+  !!session.rotatedAt && Date.now() - session.rotatedAt.getTime() < REFRESH_REUSE_GRACE_MS;
+
+/**
+ * Disconnects any live sockets that authenticated with the given session(s).
+ * Sockets join a `session:<id>` room on connect (see src/socket/index.js).
+ */
+const disconnectSessionSockets = (io, sessionIds) => {
+  if (!io) return;
+  sessionIds.forEach((id) => io.in(`session:${id}`).disconnectSockets(true));
+};
+
+/**
+ * Revokes all active sessions matching `filter` and drops their sockets.
+ * Returns the number of sessions revoked.
+ */
+const revokeSessions = async (io, filter) => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select("_id").lean();
+  if (!sessions.length) return 0;
+
+  const ids = sessions.map((s) => s._id);
+  await Session.updateMany({ _id: { $in: ids } }, { $set: { revokedAt: new Date() } });
+  disconnectSessionSockets(io, ids);
+  return ids.length;
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_MS,
+  REFRESH_TOKEN_TTL_MS,
+  REFRESH_REUSE_GRACE_MS,
+  hashToken,
+  generateRefreshToken,
+  signAccessToken,
+  setAccessCookie,
+  setAuthCookies,
+  clearAuthCookies,
+  tokenPayload,
+  startSession,
+  getActiveSession,
+  isRecentlyRotated,
+  revokeSessions,
+};
@@ -0,0 +1,18 @@
+const Setting = require("../models/Setting");
+
+/**
+ * Returns the stored value for `key`, or `fallback` if it was never set.
+ */
+const getSetting = async (key, fallback = null) => {
+  const setting = await Setting.findOne({ key }).lean();
+  return setting ? setting.value : fallback;
+};
+
+const setSetting = (key, value, updatedBy = null) =>
+  Setting.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy } },
+    { upsert: true, new: true }
+  );
+
+module.exports = { getSetting, setSetting };
@@ -0,0 +1,35 @@
+/**
+ * Wraps a streamed response. write() honours backpressure — when the socket
+ * buffer is full it waits for 'drain' before returning. Once the client has
+ * disconnected `closed` is true and write() does nothing, so the caller can
+ * stop reading (breaking out of `for await` closes a Mongoose cursor).
+ */
+const streamWriter = (res) => {
+  let closed = false;
+  res.on("close", () => {
+    closed = true;
+  });
+
+  const drained = () =>
+    new Promise((resolve) => {
+      const done = () => {
+        res.off("drain", done);
+        res.off("close", done);
+        resolve();
+      };
+      res.on("drain", done);
+      res.on("close", done);
+    });
+
+  return {
+    get closed() {
+      return closed || res.destroyed;
+    },
+    write: async (chunk) => {
+      if (closed || res.destroyed) return;
+      if (!res.write(chunk)) await drained();
+    },
+  };
+};
+
+module.exports = { streamWriter };
@@ -0,0 +1,135 @@
+const GroupMembership = require("../models/GroupMembership");
+const ClubMembership = require("../models/ClubMembership");
+const Quiz = require("../models/Quiz");
+const { applyPrivacy } = require("./profilePrivacy");
+
+const EXPORT_FORMATS = ["csv", "xlsx", "json"];
+
+const ROSTER_ORDER = { year: 1, section: 1, rollNumber: 1 };
+const EXPORT_SORTS = {
+  roster: ROSTER_ORDER,
+  endorsements: { endorsementCount: -1, ...ROSTER_ORDER },
+};
+
+/**
+ * Exportable columns → how to read them from an enriched profile.
+ * Group / club / quiz columns need extra queries, done per chunk only when selected.
+ */
+const EXPORT_COLUMNS = {
+  name:             (p) => p.userId?.name ?? null,
+  email:            (p) => p.userId?.email ?? null,
+  rollNumber:       (p) => p.rollNumber ?? null,
+  branch:           (p) => p.branch ?? null,
+  year:             (p) => p.year ?? null,
+  section:          (p) => p.section ?? null,
+  skills:           (p) => p.skills || [],
+  interests:        (p) => p.interests || [],
+  resumeLink:       (p) => p.resumeLink ?? null,
+  portfolioLink:    (p) => p.portfolioLink ?? null,
+  groups:           (p) => p.groups || [],
+  clubs:            (p) => p.clubs || [],
+  quizAverage:      (p) => p.quizAverage ?? null, // % correct over ended quizzes
+  quizCount:        (p) => p.quizCount ?? 0,
+  endorsementCount: (p) => p.endorsementCount ?? 0,
+  // "skill (count, n faculty)" per endorsed skill
+  endorsements:     (p) =>
+    (p.endorsements || []).map(
+      (e) => `${e.skill} (${e.count}${e.facultyCount ? `, ${e.facultyCount} faculty` : ""})`
+    ),
+};
+
+// The columns the original CSV export had
+const DEFAULT_COLUMNS = [
+  "name", "email", "rollNumber", "branch", "year", "section",
+  "skills", "interests", "resumeLink", "portfolioLink",
+];
+
+/**
+ * Parses `columns=a,b,c`. Returns { columns } or { error }.
+ */
+const parseColumns = (value) => {
+  if (!value) return { columns: DEFAULT_COLUMNS };
+  const columns = [...new Set(String(value).split(",").map((c) => c.trim()).filter(Boolean))];
+  const unknown = columns.filter((c) => !EXPORT_COLUMNS[c]);
+  if (unknown.length)
+    return { error: `Unknown columns: ${unknown.join(", ")}. Allowed: ${Object.keys(EXPORT_COLUMNS).join(", ")}` };
+  if (!columns.length) return { columns: DEFAULT_COLUMNS };
+  return { columns };
+};
+
+const groupNamesByUser = async (userIds) => {
+  const memberships = await GroupMembership.find({ userId: { $in: userIds } })
+    .populate("groupId", "name archivedAt")
+    .lean();
+
+  const byUser = new Map();
+  memberships.forEach((m) => {
+    if (!m.groupId || m.groupId.archivedAt) return;
+    const key = m.userId.toString();
+    byUser.set(key, [...(byUser.get(key) || []), m.groupId.name]);
+  });
+  return byUser;
+};
+
+const clubNamesByUser = async (userIds) => {
+  const memberships = await ClubMembership.find({ userId: { $in: userIds } })
+    .populate("clubId", "name")
+    .lean();
+
+  const byUser = new Map();
+  memberships.forEach((m) => {
+    if (!m.clubId) return;
+    const key = m.userId.toString();
+    byUser.set(key, [...(byUser.get(key) || []), m.clubId.name]);
+  });
+  return byUser;
+};
+
+// userId → { average, count } over ENDED quizzes the student took part in
+const quizStatsByUser = async (userIds) => {
+  const stats = await Quiz.aggregate([
+    { $match: { status: "ENDED", "participants.userId": { $in: userIds } } },
+    { $project: { total: { $size: "$questions" }, participants: 1 } },
+    { $match: { total: { $gt: 0 } } },
+    { $unwind: "$participants" },
+    { $match: { "participants.userId": { $in: userIds } } },
+    {
+      $group: {
+        _id: "$participants.userId",
+        average: { $avg: { $multiply: [{ $divide: ["$participants.score", "$total"] }, 100] } },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  return new Map(stats.map((s) => [s._id.toString(), { average: Math.round(s.average * 10) / 10, count: s.count }]));
+};
+
+/**
+ * Applies privacy to a chunk of lean profiles (userId populated with name/email)
+ * and returns one row (array of values, in `columns` order) per profile.
+ */
+const buildRows = async (profiles, columns, { isStaff, viewerId }) => {
+  const userIds = profiles.map((p) => p.userId?._id).filter(Boolean);
+  const wants = (c) => columns.includes(c);
+
+  const [groups, clubs, quizzes] = await Promise.all([
+    wants("groups") ? groupNamesByUser(userIds) : null,
+    wants("clubs") ? clubNamesByUser(userIds) : null,
+    wants("quizAverage") || wants("quizCount") ? quizStatsByUser(userIds) : null,
+  ]);
+
+  return profiles.map((profile) => {
+    const p = applyPrivacy(profile, { isStaff, viewerId }); // hidden fields export blank
+    const key = p.userId?._id?.toString();
+    if (groups) p.groups = groups.get(key) || [];
+    if (clubs) p.clubs = clubs.get(key) || [];
+    if (quizzes) {
+      p.quizAverage = quizzes.get(key)?.average ?? null;
+      p.quizCount = quizzes.get(key)?.count ?? 0;
+    }
+    return columns.map((c) => EXPORT_COLUMNS[c](p));
+  });
+};
+
+module.exports = { EXPORT_FORMATS, EXPORT_SORTS, EXPORT_COLUMNS, DEFAULT_COLUMNS, parseColumns, buildRows };
@@ -0,0 +1,68 @@
+const TeachingAssignment = require("../models/TeachingAssignment");
+const AcademicGroup = require("../models/AcademicGroup");
+const FacultyProfile = require("../models/FacultyProfile");
+const { getSetting } = require("./settings");
+const { hasPermission } = require("./permissions");
+
+// When true, faculty moderate chat, delete others' resources and upload only in groups they teach
+const SCOPE_SETTING = "teachingScopeFaculty";
+
+const isFacultyScoped = () => getSetting(SCOPE_SETTING, false);
+
+/**
+ * Returns the current (active, not archived) groups the faculty member is
+ * assigned to, each with its assignments: [{ group, teaching: [{ _id, subject, term }] }].
+ */
+const getTaughtGroups = async (facultyId) => {
+  const assignments = await TeachingAssignment.find({ facultyId }).sort({ term: -1, subject: 1 }).lean();
+  if (!assignments.length) return [];
+
+  const groups = await AcademicGroup.find({
+    _id: { $in: assignments.map((a) => a.groupId) },
+    isActive: true,
+    archivedAt: null,
+  }).sort({ branch: 1, year: 1, section: 1 });
+
+  return groups.map((group) => ({
+    group,
+    teaching: assignments
+      .filter((a) => a.groupId.toString() === group._id.toString())
+      .map((a) => ({ _id: a._id, subject: a.subject, term: a.term })),
+  }));
+};
+
+/**
+ * Returns true if the user has a teaching assignment in the group.
+ */
+const teachesGroup = async (userId, groupId) => !!(await TeachingAssignment.exists({ facultyId: userId, groupId }));
+
+/**
+ * Returns false only for teaching:scoped roles (FACULTY by default) outside
+ * the groups they teach while the scope policy is on — staff permissions
+ * apply everywhere otherwise.
+ */
+const withinTeachingScope = async (userId, role, groupId) => {
+  if (!(await hasPermission(role, "teaching:scoped")) || !(await isFacultyScoped())) return true;
+  return teachesGroup(userId, groupId);
+};
+
+/**
+ * Rebuilds FacultyProfile.assignedGroups (current groups with an assignment)
+ * from the faculty member's teaching assignments. No-op without a profile.
+ */
+const refreshAssignedGroups = async (facultyId) => {
+  const taught = await getTaughtGroups(facultyId);
+  await FacultyProfile.updateOne(
+    { userId: facultyId },
+    { $set: { assignedGroups: taught.map((t) => t.group._id) } }
+  );
+};
+
+module.exports = {
+  SCOPE_SETTING,
+  isFacultyScoped,
+  getTaughtGroups,
+  teachesGroup,
+  withinTeachingScope,
+  refreshAssignedGroups,
+};
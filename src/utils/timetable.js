@@ -0,0 +1,128 @@
+const TimetableEntry = require("../models/TimetableEntry");
+const { DAYS } = require("../models/TimetableEntry");
+const GroupMembership = require("../models/GroupMembership");
+const FacultyProfile = require("../models/FacultyProfile");
+const { toIcs } = require("./ics");
+const { CAMPUS_TIMEZONE, zonedParts, zonedDate } = require("./timezone");
+
+// The login email stays private — faculty share contact details through their profile
+const ENTRY_POPULATE = [
+  { path: "groupId", select: "name isActive archivedAt" },
+  { path: "facultyId", select: "name" },
+];
+
+// Day code (MON…SUN) of a date in the campus time zone
+const dayOf = (date = new Date()) => DAYS[zonedParts(date, CAMPUS_TIMEZONE).weekday];
+
+const isCurrentGroup = (group) => !!group && group.isActive && !group.archivedAt;
+
+const toPublicEntry = (e, contactByFaculty) => ({
+  _id: e._id,
+  group: e.groupId ? { _id: e.groupId._id, name: e.groupId.name } : null,
+  day: e.day,
+  startTime: e.startTime,
+  endTime: e.endTime,
+  subject: e.subject,
+  faculty: e.facultyId
+    ? { ...e.facultyId, contact: contactByFaculty.get(e.facultyId._id.toString()) || null }
+    : null,
+  room: e.room,
+});
+
+/**
+ * Loads the entries matching `filter`, sorted by day and start time, in their
+ * public shape, faculty with their public profile contact. Entries of
+ * archived / inactive groups are dropped unless `currentOnly` is false.
+ */
+const findEntries = async (filter, { currentOnly = true } = {}) => {
+  const entries = (await TimetableEntry.find(filter).populate(ENTRY_POPULATE).lean()).filter(
+    (e) => !currentOnly || isCurrentGroup(e.groupId)
+  );
+
+  const facultyIds = entries.filter((e) => e.facultyId).map((e) => e.facultyId._id);
+  const profiles = facultyIds.length
+    ? await FacultyProfile.find({ userId: { $in: facultyIds }, isActive: true }).select("userId contact").lean()
+    : [];
+  const contactByFaculty = new Map(profiles.map((p) => [p.userId.toString(), p.contact]));
+
+  return entries
+    .sort((a, b) => DAYS.indexOf(a.day) - DAYS.indexOf(b.day) || a.startTime.localeCompare(b.startTime))
+    .map((e) => toPublicEntry(e, contactByFaculty));
+};
+
+/**
+ * The user's week: slots of the groups they belong to plus the slots they
+ * teach, optionally for one `day` only.
+ */
+const getUserTimetable = async (userId, day = null) => {
+  const memberships = await GroupMembership.find({ userId }).select("groupId").lean();
+  const filter = { $or: [{ groupId: { $in: memberships.map((m) => m.groupId) } }, { facultyId: userId }] };
+  if (day) filter.day = day;
+  return findEntries(filter);
+};
+
+/**
+ * Entries of current groups overlapping `slot` on its day that share its
+ * group, faculty member or room (slot.room already uppercase). slot._id, when
+ * editing, is skipped. Returns the entries with reasons[] (GROUP | FACULTY | ROOM).
+ */
+const findClashes = async (slot) => {
+  const shared = [{ groupId: slot.groupId }];
+  if (slot.facultyId) shared.push({ facultyId: slot.facultyId });
+  if (slot.room) shared.push({ room: slot.room });
+
+  const filter = {
+    day: slot.day,
+    startTime: { $lt: slot.endTime },
+    endTime: { $gt: slot.startTime },
+    $or: shared,
+  };
+  if (slot._id) filter._id = { $ne: slot._id };
+
+  const entries = await findEntries(filter);
+  return entries.map((e) => {
+    const reasons = [];
+    if (e.group._id.toString() === slot.groupId.toString()) reasons.push("GROUP");
+    if (slot.facultyId && e.faculty && e.faculty._id.toString() === slot.facultyId.toString()) reasons.push("FACULTY");
+    if (slot.room && e.room === slot.room) reasons.push("ROOM");
+    return { ...e, reasons };
+  });
+};
+
+/**
+ * iCalendar document of public entries, each a weekly recurring event
+ * starting with this week's occurrence (weeks and times in the campus time zone).
+ */
+const timetableToIcs = (name, entries, now = new Date()) => {
+  const today = zonedParts(now, CAMPUS_TIMEZONE);
+  const at = (day, time) => {
+    const [hours, minutes] = time.split(":").map(Number);
+    const date = today.day - today.weekday + DAYS.indexOf(day);
+    return zonedDate(CAMPUS_TIMEZONE, today.year, today.month, date, hours, minutes);
+  };
+
+  return toIcs(
+    {
+      name,
+      timeZone: CAMPUS_TIMEZONE,
+      events: entries.map((e) => ({
+        uid: `timetable-${e._id}@collegehub`,
+        start: at(e.day, e.startTime),
+        end: at(e.day, e.endTime),
+        rrule: `FREQ=WEEKLY;BYDAY=${e.day.slice(0, 2)}`,
+        summary: e.subject,
+        location: e.room,
+        description: [e.group?.name, e.faculty?.name].filter(Boolean).join(" — "),
+      })),
+    },
+    now
+  );
+};
+
+module.exports = {
+  dayOf,
+  findEntries,
+  getUserTimetable,
+  findClashes,
+  timetableToIcs,
+};
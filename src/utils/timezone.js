@@ -0,0 +1,104 @@
+// Time zone the campus runs on — timetable days and times are wall-clock times there
+const CAMPUS_TIMEZONE = process.env.CAMPUS_TIMEZONE || "UTC";
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+if (!isValidTimeZone(CAMPUS_TIMEZONE)) throw new Error(`Invalid CAMPUS_TIMEZONE: ${CAMPUS_TIMEZONE}`);
+
+const formatters = new Map();
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone))
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        weekday: "short",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  return formatters.get(timeZone);
+};
+
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+/**
+ * Wall-clock parts of `date` in `timeZone`:
+ * { year, month (1-12), day, hour, minute, second, weekday (0 = Monday) }.
+ */
+const zonedParts = (date, timeZone = CAMPUS_TIMEZONE) => {
+  const parts = Object.fromEntries(formatterFor(timeZone).formatToParts(date).map((p) => [p.type, p.value]));
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+};
+
+/**
+ * The instant at which the wall clock in `timeZone` shows the given time.
+ * Out-of-range values roll over like Date.UTC (day 32 = next month).
+ */
+const zonedDate = (timeZone, year, month, day, hour = 0, minute = 0) => {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  let instant = wall;
+  // The offset can differ between the guess and the answer around DST changes
+  for (let i = 0; i < 2; i++) {
+    const p = zonedParts(new Date(instant), timeZone);
+    instant += wall - Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+  }
+  return new Date(instant);
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// UTC offset of `timeZone` at `date`, in minutes (east of UTC positive)
+const offsetAt = (date, timeZone) => {
+  const instant = Math.floor(date / MINUTE_MS) * MINUTE_MS;
+  const p = zonedParts(new Date(instant), timeZone);
+  return (Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - instant) / MINUTE_MS;
+};
+
+/**
+ * Offset changes of `timeZone` between `from` and `to` (Dates), in order:
+ * [{ at (Date), offsetFrom, offsetTo }] with offsets in minutes. Checked day by
+ * day, then narrowed to the minute.
+ */
+const offsetTransitions = (timeZone, from, to) => {
+  const transitions = [];
+  let previous = offsetAt(from, timeZone);
+  for (let t = +from + DAY_MS; t <= +to; t += DAY_MS) {
+    const offset = offsetAt(new Date(t), timeZone);
+    if (offset === previous) continue;
+
+    let lo = t - DAY_MS; // still the old offset
+    let hi = t; // already the new one
+    while (hi - lo > MINUTE_MS) {
+      const mid = lo + Math.floor((hi - lo) / 2 / MINUTE_MS) * MINUTE_MS;
+      if (offsetAt(new Date(mid), timeZone) === previous) lo = mid;
+      else hi = mid;
+    }
+    transitions.push({ at: new Date(hi), offsetFrom: previous, offsetTo: offset });
+    previous = offset;
+  }
+  return transitions;
+};
+
+module.exports = { CAMPUS_TIMEZONE, isValidTimeZone, zonedParts, zonedDate, offsetAt, offsetTransitions };
@@ -0,0 +1,84 @@
+const crypto = require("crypto");
+
+/**
+ * Minimal RFC 6238 TOTP (HMAC-SHA1, 6 digits, 30 s step) — compatible with
+ * Google Authenticator, Authy, 1Password, etc.
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buf) => {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+};
+
+const base32Decode = (str) => {
+  const clean = str.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+};
+
+// 160-bit secret, base32 encoded (what authenticator apps expect)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const hotp = (secret, counter) => {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, "0");
+};
+
+const generateTotp = (secret, time = Date.now()) =>
+  hotp(secret, Math.floor(time / 1000 / STEP_SECONDS));
+
+/**
+ * Checks a code against the current step ± `window` steps (clock drift).
+ * Returns the matching time step, or null.
+ */
+const matchTotpStep = (secret, code, window = 1) => {
+  if (!/^\d{6}$/.test(String(code || "").trim())) return null;
+  const counter = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  const expected = Buffer.from(String(code).trim());
+  for (let i = -window; i <= window; i++) {
+    if (crypto.timingSafeEqual(Buffer.from(hotp(secret, counter + i)), expected)) return counter + i;
+  }
+  return null;
+};
+
+const verifyTotp = (secret, code, window = 1) => matchTotpStep(secret, code, window) !== null;
+
+/**
+ * otpauth:// URI — render it as a QR code on the client for enrollment.
+ */
+const buildOtpAuthUrl = (secret, accountName, issuer = "CollegeHub") =>
+  `otpauth://totp/${encodeURIComponent(`${issuer}:${accountName}`)}` +
+  `?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+module.exports = { generateSecret, generateTotp, matchTotpStep, verifyTotp, buildOtpAuthUrl };
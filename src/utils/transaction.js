@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// Standalone mongod (typical local setup) rejects transactions with this error
+const isTransactionUnsupported = (err) =>
+  err?.code === 20 || /Transaction numbers are only allowed/i.test(err?.message || "");
+
+/**
+ * Runs `fn(session)` in a MongoDB transaction (retried on transient errors).
+ * Without a replica set the first write fails before anything is committed,
+ * so `fn(null)` is then run once without a transaction.
+ * `fn` must only touch the database — it may run more than once.
+ */
+const withTransaction = async (fn) => {
+  let result;
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      result = await fn(session);
+    });
+    return result;
+  } catch (err) {
+    if (!isTransactionUnsupported(err)) throw err;
+    return fn(null);
+  }
+};
+
+module.exports = { withTransaction };
@@ -0,0 +1,113 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const { getSetting } = require("./settings");
+const { matchTotpStep } = require("./totp");
+const { hashToken } = require("./session");
+
+const POLICY_KEY = "twoFactorRequiredRoles";
+const RECOVERY_CODE_COUNT = 10;
+
+// ─── Secret encryption (AES-256-GCM) ─────────────────────────────────────────
+// Key comes from TWO_FACTOR_ENCRYPTION_KEY, falling back to JWT_SECRET
+
+const encryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || "")
+    .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map((b) => b.toString("hex")).join(":");
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, data] = stored.split(":").map((h) => Buffer.from(h, "hex"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+};
+
+// ─── Recovery codes ──────────────────────────────────────────────────────────
+
+/**
+ * Returns { codes, hashes } — show `codes` to the user once, store `hashes`.
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex").toUpperCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+const hashRecoveryCode = (code) =>
+  hashToken(String(code).trim().toUpperCase().replace(/[^A-Z0-9]/g, ""));
+
+// ─── Verification ────────────────────────────────────────────────────────────
+
+/**
+ * Checks a TOTP code for the user and records its time step, so the same
+ * code cannot be used twice within the drift window. The step is claimed
+ * atomically — of two requests with one code, only the first passes.
+ */
+const acceptTotp = async (userId, secret, code) => {
+  const step = matchTotpStep(secret, code);
+  if (step === null) return false;
+
+  const result = await User.updateOne(
+    { _id: userId, $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }] },
+    { $set: { twoFactorLastStep: step } }
+  );
+  return result.matchedCount === 1;
+};
+
+/**
+ * Checks a TOTP code or a recovery code against a user loaded with
+ * +twoFactorSecret +twoFactorRecoveryCodes. A matched recovery code is
+ * removed from the user doc (caller must save).
+ * Returns "totp", "recovery" or null.
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code && user.twoFactorSecret && (await acceptTotp(user._id, decryptSecret(user.twoFactorSecret), code)))
+    return "totp";
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const idx = user.twoFactorRecoveryCodes.indexOf(hash);
+    if (idx !== -1) {
+      user.twoFactorRecoveryCodes.splice(idx, 1);
+      return "recovery";
+    }
+  }
+  return null;
+};
+
+// ─── Policy ──────────────────────────────────────────────────────────────────
+
+const getRequiredRoles = () => getSetting(POLICY_KEY, []);
+
+const isTwoFactorRequired = async (role) => (await getRequiredRoles()).includes(role);
+
+/**
+ * Extra access-token claims for a user: flags accounts whose role requires
+ * 2FA but who have not enrolled yet (protect then only allows /api/auth).
+ */
+const accessClaims = async (user) =>
+  !user.twoFactorEnabled && (await isTwoFactorRequired(user.role))
+    ? { twoFactorSetupRequired: true }
+    : {};
+
+module.exports = {
+  POLICY_KEY,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  acceptTotp,
+  verifySecondFactor,
+  getRequiredRoles,
+  isTwoFactorRequired,
+  accessClaims,
+};
@@ -0,0 +1,148 @@
+const User = require("../models/User");
+const StudentProfile = require("../models/StudentProfile");
+const FacultyProfile = require("../models/FacultyProfile");
+const GroupMembership = require("../models/GroupMembership");
+const ClubMembership = require("../models/ClubMembership");
+const GroupChatMessage = require("../models/GroupChatMessage");
+const ForumThread = require("../models/ForumThread");
+const ForumReply = require("../models/ForumMessage");
+const DiscussionThread = require("../models/DiscussionThread");
+const DiscussionReply = require("../models/DiscussionReply");
+const Quiz = require("../models/Quiz");
+const Event = require("../models/Event");
+const SkillEndorsement = require("../models/SkillEndorsement");
+const GroupJoinRequest = require("../models/GroupJoinRequest");
+const TeachingAssignment = require("../models/TeachingAssignment");
+const AcademicResource = require("../models/AcademicResource");
+const GroupAnnouncement = require("../models/GroupAnnouncement");
+const ClassSession = require("../models/ClassSession");
+const TimetableEntry = require("../models/TimetableEntry");
+const Assignment = require("../models/Assignment");
+const AssignmentSubmission = require("../models/AssignmentSubmission");
+const Roadmap = require("../models/Roadmap");
+const StudyPlan = require("../models/StudyPlan");
+const AiDoubtChat = require("../models/AiDoubtChat");
+const Notification = require("../models/Notification");
+const Session = require("../models/Session");
+
+/**
+ * Collects everything stored about a user, keyed by section name.
+ * Other users' ids (likes, RSVP lists, other quiz participants) are left out.
+ */
+const buildUserExport = async (userId) => {
+  const [
+    user,
+    profile,
+    facultyProfile,
+    endorsementsReceived,
+    endorsementsGiven,
+    groupMemberships,
+    groupJoinRequests,
+    teachingAssignments,
+    timetableSlots,
+    classSessions,
+    clubMemberships,
+    chatMessages,
+    forumThreads,
+    forumReplies,
+    discussionThreads,
+    discussionReplies,
+    quizzesCreated,
+    quizzesJoined,
+    eventsOrganized,
+    eventRsvps,
+    resourcesUploaded,
+    announcementsPosted,
+    assignmentsCreated,
+    assignmentSubmissions,
+    roadmaps,
+    studyPlans,
+    aiDoubtChat,
+    notifications,
+    sessions,
+  ] = await Promise.all([
+    User.findById(userId).select("-password").lean(),
+    StudentProfile.findOne({ userId }).lean(),
+    FacultyProfile.findOne({ userId }).lean(),
+    SkillEndorsement.find({ userId }).select("-skillKey").sort({ createdAt: 1 }).lean(),
+    SkillEndorsement.find({ endorsedBy: userId }).select("-skillKey").sort({ createdAt: 1 }).lean(),
+    GroupMembership.find({ userId }).populate("groupId", "name type").lean(),
+    GroupJoinRequest.find({ userId }).populate("groupId", "name type").sort({ createdAt: 1 }).lean(),
+    TeachingAssignment.find({ facultyId: userId }).populate("groupId", "name type").sort({ term: 1 }).lean(),
+    TimetableEntry.find({ facultyId: userId }).select("-updatedBy").populate("groupId", "name").lean(),
+    ClassSession.find({ "records.userId": userId })
+      .select("groupId subject heldAt topic records.$")
+      .populate("groupId", "name")
+      .sort({ heldAt: 1 })
+      .lean(),
+    ClubMembership.find({ userId }).populate("clubId", "name").lean(),
+    GroupChatMessage.find({ sender: userId }).sort({ createdAt: 1 }).lean(),
+    ForumThread.find({ createdBy: userId }).select("-likes -dislikes").sort({ createdAt: 1 }).lean(),
+    ForumReply.find({ author: userId }).select("-likes -dislikes").sort({ createdAt: 1 }).lean(),
+    DiscussionThread.find({ author: userId }).sort({ createdAt: 1 }).lean(),
+    DiscussionReply.find({ author: userId }).sort({ createdAt: 1 }).lean(),
+    Quiz.find({ createdBy: userId }).select("-participants").sort({ createdAt: 1 }).lean(),
+    Quiz.find({ "participants.userId": userId })
+      .select("title groupId status startedAt endedAt participants.$")
+      .sort({ createdAt: 1 })
+      .lean(),
+    Event.find({ organizer: userId }).select("-rsvps").sort({ date: 1 }).lean(),
+    Event.find({ rsvps: userId }).select("title date venue type").sort({ date: 1 }).lean(),
+    AcademicResource.find({ uploadedBy: userId }).sort({ createdAt: 1 }).lean(),
+    GroupAnnouncement.find({ author: userId }).select("-acknowledgements").sort({ createdAt: 1 }).lean(),
+    Assignment.find({ createdBy: userId }).sort({ createdAt: 1 }).lean(),
+    AssignmentSubmission.find({ studentId: userId })
+      .select("-file.filePath")
+      .populate("assignmentId", "title dueAt maxScore")
+      .sort({ submittedAt: 1 })
+      .lean(),
+    Roadmap.find({ userId }).sort({ createdAt: 1 }).lean(),
+    StudyPlan.find({ userId }).sort({ createdAt: 1 }).lean(),
+    AiDoubtChat.findOne({ userId }).lean(),
+    Notification.find({ targetUserId: userId }).sort({ createdAt: 1 }).lean(),
+    Session.find({ userId }).select("userAgent ip createdAt lastUsedAt expiresAt revokedAt").lean(),
+  ]);
+
+  // Keep only the user's own participant entry for each quiz they joined
+  const quizParticipations = quizzesJoined.map((q) => {
+    const { participants, ...quiz } = q;
+    return { ...quiz, ...(participants[0] || {}) };
+  });
+
+  // Only the user's own status for each class session
+  const attendance = classSessions.map(({ records, ...session }) => ({ ...session, status: records[0]?.status }));
+
+  return {
+    user,
+    profile,
+    facultyProfile,
+    endorsementsReceived,
+    endorsementsGiven,
+    groupMemberships,
+    groupJoinRequests,
+    teachingAssignments,
+    timetableSlots,
+    attendance,
+    clubMemberships,
+    chatMessages,
+    forumThreads,
+    forumReplies,
+    discussionThreads,
+    discussionReplies,
+    quizzesCreated,
+    quizParticipations,
+    eventsOrganized,
+    eventRsvps,
+    resourcesUploaded,
+    announcementsPosted,
+    assignmentsCreated,
+    assignmentSubmissions,
+    roadmaps,
+    studyPlans,
+    aiDoubtChat,
+    notifications,
+    sessions,
+  };
+};
+
+module.exports = { buildUserExport };
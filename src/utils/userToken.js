@@ -0,0 +1,53 @@
+const crypto = require("crypto");
+const UserToken = require("../models/UserToken");
+const { hashToken } = require("./session");
+
+/**
+ * Issues a new single-use token of `type` for a user and returns the raw token.
+ * Any earlier unused token of the same type is invalidated.
+ */
+const issueUserToken = async (userId, type, ttlMs) => {
+  await UserToken.deleteMany({ userId, type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await UserToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+  return token;
+};
+
+/**
+ * Returns a valid (unused, unexpired) token without consuming it, else null.
+ */
+const findUserToken = (token, type) => {
+  if (!token || typeof token !== "string") return null;
+  return UserToken.findOne({
+    tokenHash: hashToken(token),
+    type,
+    usedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+/**
+ * Marks a valid (unused, unexpired) token as used and returns it, else null.
+ * The update is atomic so a token cannot be consumed twice.
+ */
+const consumeUserToken = async (token, type) => {
+  if (!token || typeof token !== "string") return null;
+  return UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = { issueUserToken, findUserToken, consumeUserToken };